@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// Utility bill PDF parser - command line interface
+// Runs the same extraction pipeline as the web app over a folder of PDFs
+//
+// Usage: utility-parse <dir> [--out results.xlsx] [options]
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import * as XLSX from 'xlsx';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { extractFromPDF } from '../src/core/extractor.js';
+import { PROVIDERS, registerRules } from '../src/providers/index.js';
+import { parseRulesFile } from '../src/providers/ruleEngine.js';
+import { sortResults } from '../src/utils/resultUtils.js';
+import { ANALYTICS_SECTIONS } from '../src/utils/analytics.js';
+import {
+  buildWorkbook,
+  buildGasOnlyWorkbook,
+  buildElectricOnlyWorkbook,
+  resultsToCSV
+} from '../src/utils/excelExport.js';
+
+const USAGE = `Usage: utility-parse <dir> [options]
+
+Recursively parses every PDF under <dir> and writes the extracted data.
+
+Options:
+  -o, --out <file>       Output file (default: utility_bill_data.xlsx)
+  -f, --format <fmt>     xlsx, csv or json (default: from --out extension)
+  -m, --mode <mode>      combined, gas or electric (xlsx only, default: combined)
+  -g, --group-by <key>   provider or supplier: one sheet per utility or per third-party supplier
+                         (xlsx only, default: provider)
+      --portfolio        Add a "Site x Month" sheet: kWh and supply $ per site for the 12 months up
+                         to the latest bill (xlsx only)
+      --provenance       Add a Provenance sheet (xlsx only)
+      --analytics        Add the analytics sheets: usage and supply cost per address by month,
+                         unit costs, totals per address and provider, monthly change, outliers
+                         (xlsx only)
+  -s, --sort <column>    Sort rows by a column, e.g. "Period Start"
+      --desc             Sort descending
+  -p, --provider <id>    auto, ${Object.keys(PROVIDERS).join(', ')} or an id from --rules (default: auto)
+  -r, --rules <file>     Load extra providers from a JSON/YAML rules file (repeatable)
+  -v, --verbose          Print the extraction log for every file
+  -h, --help             Show this help
+
+Exit codes: 0 all files parsed, 1 one or more files failed, 2 usage error`;
+
+const WORKBOOK_BUILDERS = {
+  combined: buildWorkbook,
+  gas: buildGasOnlyWorkbook,
+  electric: buildElectricOnlyWorkbook
+};
+
+// Recursively collect PDF paths under a directory, sorted for stable output
+const findPDFs = (dir) => {
+  const found = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      found.push(...findPDFs(fullPath));
+    } else if (entry.isFile() && /\.pdf$/i.test(entry.name)) {
+      found.push(fullPath);
+    }
+  }
+  return found.sort();
+};
+
+const writeOutput = (results, outFile, format, values) => {
+  if (format === 'json') {
+    fs.writeFileSync(outFile, JSON.stringify(results, null, 2));
+  } else if (format === 'csv') {
+    fs.writeFileSync(outFile, resultsToCSV(results) + '\n');
+  } else {
+    const workbook = WORKBOOK_BUILDERS[values.mode](results, {
+      includeProvenance: values.provenance,
+      groupBy: values['group-by'],
+      analytics: values.analytics ? ANALYTICS_SECTIONS.map(section => section.id) : [],
+      portfolio: values.portfolio
+    });
+    fs.writeFileSync(outFile, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+  }
+};
+
+const fail = (message) => {
+  console.error(`Error: ${message}\n\n${USAGE}`);
+  process.exit(2);
+};
+
+const main = async () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o', default: 'utility_bill_data.xlsx' },
+        format: { type: 'string', short: 'f' },
+        mode: { type: 'string', short: 'm', default: 'combined' },
+        'group-by': { type: 'string', short: 'g', default: 'provider' },
+        provenance: { type: 'boolean', default: false },
+        analytics: { type: 'boolean', default: false },
+        portfolio: { type: 'boolean', default: false },
+        sort: { type: 'string', short: 's' },
+        desc: { type: 'boolean', default: false },
+        provider: { type: 'string', short: 'p', default: 'auto' },
+        rules: { type: 'string', short: 'r', multiple: true, default: [] },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const [inputDir] = positionals;
+  if (!inputDir) fail('missing input directory');
+  if (!fs.existsSync(inputDir) || !fs.statSync(inputDir).isDirectory()) {
+    fail(`not a directory: ${inputDir}`);
+  }
+
+  for (const rulesFile of values.rules) {
+    try {
+      parseRulesFile(fs.readFileSync(rulesFile, 'utf8'), rulesFile).forEach(registerRules);
+    } catch (error) {
+      fail(`${rulesFile}: ${error.message}`);
+    }
+  }
+
+  const format = (values.format || path.extname(values.out).slice(1) || 'xlsx').toLowerCase();
+  if (!['xlsx', 'csv', 'json'].includes(format)) fail(`unsupported format: ${format}`);
+  if (!WORKBOOK_BUILDERS[values.mode]) fail(`unsupported mode: ${values.mode}`);
+  if (!['provider', 'supplier'].includes(values['group-by'])) fail(`unsupported grouping: ${values['group-by']}`);
+  if (values.provider !== 'auto' && !PROVIDERS[values.provider]) {
+    fail(`unknown provider: ${values.provider}`);
+  }
+
+  const pdfPaths = findPDFs(inputDir);
+  if (pdfPaths.length === 0) {
+    console.error(`No PDF files found in ${inputDir}`);
+    return 1;
+  }
+
+  console.log(`Starting batch processing - ${pdfPaths.length} file(s)`);
+
+  const results = [];
+  const errorList = [];
+
+  for (let i = 0; i < pdfPaths.length; i++) {
+    const filePath = pdfPaths[i];
+    const fileName = path.relative(inputDir, filePath);
+    // Keep the log so failed files can be explained without --verbose
+    const logs = [];
+    const addLog = (message) => {
+      logs.push(message);
+      if (values.verbose) console.log(message);
+    };
+
+    try {
+      const data = new Uint8Array(fs.readFileSync(filePath));
+      const rows = await extractFromPDF(pdfjsLib, data, {
+        fileName,
+        utilityMode: values.provider,
+        addLog,
+        pdfOptions: { verbosity: values.verbose ? pdfjsLib.VerbosityLevel.WARNINGS : pdfjsLib.VerbosityLevel.ERRORS }
+      });
+      results.push(...rows);
+      const [row] = rows;
+      if (row['Provider']) {
+        const fanOut = rows.length > 1 ? `, ${rows.length} rows` : '';
+        const warningCount = rows.reduce((sum, r) => sum + r._warnings.length, 0);
+        const warningNote = warningCount > 0 ? `, ${warningCount} warning(s)` : '';
+        console.log(`[${i + 1}/${pdfPaths.length}] ✓ ${fileName} (${row['Provider']}${fanOut}${warningNote})`);
+      } else {
+        console.log(`[${i + 1}/${pdfPaths.length}] ✗ ${fileName}: no provider matched`);
+        errorList.push({ fileName, error: 'No provider matched' });
+        if (!values.verbose) logs.forEach(line => console.log(line));
+      }
+    } catch (error) {
+      console.log(`[${i + 1}/${pdfPaths.length}] ✗ ${fileName}: ${error.message}`);
+      errorList.push({ fileName, error: error.message });
+      if (!values.verbose) logs.forEach(line => console.log(line));
+    }
+  }
+
+  if (results.length > 0) {
+    const sorted = sortResults(results, values.sort || null, values.desc ? 'desc' : 'asc');
+    writeOutput(sorted, values.out, format, values);
+    const fileCount = new Set(results.map(row => row['File Name'])).size;
+    console.log(`\nWrote ${results.length} row(s) from ${fileCount} file(s) to ${values.out}`);
+  }
+
+  console.log(`Complete! Successfully processed ${pdfPaths.length - errorList.length}/${pdfPaths.length} files`);
+  // Suspicious values are reported, not failures: the rows are written either way
+  const warned = results.filter(row => row['Provider'] && row._warnings.length > 0);
+  if (warned.length > 0) {
+    console.log(`\nWarnings (${warned.reduce((sum, row) => sum + row._warnings.length, 0)})`);
+    warned.forEach(row => row._warnings.forEach(warning => console.log(`  ⚠️ ${row['File Name']}: ${warning.message}`)));
+  }
+  if (errorList.length > 0) {
+    console.error(`\nErrors (${errorList.length})`);
+    errorList.forEach(err => console.error(`  ❌ ${err.fileName}: ${err.error}`));
+    return 1;
+  }
+  return 0;
+};
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
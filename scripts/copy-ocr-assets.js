@@ -0,0 +1,35 @@
+// Copy the OCR engine files into public/tesseract so scanned bills are read
+// without any network access (tesseract.js would otherwise fetch them from a CDN).
+// Runs before `npm run dev` and `npm run build`.
+
+import { copyFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const target = join(root, 'public', 'tesseract');
+
+const ASSETS = [
+  'tesseract.js/dist/worker.min.js',
+  // LSTM-only cores, with and without SIMD (the worker picks one for the browser)
+  'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz'
+];
+
+mkdirSync(target, { recursive: true });
+
+let copied = 0;
+for (const asset of ASSETS) {
+  const source = join(root, 'node_modules', asset);
+  if (!existsSync(source)) {
+    console.error(`Missing OCR asset ${asset}, run npm install`);
+    process.exit(1);
+  }
+  const destination = join(target, asset.split('/').pop());
+  if (existsSync(destination) && statSync(destination).size === statSync(source).size) continue;
+  copyFileSync(source, destination);
+  copied++;
+}
+
+if (copied > 0) console.log(`Copied ${copied} OCR asset(s) to public/tesseract`);
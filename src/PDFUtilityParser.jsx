@@ -1,30 +1,113 @@
 import React, { useState, useEffect, useRef } from 'react';
 import * as pdfjsLib from 'pdfjs-dist';
-import { PROVIDERS, detectProvider } from './providers';
-import { normalizeAddress } from './utils/addressUtils';
+import { extractFromPDF as extractPipeline, extractTextFromPDF, extractFromText, validateRow } from './core/extractor';
+import { readReport, reportText } from './core/bugReport';
+import { PROVIDERS, isBuiltinProvider, registerRules, unregisterProvider, getProviderColumns, getMeterColumns } from './providers';
+import { formatCellValue } from './providers/schema';
+import { parseRulesFile } from './providers/ruleEngine';
 import { exportToExcel, exportGasOnly, exportElectricOnly } from './utils/excelExport';
+import { stripMetadata, createRowId, applyEdit, groupByProvider, sortResults, sourcePages, compareResults } from './utils/resultUtils';
+import { CONFIDENCE } from './utils/patternMatch';
+import { createOcr } from './utils/ocr';
+import { createWorkerPool } from './utils/workerPool';
+import { createSessionId, defaultSessionName, listSessions, loadSessionRows, saveSession, saveSessionFiles, loadSession, renameSession, deleteSession } from './utils/sessionStore';
+import { DUPLICATE_POLICIES, createDuplicateIndex, fingerprint, findDuplicates, describeDuplicate } from './utils/duplicates';
+import PdfViewer from './components/PdfViewer';
+import ChargesDetail from './components/ChargesDetail';
+import MetersDetail from './components/MetersDetail';
+import ReportDialog from './components/ReportDialog';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import PortfolioView from './components/PortfolioView';
 
 // Use static path to bundled worker file from public directory
 pdfjsLib.GlobalWorkerOptions.workerSrc = '/PDF-utility-parser/pdf.worker.min.mjs';
 
+const CUSTOM_RULES_KEY = 'customProviderRules';
+const CONCURRENCY_KEY = 'extractionConcurrency';
+const CURRENT_SESSION_KEY = 'currentSession';
+const DUPLICATE_POLICY_KEY = 'duplicatePolicy';
+
+// Autosave at most this often (ms) while rows stream in or are being edited
+const SESSION_SAVE_DELAY = 1000;
+
+// Files extracted at once: leave a core for the page, and cap it since each worker holds a PDF in memory
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6, 8];
+
+// Provider badge colors, assigned in registry order
+const PROVIDER_BADGE_COLORS = [
+  'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200',
+  'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
+  'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200',
+  'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-200',
+  'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200',
+  'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200'
+];
+
+// Register rule files imported in earlier visits, skipping any that no longer load
+const loadSavedRules = () => {
+  const saved = JSON.parse(localStorage.getItem(CUSTOM_RULES_KEY) || '[]');
+  return saved.filter(definition => {
+    try {
+      registerRules(definition);
+      return true;
+    } catch (error) {
+      console.warn(`Skipping saved rules "${definition.id}": ${error.message}`);
+      return false;
+    }
+  });
+};
+
 const PDFUtilityParser = () => {
   const APP_VERSION = 'v1.11.2';
   const exportMenuRef = useRef(null);
+  const batchRef = useRef(null); // { pool, cancelled, paused, resumers } for the running batch
+  const savedFilesRef = useRef(null); // Files array last written to the current session
+  const pendingSaveRef = useRef(null); // { timer, state } for the next autosave
+  const skipSaveRef = useRef(false); // Set while restoring a session, so it isn't saved straight back
+  const filesRef = useRef([]); // Current file list, for a running batch to order its rows by
 
   const [files, setFiles] = useState([]);
+  filesRef.current = files;
   const [processing, setProcessing] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [retryMode, setRetryMode] = useState('auto'); // Provider forced when retrying failed files
   const [progress, setProgress] = useState(0);
+  const [rowCount, setRowCount] = useState(0); // Rows extracted so far in the current run
+  const [concurrency, setConcurrency] = useState(() => Number(localStorage.getItem(CONCURRENCY_KEY)) || DEFAULT_CONCURRENCY);
   const [results, setResults] = useState([]);
   const [errors, setErrors] = useState([]);
   const [currentFile, setCurrentFile] = useState('');
   const [debugLogs, setDebugLogs] = useState([]);
-  const [utilityMode, setUtilityMode] = useState('auto'); // 'auto', 'ace', 'pseg'
+  const [utilityMode, setUtilityMode] = useState('auto'); // 'auto' or a provider id ('ace', 'pseg', 'jcpl', ...)
   const [dragActive, setDragActive] = useState(false);
   const [showDebugLogs, setShowDebugLogs] = useState(false);
   const [showFileList, setShowFileList] = useState(true);
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [includeProvenance, setIncludeProvenance] = useState(false);
+  const [groupBySupplier, setGroupBySupplier] = useState(false); // Export one sheet per supplier instead of per provider
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [analyticsSheets, setAnalyticsSheets] = useState([]); // Analytics sections added to the exported workbook
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [portfolioSheet, setPortfolioSheet] = useState(false); // Add the "Site x Month" sheet to the exported workbook
+  const [viewer, setViewer] = useState(null); // { file, target } for the side-by-side PDF viewer
+  const [edits, setEdits] = useState([]); // Audit trail of manual corrections
+  const [editingCell, setEditingCell] = useState(null); // { rowId, column, value }
+  const [expandedDetails, setExpandedDetails] = useState({}); // { [rowId]: 'charges' | 'meters' } open detail panel per row
+  const [sort, setSort] = useState({ column: null, direction: 'asc' }); // Table and export order
   const [copied, setCopied] = useState(false);
   const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
+  const [customRules, setCustomRules] = useState(loadSavedRules); // Imported rule definitions
+  const [session, setSession] = useState(null); // { id, name } of the IndexedDB session being worked on
+  const [sessions, setSessions] = useState([]); // Saved sessions, most recent first
+  const [showSessions, setShowSessions] = useState(false);
+  const [renamingSession, setRenamingSession] = useState(null); // { id, name }
+  const [comparison, setComparison] = useState(null); // compareResults() against a saved session, with its name
+  const [duplicatePolicy, setDuplicatePolicy] = useState(() => localStorage.getItem(DUPLICATE_POLICY_KEY) || 'keep');
+  const [history, setHistory] = useState([]); // Fingerprints of rows in other saved sessions
+  const [reportDraft, setReportDraft] = useState(null); // File being turned into a parsing problem report
   const [darkMode, setDarkMode] = useState(() => {
     // Check localStorage or system preference
     const saved = localStorage.getItem('darkMode');
@@ -41,6 +124,43 @@ const PDFUtilityParser = () => {
     });
   };
 
+  // Save imported rule definitions so they are registered again on the next visit
+  const saveCustomRules = (definitions) => {
+    setCustomRules(definitions);
+    localStorage.setItem(CUSTOM_RULES_KEY, JSON.stringify(definitions));
+  };
+
+  // Import a JSON/YAML rules file and register the providers it defines
+  const handleRulesImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const definitions = parseRulesFile(await file.text(), file.name);
+      definitions.forEach(registerRules);
+      const importedIds = definitions.map(definition => definition.id);
+      saveCustomRules([
+        ...customRules.filter(definition => !importedIds.includes(definition.id)),
+        ...definitions
+      ]);
+      addLog(`Imported provider rules from ${file.name}: ${definitions.map(d => d.name).join(', ')}`);
+      showToast(`Imported ${definitions.map(d => d.name).join(', ')}`);
+    } catch (error) {
+      addLog(`Failed to import rules from ${file.name}: ${error.message}`);
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Remove an imported provider
+  const removeCustomProvider = (providerId) => {
+    unregisterProvider(providerId);
+    saveCustomRules(customRules.filter(definition => definition.id !== providerId));
+    if (utilityMode === providerId) setUtilityMode('auto');
+    if (retryMode === providerId) setRetryMode('auto');
+    showToast('Provider removed');
+  };
+
   // Show toast notification
   const showToast = (message, type = 'success') => {
     setToast({ show: true, message, type });
@@ -68,114 +188,189 @@ const PDFUtilityParser = () => {
     }
   }, [showExportMenu]);
 
-  // Extract text from PDF using PDF.js
-  const extractTextFromPDF = async (file) => {
-    addLog(`Processing: ${file.name}`);
-    try {
-      const arrayBuffer = await file.arrayBuffer();
-      const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-      const pdf = await loadingTask.promise;
-      addLog(`  Loaded ${pdf.numPages} pages`);
-
-      let fullText = '';
-      const pages = [];
-
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = textContent.items.map(item => item.str).join(' ');
-        pages.push({ text: pageText, items: textContent.items });
-        fullText += pageText + '\n';
-      }
+  // Extract data from a single PDF on the main thread (ocr reads pages that have no text layer)
+  const extractFromPDF = async (file, { mode, ocr, addLog: fileLog, onProgress }) => {
+    const arrayBuffer = await file.arrayBuffer();
+    return extractPipeline(pdfjsLib, arrayBuffer, { fileName: file.name, utilityMode: mode, addLog: fileLog, ocr, onProgress });
+  };
 
-      return { fullText, pages, numPages: pdf.numPages };
+  // Change how many files are extracted at once
+  const changeConcurrency = (value) => {
+    setConcurrency(value);
+    localStorage.setItem(CONCURRENCY_KEY, String(value));
+  };
+
+  // Write the pending autosave now instead of waiting for its timer
+  const flushSessionSave = async () => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingSaveRef.current = null;
+    const { id, ...state } = pending.state;
+    try {
+      await saveSession(id, state);
     } catch (error) {
-      addLog(`  ❌ ERROR: ${error.message}`);
-      throw new Error(`PDF extraction failed: ${error.message}`);
+      console.warn(`Could not save session: ${error.message}`);
     }
   };
 
-  // Extract data from a single PDF
-  const extractFromPDF = async (file) => {
-    const { fullText, pages, numPages } = await extractTextFromPDF(file);
+  // Refresh the saved sessions list
+  const refreshSessions = async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      console.warn(`Could not list sessions: ${error.message}`);
+    }
+  };
 
-    let result = {
-      serviceAddress: null,
-      accountNumber: null,
-      gasSupplyCharges: null,
-      electricSupplyCharges: null
-    };
-    let providerName = null;
+  // Start a new session for the files being added
+  const startSession = () => {
+    const newSession = { id: createSessionId(), name: defaultSessionName() };
+    savedFilesRef.current = null;
+    setSession(newSession);
+    localStorage.setItem(CURRENT_SESSION_KEY, newSession.id);
+    return newSession;
+  };
 
-    // Determine which provider to use
-    let targetProviderId = null;
+  // Stop saving to the current session (it stays in the list, with what was on screen until now)
+  const closeSession = () => {
+    flushSessionSave();
+    setSession(null);
+    localStorage.removeItem(CURRENT_SESSION_KEY);
+  };
 
-    if (utilityMode === 'auto') {
-      // Auto-detect provider
-      targetProviderId = detectProvider(fullText, addLog);
-    } else {
-      // Use explicitly selected provider
-      targetProviderId = utilityMode;
+  // Reopen a saved session: its files, rows, edits, errors and log replace what's on screen
+  const openSession = async (id, { quiet = false } = {}) => {
+    if (processing) return;
+    await flushSessionSave();
+    try {
+      const saved = await loadSession(id);
+      if (!saved) {
+        localStorage.removeItem(CURRENT_SESSION_KEY);
+        if (!quiet) showToast('Session not found', 'error');
+        return;
+      }
+      skipSaveRef.current = true;
+      savedFilesRef.current = saved.files;
+      setFiles(saved.files);
+      setResults(saved.results);
+      setEdits(saved.edits);
+      setErrors(saved.errors);
+      setDebugLogs(saved.logs);
+      setUtilityMode(saved.utilityMode === 'auto' || PROVIDERS[saved.utilityMode] ? saved.utilityMode : 'auto');
+      setProgress(saved.results.length > 0 ? 100 : 0);
+      setViewer(null);
+      setComparison(null);
+      setSession({ id: saved.id, name: saved.name });
+      localStorage.setItem(CURRENT_SESSION_KEY, saved.id);
+      if (!quiet) showToast(`Opened ${saved.name}`);
+    } catch (error) {
+      if (!quiet) showToast(`Could not open session: ${error.message}`, 'error');
+      console.warn(`Could not open session: ${error.message}`);
     }
+  };
 
-    // Try extraction with the target provider first (if detected/selected)
-    if (targetProviderId && PROVIDERS[targetProviderId]) {
-      const provider = PROVIDERS[targetProviderId];
-      const extractedData = provider.extractData(fullText, pages, addLog, normalizeAddress);
+  // Save a session's new name
+  const commitSessionRename = async () => {
+    if (!renamingSession) return;
+    const { id } = renamingSession;
+    const name = renamingSession.name.trim();
+    setRenamingSession(null);
+    if (!name) return;
+    await flushSessionSave();
+    await renameSession(id, name);
+    if (session?.id === id) setSession(prev => ({ ...prev, name }));
+    refreshSessions();
+  };
 
-      if (extractedData.accountNumber || extractedData.serviceAddress) {
-        result = extractedData;
-        providerName = provider.name;
-      }
+  // Delete a saved session; deleting the open one also clears the screen
+  const removeSession = async (id) => {
+    if (session?.id === id) {
+      if (processing) return;
+      clearResults();
     }
+    await deleteSession(id);
+    refreshSessions();
+    showToast('Session deleted');
+  };
 
-    // If no data extracted yet, try all other providers as fallback
-    if (!result.accountNumber && !result.serviceAddress) {
-      for (const [providerId, provider] of Object.entries(PROVIDERS)) {
-        // Skip the one we already tried
-        if (providerId === targetProviderId) continue;
-
-        const extractedData = provider.extractData(fullText, pages, addLog, normalizeAddress);
-        if (extractedData.accountNumber || extractedData.serviceAddress) {
-          result = extractedData;
-          providerName = provider.name;
-          break;
-        }
-      }
-    }
+  // Compare the rows on screen with a saved session's rows
+  const compareWithSession = async (id) => {
+    await flushSessionSave();
+    const saved = await loadSession(id);
+    if (!saved) return;
+    setComparison({ name: saved.name, ...compareResults(saved.results, results) });
+  };
 
-    // Build the data object with provider-specific fields
-    const dataObject = {
-      'File Name': file.name,
-      'Provider': providerName,
-      'Service Address': result.serviceAddress,
-      'Total Usage (kWh)': result.totalUsageKwh,
-      'Total Gas Supply Charges': result.gasSupplyCharges,
-      'Total Electric Supply Charges': result.electricSupplyCharges
-    };
+  // Reopen the session that was open when the page was last closed
+  useEffect(() => {
+    const id = localStorage.getItem(CURRENT_SESSION_KEY);
+    if (id) openSession(id, { quiet: true });
+  }, []);
+
+  // Save the session's PDFs whenever the file list changes
+  useEffect(() => {
+    if (!session || files === savedFilesRef.current) return;
+    savedFilesRef.current = files;
+    saveSessionFiles(session.id, files).catch(error => console.warn(`Could not save session files: ${error.message}`));
+  }, [session, files]);
 
-    // Add provider-specific ID fields
-    if (providerName === 'ACE') {
-      dataObject['ID Number'] = result.accountNumber;
-    } else if (providerName === 'PSE&G') {
-      dataObject['PE'] = result.electricPodId;
-      dataObject['PG'] = result.gasPodId;
+  // Autosave rows, edits, errors and the log; while a batch streams rows in, at most once per SESSION_SAVE_DELAY
+  useEffect(() => {
+    if (!session) return;
+    if (skipSaveRef.current) {
+      skipSaveRef.current = false;
+      return;
+    }
+    const state = { id: session.id, name: session.name, files, results, edits, errors, logs: debugLogs, utilityMode };
+    if (pendingSaveRef.current) {
+      pendingSaveRef.current.state = state;
+      return;
     }
+    pendingSaveRef.current = {
+      state,
+      timer: setTimeout(flushSessionSave, SESSION_SAVE_DELAY)
+    };
+  }, [session, files, results, edits, errors, debugLogs, utilityMode]);
+
+  // List sessions when the panel opens
+  useEffect(() => {
+    if (showSessions) refreshSessions();
+  }, [showSessions]);
 
-    return dataObject;
+  // Choose what happens to a bill that is already in the results
+  const changeDuplicatePolicy = (value) => {
+    setDuplicatePolicy(value);
+    localStorage.setItem(DUPLICATE_POLICY_KEY, value);
   };
 
+  // Rows of the other saved sessions, so bills processed in an earlier batch are recognized
+  useEffect(() => {
+    if (processing) return;
+    loadSessionRows()
+      .then(saved => setHistory(saved
+        .filter(other => other.id !== session?.id)
+        .flatMap(other => other.results.map(row => fingerprint(row, other.name)))))
+      .catch(error => console.warn(`Could not load session history: ${error.message}`));
+  }, [session?.id, processing]);
+
   // Handle file selection
   const handleFileChange = (e) => {
     const selectedFiles = Array.from(e.target.files);
     addFiles(selectedFiles);
   };
 
-  // Add files to the list (used by both file input and drag & drop)
+  // Add files to the list (used by both file input and drag & drop); parsing reports are loaded instead
   const addFiles = (newFiles) => {
+    const reportFiles = newFiles.filter(file => file.name.toLowerCase().endsWith('.json'));
+    reportFiles.forEach(loadReport);
     const pdfFiles = newFiles.filter(file => file.type === 'application/pdf');
+    if (pdfFiles.length === 0 && reportFiles.length > 0) return;
+    if (pdfFiles.length > 0 && !session) startSession();
     setFiles(prev => [...prev, ...pdfFiles]);
     setResults([]);
+    setViewer(null);
+    setEdits([]);
     setErrors([]);
     setProgress(0);
   };
@@ -187,8 +382,11 @@ const PDFUtilityParser = () => {
 
   // Clear all files from the list
   const clearAllFiles = () => {
+    closeSession();
     setFiles([]);
     setResults([]);
+    setViewer(null);
+    setEdits([]);
     setErrors([]);
     setProgress(0);
   };
@@ -215,49 +413,281 @@ const PDFUtilityParser = () => {
     }
   };
 
+  /**
+   * Extract a batch of files into the results table
+   * @param {Array<File>} batchFiles - Files to read
+   * @param {Object} options - { mode: provider id or 'auto' (default: the selected mode), fresh: start over
+   *   instead of adding to the current results, replacing: the batch re-reads files that already have rows }
+   */
+  const runBatch = async (batchFiles, { mode = utilityMode, fresh = false, replacing = false } = {}) => {
+    const batch = { pool: null, cancelled: false, paused: false, resumers: [] };
+    batchRef.current = batch;
+    setProcessing(true);
+    setPaused(false);
+    setProgress(0);
+    setRowCount(0);
+    if (fresh) {
+      setResults([]);
+      setEdits([]);
+      setErrors([]);
+      setDebugLogs([]);
+    } else {
+      // The files are being read again; their earlier errors no longer apply
+      setErrors(prev => prev.filter(err => !batchFiles.includes(err.file)));
+    }
+
+    const modeNote = mode === 'auto' ? '' : ` as ${PROVIDERS[mode]?.name || mode}`;
+    addLog(`${fresh ? 'Starting batch processing' : replacing ? 'Re-running' : 'Retrying'} - ${batchFiles.length} file(s)${modeNote}`);
+
+    // Earlier copies of each bill: rows staying in the results, then rows of other sessions
+    const duplicateIndex = createDuplicateIndex([
+      ...(fresh ? [] : results.filter(row => !replacing || !batchFiles.includes(row._file)).map(row => fingerprint(row))),
+      ...history
+    ]);
+    let duplicateCount = 0;
+
+    const fileProgress = batchFiles.map(() => 0); // 0-1 per file, from the pages read so far
+    const active = new Set(); // Indices of the files being read right now
+    let rowTotal = 0;
+    let processedFiles = 0;
+    let cancelledFiles = 0;
+
+    // Rows follow the file list as it is now (files may be added or removed mid-batch); rows whose
+    // file isn't in it, such as report rows, keep their order at the end
+    const fileOrder = (row) => {
+      const index = filesRef.current.indexOf(row._file);
+      return index === -1 ? filesRef.current.length : index;
+    };
+
+    const showProgress = () => {
+      setProgress(Math.round((fileProgress.reduce((sum, fraction) => sum + fraction, 0) / batchFiles.length) * 100));
+      setCurrentFile([...active].map(index => batchFiles[index].name).join(', '));
+    };
+
+    // Workers keep regexes and pdfjs off the main thread; imported rules are sent along
+    batch.pool = typeof Worker !== 'undefined'
+      ? createWorkerPool(
+        () => new Worker(new URL('./workers/extractWorker.js', import.meta.url), { type: 'module' }),
+        concurrency,
+        { type: 'init', rules: customRules }
+      )
+      : null;
+    // Main-thread fallback when a worker can't run; one file at a time, the OCR engine only loads if needed
+    const ocr = createOcr(addLog);
+    let mainThread = Promise.resolve();
+    const extractOnMainThread = async (file, options) => {
+      if (batch.paused) await new Promise(resolve => batch.resumers.push(resolve));
+      if (batch.cancelled) throw new Error('Cancelled');
+      return extractFromPDF(file, { ...options, mode });
+    };
+
+    const extractFile = async (file, index) => {
+      const lines = [];
+      const onProgress = (fraction) => {
+        active.add(index);
+        fileProgress[index] = fraction;
+        showProgress();
+      };
+      const fileLog = (message) => {
+        active.add(index);
+        lines.push(message);
+      };
+
+      try {
+        let rows;
+        try {
+          if (!batch.pool) throw Object.assign(new Error('Web Workers are not available'), { workerFailed: true });
+          rows = await batch.pool.run({ file, utilityMode: mode }, message => {
+            if (message.type === 'log') fileLog(message.message);
+            if (message.type === 'progress') onProgress(message.fraction);
+          });
+        } catch (error) {
+          if (batch.cancelled) throw new Error('Cancelled');
+          if (!error.workerFailed) throw error;
+          fileLog(`  ${error.message}, extracting on the main thread`);
+          const run = mainThread.then(() => extractOnMainThread(file, { ocr, addLog: fileLog, onProgress }));
+          mainThread = run.catch(() => {});
+          rows = await run;
+        }
+
+        // Keep the source file so the viewer can render it next to the results
+        // (a summary bill yields one row per account, all pointing at the same file)
+        const newRows = [];
+        const replacedIds = [];
+        rows.map(row => ({ ...row, _id: createRowId(), _file: file })).forEach(row => {
+          const duplicate = duplicateIndex.find(row);
+          if (duplicate) {
+            duplicateCount++;
+            if (duplicatePolicy === 'skip') {
+              lines.push(`  ⏭ Skipped: ${describeDuplicate(duplicate)}`);
+              return;
+            }
+            // Only rows on screen can be replaced; a copy in another session is just flagged
+            if (duplicatePolicy === 'replace' && !duplicate.sessionName) {
+              replacedIds.push(duplicate.rowId);
+              duplicateIndex.remove(duplicate.rowId);
+              lines.push(`  Replaced the row from ${duplicate.fileName} (${describeDuplicate(duplicate)})`);
+            } else {
+              lines.push(`  ⚠️ Duplicate: ${describeDuplicate(duplicate)}`);
+            }
+          }
+          duplicateIndex.add(fingerprint(row));
+          newRows.push(row);
+        });
+        setResults(prev => [...prev.filter(row => !replacedIds.includes(row._id) && (!replacing || row._file !== file)), ...newRows]
+          .sort((a, b) => fileOrder(a) - fileOrder(b)));
+        rowTotal += newRows.length;
+        setRowCount(rowTotal);
+        processedFiles++;
+      } catch (error) {
+        if (error.message === 'Cancelled') cancelledFiles++;
+        else lines.push(`  ❌ ERROR: ${error.message}`);
+        // Cancelled files are listed with the failures so "Retry failed" picks them up
+        setErrors(prev => [...prev, { fileName: file.name, error: error.message, file }]);
+      } finally {
+        active.delete(index);
+        fileProgress[index] = 1;
+        showProgress();
+        // Files finish out of order; each one's log lines are written together
+        if (lines.length > 0) {
+          addLog(`\n[${index + 1}/${batchFiles.length}] ${file.name}`);
+          lines.forEach(line => addLog(line));
+        }
+      }
+    };
+
+    await Promise.all(batchFiles.map((file, index) => extractFile(file, index)));
+    batch.pool?.terminate();
+    await ocr.terminate();
+    batchRef.current = null;
+
+    setProcessing(false);
+    setPaused(false);
+    setCurrentFile('');
+    const rowsNote = rowTotal !== processedFiles ? ` (${rowTotal} rows)` : '';
+    const cancelNote = cancelledFiles > 0 ? `, ${cancelledFiles} cancelled` : '';
+    const duplicateNote = duplicateCount > 0
+      ? `, ${duplicateCount} duplicate(s) ${duplicatePolicy === 'skip' ? 'skipped' : duplicatePolicy === 'replace' ? 'replaced' : 'flagged'}`
+      : '';
+    addLog(`\nComplete! Successfully processed ${processedFiles}/${batchFiles.length} files${rowsNote}${cancelNote}${duplicateNote}`);
+    showToast(`Successfully processed ${processedFiles} of ${batchFiles.length} files${rowsNote}${cancelNote}${duplicateNote}`);
+  };
+
   // Process all PDFs
-  const processPDFs = async () => {
+  const processPDFs = () => {
     if (files.length === 0) {
       showToast('Please select PDF files first', 'error');
       return;
     }
+    runBatch(files, { fresh: true });
+  };
 
-    setProcessing(true);
-    setProgress(0);
-    setResults([]);
-    setErrors([]);
-    setDebugLogs([]);
+  // Re-process only the files that failed (or were cancelled), optionally with a forced provider
+  const retryFailed = () => {
+    const failedFiles = errors.map(err => err.file).filter(Boolean);
+    if (failedFiles.length === 0) return;
+    runBatch(failedFiles, { mode: retryMode });
+  };
 
-    addLog(`Starting batch processing - ${files.length} file(s)`);
+  // Re-read one file from its result row, replacing that file's rows and keeping every other result
+  // (mode: a provider id to read it with instead of the Utility setting)
+  const rerunFile = (row, mode = utilityMode) => {
+    if (!row._file || processing) return;
+    runBatch([row._file], { mode, replacing: true });
+  };
 
-    const extractedData = [];
-    const errorList = [];
+  // Read a file again for a parsing problem report (the dialog redacts it and offers the download)
+  // Only the reading is logged: the report's log continues with the parse of the redacted text
+  const startReport = async ({ file, fileName, error = null }) => {
+    if (!file) return;
+    setReportDraft({ fileName, error, status: 'reading' });
+    const log = [];
+    const ocr = createOcr(message => log.push(message));
+    let draft;
+    try {
+      const extracted = await extractTextFromPDF(pdfjsLib, await file.arrayBuffer(), message => log.push(message), {}, { ocr });
+      const rows = extractFromText(extracted, { fileName: file.name, utilityMode });
+      draft = { fileName, error, status: 'ready', extracted, rows, log };
+    } catch (readError) {
+      log.push(`  ❌ ERROR: ${readError.message}`);
+      draft = { fileName, error: error || readError.message, status: 'ready', extracted: null, rows: [], log };
+    }
+    await ocr.terminate();
+    // The dialog may have been closed while the file was read
+    setReportDraft(current => (current?.fileName === fileName ? draft : current));
+  };
 
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      try {
-        setCurrentFile(file.name);
-        addLog(`\n[${i + 1}/${files.length}] ${file.name}`);
-        const data = await extractFromPDF(file);
-        extractedData.push(data);
-        setProgress(Math.round(((i + 1) / files.length) * 100));
-      } catch (error) {
-        addLog(`  ❌ ERROR: ${error.message}`);
-        errorList.push({ fileName: file.name, error: error.message });
+  // Load a parsing report and run its text through the providers again, logging any difference
+  // from the output it was saved with
+  const loadReport = async (file) => {
+    try {
+      const report = readReport(await file.text());
+      // Rules the report was made with, for this visit only
+      const missingRules = (report.rules || []).filter(definition => !PROVIDERS[definition.id]);
+      missingRules.forEach(registerRules);
+
+      const lines = [];
+      const rows = extractFromText(reportText(report), { fileName: report.source, utilityMode: report.utilityMode, addLog: message => lines.push(message) });
+      const { changed, added, removed } = compareResults(report.output, rows);
+      const differences = changed.reduce((sum, row) => sum + row.changes.length, 0) + added.length + removed.length;
+
+      addLog(`\nReproducing ${file.name} (saved by ${report.appVersion} on ${report.createdAt.slice(0, 10)})`);
+      if (missingRules.length > 0) addLog(`  Using the report's rules for ${missingRules.map(d => d.name).join(', ')} until the page is reloaded`);
+      if (report.error) addLog(`  Reported error: ${report.error}`);
+      lines.forEach(line => addLog(line));
+      if (differences === 0) {
+        addLog('  Output matches the report');
+      } else {
+        addLog(`  Output differs from the report: ${differences} difference(s)`);
+        changed.forEach(({ record, changes }) => changes.forEach(change => {
+          addLog(`    Record ${record} ${change.column}: ${change.before ?? 'N/A'} → ${change.after ?? 'N/A'}`);
+        }));
+        if (added.length + removed.length > 0) addLog(`    ${report.output.length} row(s) in the report, ${rows.length} now`);
       }
+
+      setResults(prev => [...prev, ...rows.map(row => ({ ...row, _id: createRowId(), _report: file.name }))]);
+      showToast(differences === 0
+        ? `Reproduced ${report.source} from its report`
+        : `Reproduced ${report.source}: ${differences} difference(s) from the report`, differences === 0 ? 'success' : 'error');
+    } catch (error) {
+      addLog(`Failed to load report ${file.name}: ${error.message}`);
+      showToast(error.message, 'error');
     }
+  };
 
-    setResults(extractedData);
-    setErrors(errorList);
-    setProcessing(false);
-    setCurrentFile('');
-    addLog(`\nComplete! Successfully processed ${extractedData.length}/${files.length} files`);
-    showToast(`Successfully processed ${extractedData.length} of ${files.length} files`);
+  // Hold or continue the running batch; files already being read finish either way
+  const togglePause = () => {
+    const batch = batchRef.current;
+    if (!batch) return;
+    batch.paused = !batch.paused;
+    if (batch.paused) {
+      batch.pool?.pause();
+      addLog('Paused: files already being read will finish');
+    } else {
+      batch.pool?.resume();
+      batch.resumers.splice(0).forEach(resolve => resolve());
+      addLog('Resumed');
+    }
+    setPaused(batch.paused);
+  };
+
+  // Stop the running batch; rows already extracted stay, the rest are listed as cancelled
+  const cancelBatch = () => {
+    const batch = batchRef.current;
+    if (!batch || batch.cancelled) return;
+    batch.cancelled = true;
+    batch.pool?.terminate();
+    batch.resumers.splice(0).forEach(resolve => resolve());
+    addLog('Cancelling batch...');
   };
 
   // Clear all results and start over
   const clearResults = () => {
+    closeSession();
+    setComparison(null);
     setResults([]);
+    setViewer(null);
+    setEdits([]);
     setErrors([]);
     setDebugLogs([]);
     setFiles([]);
@@ -265,44 +695,197 @@ const PDFUtilityParser = () => {
     showToast('Results cleared');
   };
 
-  // Remove individual result
-  const removeResult = (index) => {
-    setResults(prev => prev.filter((_, i) => i !== index));
+  // Remove individual result, by id: positions shift while a batch is still streaming in
+  const removeResult = (rowId) => {
+    setResults(prev => prev.filter(row => row._id !== rowId));
     showToast('Result removed');
   };
 
+  // Open the source PDF next to the results, highlighting where a column's value was read
+  const openViewer = (row, column = null) => {
+    if (!row._file) return;
+    setViewer({
+      file: row._file,
+      page: row._source?.pages?.[0] || 1,
+      ocrItems: row._ocr?.items,
+      target: column ? { column, value: row[column], provenance: row._provenance?.[column] } : null
+    });
+  };
+
+  // Open the viewer on a value from a detail panel (itemized charge, printed total, meter reading)
+  const openSource = (row, label, value, provenance) => {
+    if (!row._file) return;
+    setViewer({
+      file: row._file,
+      page: row._source?.pages?.[0] || 1,
+      ocrItems: row._ocr?.items,
+      target: { column: label, value, provenance }
+    });
+  };
+
+  // Show a row's charges or meters panel; clicking the open one again closes it
+  const toggleDetails = (rowId, panel) => {
+    setExpandedDetails(prev => ({ ...prev, [rowId]: prev[rowId] === panel ? null : panel }));
+  };
+
+  // Table cell props: styling, a tooltip describing where the value came from, and click-to-view
+  const cellProps = (row, column) => {
+    const info = row._provenance?.[column];
+    let className = `px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`;
+    let title;
+
+    if (info) {
+      title = `${info.pattern} (rank ${info.rank} of ${info.patternCount}, ${info.confidence} confidence)` +
+        `${info.page ? `, page ${info.page}` : ''}\n"${info.snippet}"`;
+      if (info.confidence === CONFIDENCE.LOW) {
+        className += ` ${darkMode ? 'bg-yellow-900/40' : 'bg-yellow-100'}`;
+        title = `Low confidence: ${title}`;
+      }
+    }
+
+    const warnings = (row._warnings || []).filter(warning => warning.columns.includes(column));
+    if (warnings.length > 0) {
+      className += ` ring-2 ring-inset ${darkMode ? 'ring-red-500' : 'ring-red-400'}`;
+      title = [...warnings.map(warning => `⚠ ${warning.message}`), title].filter(Boolean).join('\n');
+    }
+
+    const onDoubleClick = () => setEditingCell({ rowId: row._id, column, value: row[column] ?? '' });
+    if (!row._file) {
+      return { className, title: title ? `${title}\nDouble-click to edit` : 'Double-click to edit', onDoubleClick };
+    }
+    return {
+      className: `${className} cursor-pointer`,
+      title: title ? `${title}\nClick to show in PDF, double-click to edit` : 'Click to show in PDF, double-click to edit',
+      onClick: () => openViewer(row, column),
+      onDoubleClick
+    };
+  };
+
+  // Save a manual correction and record it in the audit trail
+  const commitEdit = () => {
+    if (!editingCell) return;
+    const { rowId, column, value } = editingCell;
+    setEditingCell(null);
+
+    const row = results.find(r => r._id === rowId);
+    if (!row) return;
+    const trimmed = value.trim();
+    const change = applyEdit(row, column, trimmed === '' ? null : trimmed);
+    if (!change) return;
+    // A correction can fix (or cause) a validation warning
+    const updated = { ...change.row, _warnings: validateRow(change.row) };
+
+    setResults(prev => prev.map(r => (r._id === rowId ? updated : r)));
+    setEdits(prev => [...prev, change.edit]);
+    addLog(`Edited ${column} for ${row['File Name']}: ${change.edit.previousValue ?? 'N/A'} → ${change.edit.newValue ?? 'N/A'}`);
+    showToast(`Updated ${column}`);
+  };
+
+  // Cell content: an input while editing, otherwise the value plus a marker if it was corrected
+  const editableCell = (row, column, display) => {
+    if (editingCell && editingCell.rowId === row._id && editingCell.column === column) {
+      return (
+        <input
+          autoFocus
+          value={editingCell.value}
+          onChange={(e) => setEditingCell({ ...editingCell, value: e.target.value })}
+          onBlur={commitEdit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitEdit();
+            if (e.key === 'Escape') setEditingCell(null);
+          }}
+          onClick={(e) => e.stopPropagation()}
+          className={`w-full min-w-[8rem] px-2 py-1 rounded border text-sm ${
+            darkMode ? 'bg-gray-800 border-gray-500 text-gray-100' : 'bg-white border-blue-400 text-gray-900'
+          }`}
+        />
+      );
+    }
+
+    const edit = row._edits?.[column];
+    return (
+      <>
+        {display}
+        {edit && (
+          <span
+            className="ml-1.5 inline-block h-2 w-2 rounded-full bg-purple-500 align-middle"
+            title={`Edited ${new Date(edit.timestamp).toLocaleString()} - extracted value: ${edit.originalValue ?? 'Not Found'}`}
+          />
+        )}
+      </>
+    );
+  };
+
+  // Click a header to sort by it; clicking again reverses, a third time restores upload order
+  const toggleSort = (column) => {
+    setSort(prev => {
+      if (prev.column !== column) return { column, direction: 'asc' };
+      if (prev.direction === 'asc') return { column, direction: 'desc' };
+      return { column: null, direction: 'asc' };
+    });
+  };
+
+  // Rows in the order shown in the table
+  const sortedResults = () => sortResults(results, sort.column, sort.direction);
+
+  // Rows repeating an earlier row or a row of another session (flagged in the table)
+  const duplicates = findDuplicates(results, history);
+
+  // Rows with values that failed a validation check
+  const warnedRows = results.filter(row => row._warnings?.length > 0).length;
+
   // Export handlers
   const handleExportCombined = () => {
-    exportToExcel(results, {
+    exportToExcel(sortedResults(), {
       sheetName: 'Combined Data',
-      fileName: 'utility_bill_combined.xlsx'
+      fileName: 'utility_bill_combined.xlsx',
+      includeProvenance,
+      groupBy: groupBySupplier ? 'supplier' : 'provider',
+      analytics: analyticsSheets,
+      portfolio: portfolioSheet,
+      edits
     });
     setShowExportMenu(false);
     showToast('Exported combined data to Excel');
   };
 
   const handleExportGas = () => {
-    exportGasOnly(results, {
+    exportGasOnly(sortedResults(), {
       sheetName: 'Gas Data',
-      fileName: 'utility_bill_gas.xlsx'
+      fileName: 'utility_bill_gas.xlsx',
+      includeProvenance,
+      groupBy: groupBySupplier ? 'supplier' : 'provider',
+      analytics: analyticsSheets,
+      portfolio: portfolioSheet,
+      edits
     });
     setShowExportMenu(false);
     showToast('Exported gas data to Excel');
   };
 
   const handleExportElectric = () => {
-    exportElectricOnly(results, {
+    exportElectricOnly(sortedResults(), {
       sheetName: 'Electric Data',
-      fileName: 'utility_bill_electric.xlsx'
+      fileName: 'utility_bill_electric.xlsx',
+      includeProvenance,
+      groupBy: groupBySupplier ? 'supplier' : 'provider',
+      analytics: analyticsSheets,
+      portfolio: portfolioSheet,
+      edits
     });
     setShowExportMenu(false);
     showToast('Exported electric data to Excel');
   };
 
+  // Add or remove an analytics section's sheet in the exported workbook
+  const toggleAnalyticsSheet = (sectionId) => {
+    setAnalyticsSheets(prev => (prev.includes(sectionId) ? prev.filter(id => id !== sectionId) : [...prev, sectionId]));
+  };
+
   // Copy results to clipboard as JSON
   const copyResultsToClipboard = async () => {
     try {
-      const jsonString = JSON.stringify(results, null, 2);
+      const jsonString = JSON.stringify(sortedResults().map(stripMetadata), null, 2);
       await navigator.clipboard.writeText(jsonString);
       setCopied(true);
       addLog('Results copied to clipboard as JSON');
@@ -346,7 +929,30 @@ const PDFUtilityParser = () => {
         </div>
       )}
 
-      <div className="max-w-7xl mx-auto">
+      {/* Side-by-side PDF viewer */}
+      {viewer && (
+        <PdfViewer
+          file={viewer.file}
+          target={viewer.target}
+          page={viewer.page}
+          ocrItems={viewer.ocrItems}
+          onClose={() => setViewer(null)}
+          darkMode={darkMode}
+        />
+      )}
+
+      {reportDraft && (
+        <ReportDialog
+          draft={reportDraft}
+          appVersion={APP_VERSION}
+          utilityMode={utilityMode}
+          rules={customRules}
+          onClose={() => setReportDraft(null)}
+          darkMode={darkMode}
+        />
+      )}
+
+      <div className={`max-w-7xl mx-auto ${viewer ? 'md:ml-0 md:mr-[50%]' : ''}`}>
         <div className={`rounded-lg shadow-xl p-8 transition-colors duration-200 ${
           darkMode ? 'bg-gray-800' : 'bg-white'
         }`}>
@@ -362,8 +968,24 @@ const PDFUtilityParser = () => {
                 <p className={darkMode ? 'text-gray-300' : 'text-gray-600'}>
                   Parse utility bills and export to Excel
                 </p>
+                {session && (
+                  <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Session: {session.name} · saved in this browser
+                  </p>
+                )}
               </div>
               <div className="text-right flex items-center gap-4">
+                <button
+                  onClick={() => setShowSessions(!showSessions)}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    darkMode
+                      ? 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+                      : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                  }`}
+                  title="Saved batches"
+                >
+                  Sessions
+                </button>
                 <button
                   onClick={toggleDarkMode}
                   className={`p-2 rounded-lg transition-colors ${
@@ -382,6 +1004,146 @@ const PDFUtilityParser = () => {
             </div>
           </div>
 
+          {/* Saved sessions */}
+          {showSessions && (
+            <div className={`mb-8 rounded-lg border p-4 ${
+              darkMode ? 'border-gray-600 bg-gray-700' : 'border-gray-200 bg-gray-50'
+            }`}>
+              <div className="flex items-center justify-between mb-3">
+                <h2 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+                  Sessions
+                </h2>
+                <button
+                  onClick={clearResults}
+                  disabled={processing || !session}
+                  className="px-3 py-1 text-sm font-medium rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Start over; the current session stays saved"
+                >
+                  New session
+                </button>
+              </div>
+              {sessions.length === 0 ? (
+                <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  No saved sessions yet. Adding files starts one; it is saved in this browser as you work.
+                </p>
+              ) : (
+                <ul className={`divide-y ${darkMode ? 'divide-gray-600' : 'divide-gray-200'}`}>
+                  {sessions.map(saved => (
+                    <li key={saved.id} className="py-2 flex flex-wrap items-center gap-3">
+                      <div className="flex-1 min-w-0">
+                        {renamingSession?.id === saved.id ? (
+                          <input
+                            type="text"
+                            value={renamingSession.name}
+                            onChange={(e) => setRenamingSession({ ...renamingSession, name: e.target.value })}
+                            onBlur={commitSessionRename}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') commitSessionRename();
+                              if (e.key === 'Escape') setRenamingSession(null);
+                            }}
+                            autoFocus
+                            className={`w-full px-2 py-1 text-sm rounded border ${
+                              darkMode ? 'bg-gray-800 border-gray-500 text-white' : 'bg-white border-gray-300 text-gray-900'
+                            }`}
+                          />
+                        ) : (
+                          <div className={`text-sm font-medium truncate ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
+                            {saved.name}
+                            {session?.id === saved.id && (
+                              <span className="ml-2 px-2 py-0.5 rounded text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                                Open
+                              </span>
+                            )}
+                          </div>
+                        )}
+                        <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {saved.fileCount} file(s) · {saved.rowCount} row(s)
+                          {saved.editCount > 0 ? ` · ${saved.editCount} edit(s)` : ''}
+                          {saved.errorCount > 0 ? ` · ${saved.errorCount} failed` : ''}
+                          {' · updated '}{new Date(saved.updatedAt).toLocaleString()}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 text-sm">
+                        {session?.id !== saved.id && (
+                          <button
+                            onClick={() => openSession(saved.id)}
+                            disabled={processing}
+                            className={`${darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-800'} disabled:opacity-50`}
+                          >
+                            Open
+                          </button>
+                        )}
+                        {session?.id !== saved.id && results.length > 0 && (
+                          <button
+                            onClick={() => compareWithSession(saved.id)}
+                            className={darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-800'}
+                            title="Compare the rows on screen with this session's rows"
+                          >
+                            Compare
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setRenamingSession({ id: saved.id, name: saved.name })}
+                          className={darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900'}
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => removeSession(saved.id)}
+                          disabled={processing && session?.id === saved.id}
+                          className={`${darkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-800'} disabled:opacity-50`}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {comparison && (
+                <div className={`mt-4 pt-4 border-t ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className={`text-sm font-semibold ${darkMode ? 'text-gray-100' : 'text-gray-800'}`}>
+                      {comparison.name} → current: {comparison.changed.length} changed,
+                      {' '}{comparison.added.length} new, {comparison.removed.length} missing, {comparison.unchanged} unchanged
+                    </h3>
+                    <button
+                      onClick={() => setComparison(null)}
+                      className={`text-sm ${darkMode ? 'text-gray-400 hover:text-gray-200' : 'text-gray-500 hover:text-gray-700'}`}
+                      title="Close comparison"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                  <ul className={`text-xs space-y-2 max-h-72 overflow-y-auto ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    {comparison.changed.map(({ fileName, record, changes }) => (
+                      <li key={`${fileName}#${record}`}>
+                        <div className="font-medium">{fileName}{record > 1 ? ` (record ${record})` : ''}</div>
+                        {changes.map(({ column, before, after }) => (
+                          <div key={column} className="ml-4">
+                            {column}: <span className="line-through opacity-70">{before ?? '—'}</span>
+                            {' → '}{after ?? '—'}
+                          </div>
+                        ))}
+                      </li>
+                    ))}
+                    {comparison.added.map(row => (
+                      <li key={`added-${row._id}`} className={darkMode ? 'text-green-400' : 'text-green-700'}>
+                        + {row['File Name']}{row._source?.recordCount > 1 ? ` (record ${row._source.record})` : ''}: only in the current results
+                      </li>
+                    ))}
+                    {comparison.removed.map(row => (
+                      <li key={`removed-${row._id}`} className={darkMode ? 'text-red-400' : 'text-red-700'}>
+                        − {row['File Name']}{row._source?.recordCount > 1 ? ` (record ${row._source.record})` : ''}: only in {comparison.name}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Utility Mode Selector */}
           <div className="mb-8">
             <label className={`block mb-2 text-sm font-medium ${
@@ -389,7 +1151,7 @@ const PDFUtilityParser = () => {
             }`}>
               Utility Company
             </label>
-            <div className="flex gap-4">
+            <div className="flex flex-wrap items-center gap-4">
               <label className="flex items-center">
                 <input
                   type="radio"
@@ -400,25 +1162,40 @@ const PDFUtilityParser = () => {
                 />
                 <span className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-900'}`}>Auto-detect</span>
               </label>
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  value="ace"
-                  checked={utilityMode === 'ace'}
-                  onChange={(e) => setUtilityMode(e.target.value)}
-                  className="mr-2"
-                />
-                <span className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-900'}`}>ACE</span>
-              </label>
-              <label className="flex items-center">
+              {Object.values(PROVIDERS).map(provider => (
+                <label key={provider.id} className="flex items-center">
+                  <input
+                    type="radio"
+                    value={provider.id}
+                    checked={utilityMode === provider.id}
+                    onChange={(e) => setUtilityMode(e.target.value)}
+                    className="mr-2"
+                  />
+                  <span className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-900'}`}>{provider.name}</span>
+                  {!isBuiltinProvider(provider.id) && (
+                    <button
+                      onClick={() => removeCustomProvider(provider.id)}
+                      className={`ml-1 text-xs ${darkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-800'}`}
+                      title={`Remove imported provider ${provider.name}`}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </label>
+              ))}
+              <label
+                className={`text-sm font-medium cursor-pointer ${
+                  darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-800'
+                }`}
+                title="Add a utility from a JSON or YAML rules file"
+              >
+                + Import rules
                 <input
-                  type="radio"
-                  value="pseg"
-                  checked={utilityMode === 'pseg'}
-                  onChange={(e) => setUtilityMode(e.target.value)}
-                  className="mr-2"
+                  type="file"
+                  accept=".json,.yaml,.yml"
+                  onChange={handleRulesImport}
+                  className="hidden"
                 />
-                <span className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-900'}`}>PSEG</span>
               </label>
             </div>
           </div>
@@ -445,7 +1222,7 @@ const PDFUtilityParser = () => {
             >
               <input
                 type="file"
-                accept=".pdf"
+                accept=".pdf,.json"
                 multiple
                 onChange={handleFileChange}
                 className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
@@ -467,7 +1244,7 @@ const PDFUtilityParser = () => {
                 <p className={`mt-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
                   <span className="font-semibold">Click to upload</span> or drag and drop
                 </p>
-                <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>PDF files only</p>
+                <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>PDF files, or a parsing report (.json) to reproduce</p>
               </div>
             </div>
 
@@ -564,13 +1341,48 @@ const PDFUtilityParser = () => {
 
           {/* Process Button */}
           <div className="mb-8">
-            <button
-              onClick={processPDFs}
-              disabled={processing || files.length === 0}
-              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 ease-in-out transform hover:scale-105 disabled:transform-none disabled:cursor-not-allowed"
-            >
-              {processing ? 'Processing...' : 'Process PDFs'}
-            </button>
+            <div className="flex flex-wrap items-center gap-4">
+              <button
+                onClick={processPDFs}
+                disabled={processing || files.length === 0}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 ease-in-out transform hover:scale-105 disabled:transform-none disabled:cursor-not-allowed"
+              >
+                {processing ? 'Processing...' : 'Process PDFs'}
+              </button>
+              <label className={`flex items-center gap-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Files at once
+                <select
+                  value={concurrency}
+                  onChange={(e) => changeConcurrency(Number(e.target.value))}
+                  disabled={processing}
+                  className={`rounded border px-2 py-1 text-sm ${
+                    darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+                >
+                  {[...new Set([...CONCURRENCY_OPTIONS, concurrency])].sort((a, b) => a - b).map(value => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+              </label>
+              <label
+                className={`flex items-center gap-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}
+                title="A duplicate is the same PDF, or a bill with the same provider, account, dates and amounts, already in the results or in another saved session"
+              >
+                Duplicates
+                <select
+                  value={duplicatePolicy}
+                  onChange={(e) => changeDuplicatePolicy(e.target.value)}
+                  disabled={processing}
+                  className={`rounded border px-2 py-1 text-sm ${
+                    darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+                >
+                  {Object.entries(DUPLICATE_POLICIES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
           </div>
 
           {/* Progress Bar */}
@@ -583,13 +1395,33 @@ const PDFUtilityParser = () => {
                 ></div>
               </div>
               <p className={`text-center mt-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-                {progress}% Complete
+                {progress}% Complete{rowCount > 0 && ` · ${rowCount} ${rowCount === 1 ? 'row' : 'rows'}`}{paused && ' · Paused'}
               </p>
               {currentFile && (
-                <p className={`text-center mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                <p className={`text-center mt-1 text-xs truncate ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} title={currentFile}>
                   Processing: {currentFile}
                 </p>
               )}
+              <div className="flex justify-center gap-3 mt-3">
+                <button
+                  onClick={togglePause}
+                  className={`px-4 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                    darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-100' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+                  }`}
+                  title={paused ? 'Continue with the remaining files' : 'Hold the remaining files; files already being read finish'}
+                >
+                  {paused ? '▶ Resume' : '⏸ Pause'}
+                </button>
+                <button
+                  onClick={cancelBatch}
+                  className={`px-4 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                    darkMode ? 'bg-red-900/40 hover:bg-red-900/60 text-red-300' : 'bg-red-100 hover:bg-red-200 text-red-700'
+                  }`}
+                  title="Stop the batch; rows already extracted are kept"
+                >
+                  ✕ Cancel
+                </button>
+              </div>
             </div>
           )}
 
@@ -600,16 +1432,54 @@ const PDFUtilityParser = () => {
                 ? 'bg-red-900/20 border-red-800'
                 : 'bg-red-50 border-red-200'
             }`}>
-              <h3 className={`font-semibold mb-2 ${
-                darkMode ? 'text-red-400' : 'text-red-800'
-              }`}>
-                Errors ({errors.length})
-              </h3>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+                <h3 className={`font-semibold ${
+                  darkMode ? 'text-red-400' : 'text-red-800'
+                }`}>
+                  Errors ({errors.length})
+                </h3>
+                {errors.some(err => err.file) && (
+                  <div className="flex items-center gap-2 text-sm">
+                    <select
+                      value={retryMode}
+                      onChange={(e) => setRetryMode(e.target.value)}
+                      disabled={processing}
+                      className={`rounded border px-2 py-1 text-sm ${
+                        darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+                      }`}
+                      title="Provider to use for the retry"
+                    >
+                      <option value="auto">Auto-detect</option>
+                      {Object.values(PROVIDERS).map(provider => (
+                        <option key={provider.id} value={provider.id}>{provider.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={retryFailed}
+                      disabled={processing}
+                      className={`px-3 py-1 rounded font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                        darkMode ? 'bg-red-800 hover:bg-red-700 text-red-100' : 'bg-red-600 hover:bg-red-700 text-white'
+                      }`}
+                    >
+                      ↻ Retry failed
+                    </button>
+                  </div>
+                )}
+              </div>
               {errors.map((err, idx) => (
-                <div key={idx} className={`text-sm ${
+                <div key={idx} className={`flex items-baseline gap-2 text-sm ${
                   darkMode ? 'text-red-300' : 'text-red-700'
                 }`}>
-                  ❌ {err.fileName}: {err.error}
+                  <span>❌ {err.fileName}: {err.error}</span>
+                  {err.file && err.error !== 'Cancelled' && (
+                    <button
+                      onClick={() => startReport(err)}
+                      className={`text-xs underline whitespace-nowrap ${darkMode ? 'hover:text-red-100' : 'hover:text-red-900'}`}
+                      title="Save an anonymized copy of this bill's text and log for whoever maintains the patterns"
+                    >
+                      Report parsing problem
+                    </button>
+                  )}
                 </div>
               ))}
             </div>
@@ -621,8 +1491,45 @@ const PDFUtilityParser = () => {
               <div className="flex justify-between items-center mb-4 gap-4">
                 <h2 className={`text-2xl font-semibold ${darkMode ? 'text-gray-100' : 'text-gray-800'}`}>
                   Extracted Data
+                  {edits.length > 0 && (
+                    <span className={`ml-3 text-sm font-normal ${darkMode ? 'text-purple-300' : 'text-purple-700'}`}>
+                      {edits.length} manual {edits.length === 1 ? 'edit' : 'edits'}
+                    </span>
+                  )}
+                  {warnedRows > 0 && (
+                    <span className={`ml-3 text-sm font-normal ${darkMode ? 'text-red-300' : 'text-red-700'}`}>
+                      {warnedRows} {warnedRows === 1 ? 'bill' : 'bills'} with warnings
+                    </span>
+                  )}
+                  {duplicates.size > 0 && (
+                    <span className={`ml-3 text-sm font-normal ${darkMode ? 'text-amber-300' : 'text-amber-700'}`}>
+                      {duplicates.size} possible {duplicates.size === 1 ? 'duplicate' : 'duplicates'}
+                    </span>
+                  )}
                 </h2>
                 <div className="flex gap-2">
+                  <button
+                    onClick={() => setShowAnalytics(!showAnalytics)}
+                    className={`px-4 py-2 rounded-lg transition-colors font-medium ${
+                      showAnalytics
+                        ? 'bg-indigo-600 hover:bg-indigo-700 text-white'
+                        : darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+                    }`}
+                    title="Unit costs, totals per address and provider, trends and outliers"
+                  >
+                    Analytics
+                  </button>
+                  <button
+                    onClick={() => setShowPortfolio(!showPortfolio)}
+                    className={`px-4 py-2 rounded-lg transition-colors font-medium ${
+                      showPortfolio
+                        ? 'bg-indigo-600 hover:bg-indigo-700 text-white'
+                        : darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+                    }`}
+                    title="Bills grouped by site on a 12-month grid, with missing months highlighted"
+                  >
+                    Portfolio
+                  </button>
                   <button
                     onClick={clearResults}
                     className={`px-4 py-2 rounded-lg transition-colors font-medium ${
@@ -670,198 +1577,324 @@ const PDFUtilityParser = () => {
                         </button>
                         <button
                           onClick={handleExportElectric}
-                          className={`w-full text-left px-4 py-3 hover:bg-opacity-10 hover:bg-gray-500 flex items-center gap-2 rounded-b-lg ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}
+                          className={`w-full text-left px-4 py-3 hover:bg-opacity-10 hover:bg-gray-500 flex items-center gap-2 ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}
                         >
                           <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                           </svg>
                           Electric Only
                         </button>
+                        <label className={`flex items-center gap-2 px-4 py-3 text-sm border-t cursor-pointer ${
+                          darkMode ? 'text-gray-300 border-gray-600' : 'text-gray-700 border-gray-200'
+                        }`}>
+                          <input
+                            type="checkbox"
+                            checked={includeProvenance}
+                            onChange={(e) => setIncludeProvenance(e.target.checked)}
+                          />
+                          Include provenance sheet
+                        </label>
+                        <label className={`flex items-center gap-2 px-4 pb-3 text-sm cursor-pointer ${
+                          darkMode ? 'text-gray-300' : 'text-gray-700'
+                        }`}>
+                          <input
+                            type="checkbox"
+                            checked={groupBySupplier}
+                            onChange={(e) => setGroupBySupplier(e.target.checked)}
+                          />
+                          One sheet per supplier
+                        </label>
+                        <label className={`flex items-center gap-2 px-4 pb-3 text-sm cursor-pointer ${
+                          darkMode ? 'text-gray-300' : 'text-gray-700'
+                        }`}>
+                          <input
+                            type="checkbox"
+                            checked={portfolioSheet}
+                            onChange={(e) => setPortfolioSheet(e.target.checked)}
+                          />
+                          Site x Month sheet
+                        </label>
+                        {analyticsSheets.length > 0 && (
+                          <p className={`px-4 pb-3 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            + {analyticsSheets.length} analytics {analyticsSheets.length === 1 ? 'sheet' : 'sheets'}
+                          </p>
+                        )}
                       </div>
                     )}
                   </div>
                 </div>
               </div>
+              {showAnalytics && (
+                <AnalyticsDashboard
+                  results={results}
+                  sheets={analyticsSheets}
+                  onToggleSheet={toggleAnalyticsSheet}
+                  darkMode={darkMode}
+                />
+              )}
+              {showPortfolio && (
+                <PortfolioView
+                  results={results}
+                  inWorkbook={portfolioSheet}
+                  onToggleSheet={() => setPortfolioSheet(!portfolioSheet)}
+                  darkMode={darkMode}
+                />
+              )}
               {/* Group results by provider and display separate tables */}
               {(() => {
                 // Group results by provider
-                const resultsByProvider = {};
-                results.forEach((row, idx) => {
-                  const provider = row['Provider'] || 'Unknown';
-                  if (!resultsByProvider[provider]) {
-                    resultsByProvider[provider] = [];
-                  }
-                  resultsByProvider[provider].push({ ...row, originalIndex: idx });
-                });
+                const resultsByProvider = groupByProvider(sortResults(results, sort.column, sort.direction));
+                const providerIds = Object.keys(PROVIDERS);
+                const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
+                  darkMode
+                    ? 'text-gray-200 border-gray-500'
+                    : 'text-gray-700 border-gray-300'
+                }`;
+                const emptyCell = <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>;
 
-                return Object.keys(resultsByProvider).map(provider => (
-                  <div key={provider} className="mb-6">
-                    {/* Provider header */}
-                    <h3 className={`text-lg font-semibold mb-3 flex items-center gap-2 ${
-                      darkMode ? 'text-gray-100' : 'text-gray-800'
-                    }`}>
-                      <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
-                        provider === 'ACE'
-                          ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
-                          : provider === 'PSE&G'
-                            ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
-                            : darkMode
-                              ? 'bg-gray-600 text-gray-200'
-                              : 'bg-gray-200 text-gray-800'
-                      }`}>
-                        {provider}
-                      </span>
-                      <span className={`text-sm font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                        ({resultsByProvider[provider].length} {resultsByProvider[provider].length === 1 ? 'bill' : 'bills'})
-                      </span>
-                    </h3>
+                return Object.keys(resultsByProvider).map(provider => {
+                  const rows = resultsByProvider[provider];
+                  const providerId = rows[0]._providerId;
+                  const columns = getProviderColumns(providerId);
+                  const badgeColor = providerIds.includes(providerId)
+                    ? PROVIDER_BADGE_COLORS[providerIds.indexOf(providerId) % PROVIDER_BADGE_COLORS.length]
+                    : (darkMode ? 'bg-gray-600 text-gray-200' : 'bg-gray-200 text-gray-800');
 
-                    <div className="overflow-x-auto">
-                      <table className={`min-w-full border rounded-lg ${
-                        darkMode
-                          ? 'bg-gray-700 border-gray-600'
-                          : 'bg-white border-gray-300'
+                  return (
+                    <div key={provider} className="mb-6">
+                      {/* Provider header */}
+                      <h3 className={`text-lg font-semibold mb-3 flex items-center gap-2 ${
+                        darkMode ? 'text-gray-100' : 'text-gray-800'
                       }`}>
-                        <thead className={darkMode ? 'bg-gray-600' : 'bg-gray-100'}>
-                          <tr>
-                            <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                              darkMode
-                                ? 'text-gray-200 border-gray-500'
-                                : 'text-gray-700 border-gray-300'
-                            }`}>
-                              File Name
-                            </th>
-                            {provider === 'ACE' && (
-                              <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                                darkMode
-                                  ? 'text-gray-200 border-gray-500'
-                                  : 'text-gray-700 border-gray-300'
-                              }`}>
-                                ID Number
-                              </th>
-                            )}
-                            {provider === 'PSE&G' && (
-                              <>
-                                <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                                  darkMode
-                                    ? 'text-gray-200 border-gray-500'
-                                    : 'text-gray-700 border-gray-300'
-                                }`}>
-                                  PE
-                                </th>
-                                <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                                  darkMode
-                                    ? 'text-gray-200 border-gray-500'
-                                    : 'text-gray-700 border-gray-300'
-                                }`}>
-                                  PG
-                                </th>
-                              </>
-                            )}
-                            <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                              darkMode
-                                ? 'text-gray-200 border-gray-500'
-                                : 'text-gray-700 border-gray-300'
-                            }`}>
-                              Service Address
-                            </th>
-                            <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                              darkMode
-                                ? 'text-gray-200 border-gray-500'
-                                : 'text-gray-700 border-gray-300'
-                            }`}>
-                              Total Usage (kWh)
-                            </th>
-                            <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                              darkMode
-                                ? 'text-gray-200 border-gray-500'
-                                : 'text-gray-700 border-gray-300'
-                            }`}>
-                              Total Gas Supply Charges
-                            </th>
-                            <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider border-b ${
-                              darkMode
-                                ? 'text-gray-200 border-gray-500'
-                                : 'text-gray-700 border-gray-300'
-                            }`}>
-                              Total Electric Supply Charges
-                            </th>
-                            <th className={`px-4 py-3 text-center text-xs font-medium uppercase tracking-wider border-b ${
-                              darkMode
-                                ? 'text-gray-200 border-gray-500'
-                                : 'text-gray-700 border-gray-300'
-                            }`}>
-                              Actions
-                            </th>
-                          </tr>
-                        </thead>
-                        <tbody className={`divide-y ${darkMode ? 'divide-gray-600' : 'divide-gray-200'}`}>
-                          {resultsByProvider[provider].map((row) => (
-                            <tr key={row.originalIndex} className={darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-50'}>
-                              <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                <div className="max-w-sm truncate" title={row['File Name']}>
-                                  {row['File Name']}
-                                </div>
-                              </td>
-                              {provider === 'ACE' && (
-                                <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                  {row['ID Number'] || <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>}
-                                </td>
-                              )}
-                              {provider === 'PSE&G' && (
-                                <>
-                                  <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                    {row['PE'] || <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>}
-                                  </td>
-                                  <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                    {row['PG'] || <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>}
-                                  </td>
-                                </>
-                              )}
-                              <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                <div className="max-w-md truncate" title={row['Service Address']}>
-                                  {row['Service Address'] || <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>}
-                                </div>
-                              </td>
-                              <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                {row['Total Usage (kWh)']
-                                  ? `${row['Total Usage (kWh)']} kWh`
-                                  : <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>}
-                              </td>
-                              <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                {row['Total Gas Supply Charges']
-                                  ? (isNaN(row['Total Gas Supply Charges'])
-                                      ? row['Total Gas Supply Charges']
-                                      : `$${row['Total Gas Supply Charges']}`)
-                                  : <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>}
-                              </td>
-                              <td className={`px-3 py-2 text-sm ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>
-                                {row['Total Electric Supply Charges']
-                                  ? (isNaN(row['Total Electric Supply Charges'])
-                                      ? row['Total Electric Supply Charges']
-                                      : `$${row['Total Electric Supply Charges']}`)
-                                  : <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>—</span>}
-                              </td>
-                              <td className="px-4 py-3 text-center">
-                                <button
-                                  onClick={() => removeResult(row.originalIndex)}
-                                  className={`p-1.5 rounded hover:bg-red-100 dark:hover:bg-red-900/30 transition-colors ${
-                                    darkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'
-                                  }`}
-                                  title="Remove this result"
+                        <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${badgeColor}`}>
+                          {provider}
+                        </span>
+                        <span className={`text-sm font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          ({rows.length} {rows.length === 1 ? 'bill' : 'bills'})
+                        </span>
+                      </h3>
+
+                      <div className="overflow-x-auto">
+                        <table className={`min-w-full border rounded-lg ${
+                          darkMode
+                            ? 'bg-gray-700 border-gray-600'
+                            : 'bg-white border-gray-300'
+                        }`}>
+                          <thead className={darkMode ? 'bg-gray-600' : 'bg-gray-100'}>
+                            <tr>
+                              <th className={headerClass}>File Name</th>
+                              {columns.map(column => (
+                                <th
+                                  key={column.label}
+                                  className={`${headerClass} cursor-pointer select-none whitespace-nowrap`}
+                                  onClick={() => toggleSort(column.label)}
+                                  title="Sort by this column"
                                 >
-                                  <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                  </svg>
-                                </button>
-                              </td>
+                                  {column.label}
+                                  {sort.column === column.label && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                                </th>
+                              ))}
+                              <th className={`${headerClass} text-center`}>Charges</th>
+                              <th className={`${headerClass} text-center`}>Meters</th>
+                              <th className={`${headerClass} text-center`}>Actions</th>
                             </tr>
-                          ))}
-                        </tbody>
-                      </table>
+                          </thead>
+                          <tbody className={`divide-y ${darkMode ? 'divide-gray-600' : 'divide-gray-200'}`}>
+                            {rows.map((row) => {
+                              const lineItems = row._lineItems || [];
+                              const checks = row._chargeChecks || [];
+                              const failedChecks = checks.filter(check => check.status !== 'ok');
+                              const meters = row._meters || [];
+                              const expanded = expandedDetails[row._id];
+                              return (
+                                <React.Fragment key={row._id}>
+                                  <tr className={darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-50'}>
+                                    <td
+                                      className={`px-3 py-2 text-sm ${row._file ? 'cursor-pointer hover:underline' : ''} ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}
+                                      onClick={() => openViewer(row)}
+                                    >
+                                      <div className="flex items-center gap-1.5">
+                                        <span className="max-w-sm truncate" title={row['File Name']}>
+                                          {row['File Name']}
+                                        </span>
+                                        {row._ocr && (
+                                          <span
+                                            className={`px-1.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                                              darkMode ? 'bg-purple-900 text-purple-200' : 'bg-purple-100 text-purple-800'
+                                            }`}
+                                            title={`Scanned bill: page ${row._ocr.pages.join(', ')} read by OCR (${row._ocr.confidence}% confidence). Check values against the PDF.`}
+                                          >
+                                            OCR
+                                          </span>
+                                        )}
+                                        {row._warnings?.length > 0 && (
+                                          <span
+                                            className={`px-1.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                                              darkMode ? 'bg-red-900 text-red-200' : 'bg-red-100 text-red-800'
+                                            }`}
+                                            title={row._warnings.map(warning => `⚠ ${warning.message}`).join('\n')}
+                                          >
+                                            ⚠ {row._warnings.length}
+                                          </span>
+                                        )}
+                                        {row._detection?.close && (
+                                          <button
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              rerunFile(row, row._detection.runnerUp.providerId);
+                                            }}
+                                            disabled={!row._file || processing}
+                                            className={`px-1.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap disabled:cursor-default ${
+                                              darkMode ? 'bg-sky-900 text-sky-200 hover:bg-sky-800' : 'bg-sky-100 text-sky-800 hover:bg-sky-200'
+                                            }`}
+                                            title={`Close call: ${row._detection.runnerUp.name} read this bill almost as well (quality ${row._detection.runnerUp.quality.toFixed(1)} vs ${row._detection.quality.toFixed(1)}).${row._file ? ` Click to read it as a ${row._detection.runnerUp.name} bill.` : ''}`}
+                                          >
+                                            or {row._detection.runnerUp.name}?
+                                          </button>
+                                        )}
+                                        {duplicates.has(row._id) && (
+                                          <span
+                                            className={`px-1.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                                              darkMode ? 'bg-amber-900 text-amber-200' : 'bg-amber-100 text-amber-800'
+                                            }`}
+                                            title={`Possible duplicate: ${describeDuplicate(duplicates.get(row._id))}`}
+                                          >
+                                            Duplicate
+                                          </span>
+                                        )}
+                                        {row._report && (
+                                          <span
+                                            className={`px-1.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                                              darkMode ? 'bg-gray-600 text-gray-200' : 'bg-gray-200 text-gray-700'
+                                            }`}
+                                            title={`Reproduced from the parsing report ${row._report} (redacted text, no PDF)`}
+                                          >
+                                            Report
+                                          </span>
+                                        )}
+                                      </div>
+                                      {row._source?.recordCount > 1 && (
+                                        <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                          Record {row._source.record} of {row._source.recordCount} · p. {sourcePages(row)}
+                                        </div>
+                                      )}
+                                    </td>
+                                    {columns.map(column => {
+                                      const value = row[column.label];
+                                      const display = value === null || value === undefined || value === ''
+                                        ? emptyCell
+                                        : formatCellValue(value, column);
+                                      return (
+                                        <td key={column.label} {...cellProps(row, column.label)}>
+                                          {column.type === 'address' ? (
+                                            <div className="max-w-md truncate" title={value || undefined}>
+                                              {editableCell(row, column.label, display)}
+                                            </div>
+                                          ) : editableCell(row, column.label, display)}
+                                        </td>
+                                      );
+                                    })}
+                                    <td className="px-4 py-3 text-center">
+                                      {lineItems.length > 0 ? (
+                                        <button
+                                          onClick={() => toggleDetails(row._id, 'charges')}
+                                          className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                                            failedChecks.length > 0
+                                              ? (darkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800')
+                                              : (darkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800')
+                                          }`}
+                                          title={checks.length > 0
+                                            ? checks.map(check => `${check.label}: ${check.status}`).join('\n')
+                                            : 'No printed totals to check against'}
+                                        >
+                                          {failedChecks.length > 0 ? '⚠' : '✓'} {lineItems.length} items {expanded === 'charges' ? '▲' : '▼'}
+                                        </button>
+                                      ) : emptyCell}
+                                    </td>
+                                    <td className="px-4 py-3 text-center">
+                                      {meters.length > 0 ? (
+                                        <button
+                                          onClick={() => toggleDetails(row._id, 'meters')}
+                                          className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                                            darkMode ? 'bg-blue-900 text-blue-200' : 'bg-blue-100 text-blue-800'
+                                          }`}
+                                        >
+                                          {meters.length} {meters.length === 1 ? 'meter' : 'meters'} {expanded === 'meters' ? '▲' : '▼'}
+                                        </button>
+                                      ) : emptyCell}
+                                    </td>
+                                    <td className="px-4 py-3 text-center whitespace-nowrap">
+                                      {row._file && (
+                                        <button
+                                          onClick={() => rerunFile(row)}
+                                          disabled={processing}
+                                          className={`p-1.5 rounded transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                                            darkMode ? 'text-blue-400 hover:text-blue-300 hover:bg-blue-900/30' : 'text-blue-600 hover:text-blue-700 hover:bg-blue-100'
+                                          }`}
+                                          title={`Re-run ${row['File Name']} (replaces its rows, keeps the rest)`}
+                                        >
+                                          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                          </svg>
+                                        </button>
+                                      )}
+                                      {row._file && (
+                                        <button
+                                          onClick={() => startReport({ file: row._file, fileName: row['File Name'] })}
+                                          className={`p-1.5 rounded transition-colors ${
+                                            darkMode ? 'text-amber-400 hover:text-amber-300 hover:bg-amber-900/30' : 'text-amber-600 hover:text-amber-700 hover:bg-amber-100'
+                                          }`}
+                                          title="Report parsing problem: save an anonymized copy of this bill's text and log"
+                                        >
+                                          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2z" />
+                                          </svg>
+                                        </button>
+                                      )}
+                                      <button
+                                        onClick={() => removeResult(row._id)}
+                                        className={`p-1.5 rounded hover:bg-red-100 dark:hover:bg-red-900/30 transition-colors ${
+                                          darkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'
+                                        }`}
+                                        title="Remove this result"
+                                      >
+                                        <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                        </svg>
+                                      </button>
+                                    </td>
+                                  </tr>
+                                  {expanded && (
+                                    <tr className={darkMode ? 'bg-gray-800' : 'bg-gray-50'}>
+                                      <td colSpan={columns.length + 4} className="px-6 py-3">
+                                        {expanded === 'charges' ? (
+                                          <ChargesDetail
+                                            row={row}
+                                            clickable={Boolean(row._file)}
+                                            onOpenSource={(label, value, provenance) => openSource(row, label, value, provenance)}
+                                            darkMode={darkMode}
+                                          />
+                                        ) : (
+                                          <MetersDetail
+                                            row={row}
+                                            columns={getMeterColumns(providerId)}
+                                            clickable={Boolean(row._file)}
+                                            onOpenSource={(label, value, provenance) => openSource(row, label, value, provenance)}
+                                            darkMode={darkMode}
+                                          />
+                                        )}
+                                      </td>
+                                    </tr>
+                                  )}
+                                </React.Fragment>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
                     </div>
-                  </div>
-                ));
+                  );
+                });
               })()}
             </div>
           )}
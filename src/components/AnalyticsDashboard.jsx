@@ -0,0 +1,306 @@
+import React, { useMemo, useRef } from 'react';
+import { analyzeResults, ANALYTICS_SECTIONS } from '../utils/analytics';
+
+// Line colors for the service addresses of a chart, in first-seen order
+const SERIES_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777'];
+
+// Chart drawing area (SVG units) and the room left for axis labels
+const CHART_WIDTH = 720;
+const PLOT_HEIGHT = 220;
+const MARGIN = { top: 16, right: 24, bottom: 36, left: 72 };
+const LEGEND_ROW_HEIGHT = 18;
+const LEGEND_COLUMNS = 2;
+// PNG exports are drawn at this multiple of the on-screen size
+const PNG_SCALE = 2;
+
+// Theme colors are written into the SVG itself, so an exported PNG looks like the chart on screen
+const chartTheme = (darkMode) => (darkMode
+  ? { background: '#1f2937', text: '#e5e7eb', muted: '#9ca3af', grid: '#374151' }
+  : { background: '#ffffff', text: '#1f2937', muted: '#6b7280', grid: '#e5e7eb' });
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 4 }) : value);
+const formatCell = (value) => (value === null || value === undefined ? '—' : String(formatNumber(value)));
+
+// "Supply Cost" -> "utility_supply_cost.png"
+const exportFileName = (title, extension) => `utility_${title.toLowerCase().replace(/[^a-z0-9]+/g, '_')}.${extension}`;
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const downloadCanvas = (canvas, fileName) => canvas.toBlob(blob => downloadBlob(blob, fileName), 'image/png');
+
+/**
+ * Save a chart's SVG as a PNG
+ * @param {SVGSVGElement} svg - Rendered chart
+ * @param {string} fileName - Download name
+ */
+const saveSvgAsPng = (svg, fileName) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const source = new XMLSerializer().serializeToString(svg);
+  const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    downloadCanvas(canvas, fileName);
+  };
+  image.src = url;
+};
+
+/**
+ * Save a table as a PNG: its title, header and rows drawn as text on a canvas
+ * @param {string} title - Table heading
+ * @param {Array} rows - Section rows (keyed by column label)
+ * @param {Object} theme - From chartTheme
+ * @param {string} fileName - Download name
+ */
+const saveTableAsPng = (title, rows, theme, fileName) => {
+  const headers = Object.keys(rows[0]);
+  const cells = rows.map(row => headers.map(header => formatCell(row[header])));
+  const font = '12px system-ui, sans-serif';
+  const boldFont = `600 ${font}`;
+  const padding = 8;
+  const rowHeight = 22;
+  const titleHeight = 32;
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const widths = headers.map((header, i) => {
+    context.font = boldFont;
+    let width = context.measureText(header).width;
+    context.font = font;
+    cells.forEach(row => {
+      width = Math.max(width, context.measureText(row[i]).width);
+    });
+    return Math.ceil(width) + padding * 2;
+  });
+  const width = widths.reduce((sum, value) => sum + value, 0) + padding * 2;
+  const height = titleHeight + rowHeight * (rows.length + 1) + padding;
+
+  canvas.width = width * PNG_SCALE;
+  canvas.height = height * PNG_SCALE;
+  context.scale(PNG_SCALE, PNG_SCALE);
+  context.fillStyle = theme.background;
+  context.fillRect(0, 0, width, height);
+  context.textBaseline = 'middle';
+  context.fillStyle = theme.text;
+  context.font = '600 14px system-ui, sans-serif';
+  context.fillText(title, padding, titleHeight / 2);
+
+  [headers, ...cells].forEach((row, rowIndex) => {
+    const y = titleHeight + rowHeight * rowIndex;
+    let x = padding;
+    context.font = rowIndex === 0 ? boldFont : font;
+    context.fillStyle = rowIndex === 0 ? theme.muted : theme.text;
+    row.forEach((text, i) => {
+      context.fillText(text, x + padding, y + rowHeight / 2);
+      x += widths[i];
+    });
+    context.strokeStyle = theme.grid;
+    context.beginPath();
+    context.moveTo(padding, y + rowHeight);
+    context.lineTo(width - padding, y + rowHeight);
+    context.stroke();
+  });
+
+  downloadCanvas(canvas, fileName);
+};
+
+// Round a chart maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  return [1, 2, 5, 10].map(step => step * power).find(step => step >= value);
+};
+
+/**
+ * Line chart of a chart section: months along the x axis, one line per service address
+ * Months a site has no value for break its line
+ * @param {Array} rows - Section rows: { Month, [address]: value }
+ * @param {string} unit - Y axis unit ('kWh', 'therms' or '$')
+ * @param {Object} theme - From chartTheme
+ */
+const LineChart = React.forwardRef(({ rows, unit, theme }, ref) => {
+  const series = Object.keys(rows[0]).filter(key => key !== 'Month');
+  const legendRows = Math.ceil(series.length / LEGEND_COLUMNS);
+  const height = MARGIN.top + PLOT_HEIGHT + MARGIN.bottom + legendRows * LEGEND_ROW_HEIGHT;
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const maxValue = niceMax(Math.max(...rows.flatMap(row => series.map(name => row[name] ?? 0))));
+  const x = (i) => MARGIN.left + (rows.length === 1 ? plotWidth / 2 : (i / (rows.length - 1)) * plotWidth);
+  const y = (value) => MARGIN.top + PLOT_HEIGHT - (value / maxValue) * PLOT_HEIGHT;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(share => share * maxValue);
+  const tickLabel = (value) => (unit === '$' ? `$${formatNumber(value)}` : `${formatNumber(value)}`);
+  // Label every month when they fit, otherwise every nth
+  const labelEvery = Math.ceil(rows.length / 12);
+
+  const path = (name) => rows.reduce((d, row, i) => {
+    if (row[name] === null || row[name] === undefined) return d;
+    const previous = rows[i - 1]?.[name];
+    return `${d}${previous === null || previous === undefined ? 'M' : 'L'}${x(i).toFixed(1)},${y(row[name]).toFixed(1)} `;
+  }, '');
+
+  return (
+    <svg
+      ref={ref}
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      className="w-full h-auto"
+      fontFamily="system-ui, sans-serif"
+      fontSize="11"
+    >
+      <rect width={CHART_WIDTH} height={height} fill={theme.background} />
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke={theme.grid} />
+          <text x={MARGIN.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle" fill={theme.muted}>{tickLabel(tick)}</text>
+        </g>
+      ))}
+      {unit !== '$' && (
+        <text x={12} y={MARGIN.top + PLOT_HEIGHT / 2} textAnchor="middle" fill={theme.muted} transform={`rotate(-90 12 ${MARGIN.top + PLOT_HEIGHT / 2})`}>{unit}</text>
+      )}
+      {rows.map((row, i) => (i % labelEvery === 0 ? (
+        <text key={row.Month} x={x(i)} y={MARGIN.top + PLOT_HEIGHT + 18} textAnchor="middle" fill={theme.muted}>{row.Month}</text>
+      ) : null))}
+      {series.map((name, index) => {
+        const color = SERIES_COLORS[index % SERIES_COLORS.length];
+        return (
+          <g key={name}>
+            <path d={path(name)} fill="none" stroke={color} strokeWidth="2" />
+            {rows.map((row, i) => (row[name] === null || row[name] === undefined ? null : (
+              <circle key={row.Month} cx={x(i)} cy={y(row[name])} r="3" fill={color}>
+                <title>{`${name}, ${row.Month}: ${tickLabel(row[name])}${unit === '$' ? '' : ` ${unit}`}`}</title>
+              </circle>
+            )))}
+          </g>
+        );
+      })}
+      {series.map((name, index) => {
+        const legendX = MARGIN.left + (index % LEGEND_COLUMNS) * (plotWidth / LEGEND_COLUMNS);
+        const legendY = MARGIN.top + PLOT_HEIGHT + MARGIN.bottom + Math.floor(index / LEGEND_COLUMNS) * LEGEND_ROW_HEIGHT;
+        return (
+          <g key={name}>
+            <rect x={legendX} y={legendY - 5} width="10" height="10" fill={SERIES_COLORS[index % SERIES_COLORS.length]} />
+            <text x={legendX + 16} y={legendY} dominantBaseline="middle" fill={theme.text}>
+              {name.length > 48 ? `${name.slice(0, 47)}…` : name}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+});
+
+/**
+ * One dashboard section: a chart or a table, with its PNG download and workbook toggle
+ */
+const SectionCard = ({ section, rows, theme, inWorkbook, onToggleSheet, darkMode }) => {
+  const chartRef = useRef(null);
+  const headers = Object.keys(rows[0]);
+  const savePng = () => (section.chart
+    ? saveSvgAsPng(chartRef.current, exportFileName(section.title, 'png'))
+    : saveTableAsPng(section.title, rows, theme, exportFileName(section.title, 'png')));
+
+  return (
+    <div className={`rounded-lg border p-4 ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-200'}`}>
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <h4 className={`font-semibold ${darkMode ? 'text-gray-100' : 'text-gray-800'}`}>
+          {section.title}
+          <span className={`ml-2 text-sm font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {section.chart ? (section.chart.unit === '$' ? 'supply $ per month' : `${section.chart.unit} per month`) : `${rows.length} ${rows.length === 1 ? 'row' : 'rows'}`}
+          </span>
+        </h4>
+        <div className="flex items-center gap-3 text-sm">
+          <label className={`flex items-center gap-1.5 cursor-pointer ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+            <input type="checkbox" checked={inWorkbook} onChange={() => onToggleSheet(section.id)} />
+            Sheet in workbook
+          </label>
+          <button
+            onClick={savePng}
+            className={`px-2.5 py-1 rounded font-medium ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+            }`}
+            title={`Download ${section.title} as a PNG image`}
+          >
+            PNG
+          </button>
+        </div>
+      </div>
+      {section.chart ? (
+        <LineChart ref={chartRef} rows={rows} unit={section.chart.unit} theme={theme} />
+      ) : (
+        <div className="max-h-80 overflow-auto">
+          <table className={`min-w-full text-sm ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+            <thead className={`sticky top-0 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+              <tr className={`text-xs uppercase ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                {headers.map(header => (
+                  <th key={header} className="px-3 py-1.5 text-left font-semibold whitespace-nowrap">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, idx) => (
+                <tr key={idx} className={`border-t ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+                  {headers.map(header => (
+                    <td key={header} className={`px-3 py-1.5 whitespace-nowrap ${typeof row[header] === 'number' ? 'tabular-nums text-right' : ''}`}>
+                      {formatCell(row[header])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Analytics over the parsed results: usage and supply cost per service address over time, unit
+ * costs, totals per address and provider, month-over-month change and outliers (see utils/analytics.js)
+ * @param {Array} results - Result rows
+ * @param {Array<string>} sheets - Ids of the sections added to the exported workbook
+ * @param {Function} onToggleSheet - (sectionId) to add or remove a section's sheet
+ */
+const AnalyticsDashboard = ({ results, sheets, onToggleSheet, darkMode }) => {
+  const analysis = useMemo(() => analyzeResults(results), [results]);
+  const theme = chartTheme(darkMode);
+  const sections = ANALYTICS_SECTIONS
+    .map(section => ({ section, rows: section.rows(analysis) }))
+    .filter(({ rows }) => rows.length > 0);
+
+  if (sections.length === 0) {
+    return (
+      <p className={`mb-6 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No bills a provider could read yet.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mb-8 space-y-4">
+      {sections.map(({ section, rows }) => (
+        <SectionCard
+          key={section.id}
+          section={section}
+          rows={rows}
+          theme={theme}
+          inWorkbook={sheets.includes(section.id)}
+          onToggleSheet={onToggleSheet}
+          darkMode={darkMode}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
@@ -0,0 +1,61 @@
+import React from 'react';
+
+/**
+ * Itemized charges of one result row, grouped by commodity, with each printed total and its check
+ * @param {Object} row - Result row with _lineItems and _chargeChecks
+ * @param {boolean} clickable - Whether items can be opened in the PDF viewer
+ * @param {Function} onOpenSource - (label, value, provenance) to show where an amount was read
+ */
+const ChargesDetail = ({ row, clickable, onOpenSource, darkMode }) => {
+  const lineItems = row._lineItems || [];
+  const checks = row._chargeChecks || [];
+
+  return (
+    <div className="grid gap-4 md:grid-cols-3">
+      {[...new Set(lineItems.map(item => item.commodity))].map(commodity => (
+        <div key={commodity}>
+          <p className={`text-xs font-semibold uppercase mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            {commodity}
+          </p>
+          <table className={`w-full text-sm ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+            <tbody>
+              {lineItems.filter(item => item.commodity === commodity).map((item, idx) => (
+                <tr
+                  key={idx}
+                  className={clickable ? 'cursor-pointer hover:underline' : ''}
+                  onClick={() => onOpenSource(item.label, item.amount, item.provenance)}
+                  title={item.provenance ? `${item.provenance.pattern}, page ${item.provenance.page ?? '?'}` : undefined}
+                >
+                  <td className={`pr-4 ${item.partOfTotal ? '' : (darkMode ? 'pl-3 text-gray-400' : 'pl-3 text-gray-500')}`}>
+                    {item.label}
+                  </td>
+                  <td className="text-right tabular-nums">${item.amount}</td>
+                </tr>
+              ))}
+              {checks.filter(check => check.commodity === commodity).map((check, idx) => (
+                <tr
+                  key={`check-${idx}`}
+                  className={`font-semibold border-t ${darkMode ? 'border-gray-600' : 'border-gray-300'} ${clickable ? 'cursor-pointer' : ''}`}
+                  onClick={() => onOpenSource(check.label, check.total, check.provenance)}
+                  title={`Items sum $${check.itemsSum}, difference $${check.difference}`}
+                >
+                  <td className="pr-4">
+                    {check.status === 'ok' ? '✓' : '⚠'} {check.label}
+                    {check.status !== 'ok' && (
+                      <span className={`ml-1 text-xs font-normal ${darkMode ? 'text-yellow-300' : 'text-yellow-700'}`}>
+                        ({check.status}, off by ${check.difference})
+                      </span>
+                    )}
+                  </td>
+                  <td className="text-right tabular-nums">${check.total}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ChargesDetail;
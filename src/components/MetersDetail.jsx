@@ -0,0 +1,50 @@
+import React from 'react';
+import { formatCellValue } from '../providers/schema';
+
+/**
+ * Per-meter readings of one result row (TOU usage, demand, power factor), one line per meter
+ * @param {Object} row - Result row with _meters
+ * @param {Array} columns - The provider's meter columns
+ * @param {boolean} clickable - Whether values can be opened in the PDF viewer
+ * @param {Function} onOpenSource - (label, value, provenance) to show where a reading was read
+ */
+const MetersDetail = ({ row, columns, clickable, onOpenSource, darkMode }) => {
+  const meters = row._meters || [];
+  // Hide columns no meter on this bill has a value for
+  const shown = columns.filter(column => meters.some(meter => meter[column.label] !== null && meter[column.label] !== undefined));
+  const cellClass = 'px-3 py-1 text-left whitespace-nowrap';
+
+  return (
+    <table className={`text-sm ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+      <thead>
+        <tr className={`text-xs uppercase ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+          {shown.map(column => (
+            <th key={column.label} className={`${cellClass} font-semibold`}>{column.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {meters.map((meter, idx) => (
+          <tr key={idx} className={`border-t ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+            {shown.map(column => {
+              const value = meter[column.label];
+              const provenance = meter._provenance?.[column.label];
+              return (
+                <td
+                  key={column.label}
+                  className={`${cellClass} tabular-nums ${clickable && provenance ? 'cursor-pointer hover:underline' : ''}`}
+                  onClick={() => provenance && onOpenSource(column.label, value, provenance)}
+                  title={provenance ? `${provenance.pattern}, ${provenance.confidence} confidence, page ${provenance.page ?? '?'}` : undefined}
+                >
+                  {value === null || value === undefined ? '—' : formatCellValue(value, column)}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default MetersDetail;
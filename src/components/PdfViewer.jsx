@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+
+const RENDER_SCALE = 1.4;
+
+// Screen-space box for a pdfjs text item on a rendered page
+const itemBox = (item, viewport) => {
+  const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+  const fontHeight = Math.hypot(tx[2], tx[3]);
+  return {
+    left: tx[4],
+    top: tx[5] - fontHeight,
+    width: item.width * viewport.scale,
+    height: fontHeight
+  };
+};
+
+// Render one page to a canvas with highlight boxes over the given text items
+// (ocrItems replaces the page's text items when the page was read by OCR)
+const PdfPage = ({ pdf, pageNumber, highlight, ocrItems, darkMode, pageRef }) => {
+  const canvasRef = useRef(null);
+  const [boxes, setBoxes] = useState([]);
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+
+    const render = async () => {
+      const page = await pdf.getPage(pageNumber);
+      if (cancelled) return;
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const canvas = canvasRef.current;
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      setSize({ width: viewport.width, height: viewport.height });
+
+      renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+      await renderTask.promise.catch(() => {});
+
+      if (!highlight || cancelled) {
+        setBoxes([]);
+        return;
+      }
+
+      // Re-read the text items; pdfjs returns them in the same order as during extraction
+      const items = ocrItems || (await page.getTextContent()).items;
+      if (cancelled) return;
+      const valueItems = new Set(highlight.valueItemIndices || []);
+      setBoxes((highlight.itemIndices || [])
+        .concat(highlight.valueItemIndices || [])
+        .filter((index, i, all) => all.indexOf(index) === i && items[index])
+        .map(index => ({
+          ...itemBox(items[index], viewport),
+          isValue: valueItems.has(index)
+        })));
+    };
+
+    render();
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+    };
+  }, [pdf, pageNumber, highlight, ocrItems]);
+
+  return (
+    <div ref={pageRef} className="mb-4">
+      <p className={`text-xs mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Page {pageNumber}</p>
+      <div className="relative shadow-md mx-auto" style={size || undefined}>
+        <canvas ref={canvasRef} className="block" />
+        {boxes.map((box, idx) => (
+          <div
+            key={idx}
+            className={`absolute pointer-events-none rounded-sm ${
+              box.isValue
+                ? 'bg-yellow-300/50 ring-2 ring-orange-500'
+                : 'bg-yellow-200/30'
+            }`}
+            style={{ left: box.left, top: box.top, width: box.width, height: box.height }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Side panel that renders a bill with pdfjs and highlights where a value was read
+ * @param {File} file - PDF file to show
+ * @param {Object} target - { column, value, provenance } for the clicked cell, or null to just show the file
+ * @param {number} page - Page to open on when the target has no source page (first page of a summary bill record)
+ * @param {Object} ocrItems - { [page]: items } recognized by OCR for scanned pages
+ * @param {Function} onClose - Close handler
+ */
+const PdfViewer = ({ file, target, page = 1, ocrItems, onClose, darkMode }) => {
+  const [pdf, setPdf] = useState(null);
+  const [error, setError] = useState(null);
+  const pageRefs = useRef({});
+  const provenance = target?.provenance;
+  const targetPage = provenance?.page || page;
+
+  // Load the document whenever the file changes and release it afterwards
+  useEffect(() => {
+    let loadingTask = null;
+    let cancelled = false;
+    setPdf(null);
+    setError(null);
+
+    file.arrayBuffer()
+      .then(data => {
+        if (cancelled) return null;
+        loadingTask = pdfjsLib.getDocument({ data });
+        return loadingTask.promise;
+      })
+      .then(doc => {
+        if (!cancelled && doc) setPdf(doc);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (loadingTask) loadingTask.destroy();
+    };
+  }, [file]);
+
+  // Scroll to the page holding the value
+  useEffect(() => {
+    if (pdf && pageRefs.current[targetPage]) {
+      pageRefs.current[targetPage].scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [pdf, targetPage]);
+
+  return (
+    <div className={`fixed inset-y-0 right-0 w-full md:w-1/2 z-40 flex flex-col shadow-2xl border-l ${
+      darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'
+    }`}>
+      <div className={`flex items-start justify-between gap-4 px-4 py-3 border-b ${
+        darkMode ? 'border-gray-600' : 'border-gray-200'
+      }`}>
+        <div className="min-w-0">
+          <h3 className={`font-semibold truncate ${darkMode ? 'text-gray-100' : 'text-gray-800'}`} title={file.name}>
+            {file.name}
+          </h3>
+          {target && (
+            <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              {target.column}: <span className="font-medium">{target.value ?? '—'}</span>
+              {provenance
+                ? ` · ${provenance.pattern}, ${provenance.confidence} confidence, page ${provenance.page ?? '?'}`
+                : ' · no source recorded'}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className={`flex-shrink-0 ${darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-500 hover:text-gray-800'}`}
+          title="Close viewer"
+        >
+          <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className={`flex-1 overflow-auto p-4 ${darkMode ? 'bg-gray-900' : 'bg-gray-100'}`}>
+        {error && (
+          <p className={`text-sm ${darkMode ? 'text-red-300' : 'text-red-700'}`}>❌ Could not open PDF: {error}</p>
+        )}
+        {!pdf && !error && (
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Loading…</p>
+        )}
+        {pdf && Array.from({ length: pdf.numPages }, (_, i) => i + 1).map(pageNumber => (
+          <PdfPage
+            key={pageNumber}
+            pdf={pdf}
+            pageNumber={pageNumber}
+            highlight={pageNumber === targetPage ? provenance : null}
+            ocrItems={ocrItems?.[pageNumber]}
+            darkMode={darkMode}
+            pageRef={el => { pageRefs.current[pageNumber] = el; }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PdfViewer;
@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from 'react';
+import { buildPortfolio, groupSites } from '../utils/portfolio';
+import { billMetrics } from '../utils/analytics';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "2024-02" -> "Feb 2024"
+const monthLabel = (month) => `${MONTH_NAMES[Number(month.slice(5)) - 1]} ${month.slice(0, 4)}`;
+
+const formatKwh = (value) => (value === null ? '— kWh' : `${value.toLocaleString('en-US', { maximumFractionDigits: 0 })} kWh`);
+const formatDollars = (value) => (value === null ? '—' : `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+// Sum of a measure over a site's months with bills (null when none had a value)
+const siteTotal = (site, months, measure) => {
+  const values = months.map(month => site.cells[month]?.[measure] ?? null).filter(value => value !== null);
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+};
+
+/**
+ * Bills grouped by site (service address, account number or PoD ID) on a 12-month grid; months a
+ * site has no bill for are highlighted (see utils/portfolio.js)
+ * @param {Array} results - Result rows
+ * @param {boolean} inWorkbook - Whether the "Site x Month" sheet is added to the exported workbook
+ * @param {Function} onToggleSheet - Add or remove the "Site x Month" sheet
+ */
+const PortfolioView = ({ results, inWorkbook, onToggleSheet, darkMode }) => {
+  const [endMonth, setEndMonth] = useState(null); // null: the latest bill month
+  // Months with at least one bill, newest first, for picking where the grid ends
+  const billMonths = useMemo(() => [...new Set(
+    groupSites(results).flatMap(site => site.rows.map(row => billMetrics(row).month)).filter(Boolean)
+  )].sort().reverse(), [results]);
+  const portfolio = useMemo(
+    () => buildPortfolio(results, { endMonth: billMonths.includes(endMonth) ? endMonth : null }),
+    [results, endMonth, billMonths]
+  );
+  const { months, sites } = portfolio;
+
+  if (sites.length === 0) {
+    return (
+      <p className={`mb-6 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No bills a provider could read yet.
+      </p>
+    );
+  }
+
+  const missingCount = sites.reduce((total, site) => total + site.missing.length, 0);
+  const cellClass = 'px-3 py-1.5 whitespace-nowrap text-right tabular-nums';
+
+  return (
+    <div className={`mb-8 rounded-lg border p-4 ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-200'}`}>
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <h4 className={`font-semibold ${darkMode ? 'text-gray-100' : 'text-gray-800'}`}>
+          Portfolio
+          <span className={`ml-2 text-sm font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {sites.length} {sites.length === 1 ? 'site' : 'sites'} · {missingCount} missing site-{missingCount === 1 ? 'month' : 'months'}
+          </span>
+        </h4>
+        <div className="flex items-center gap-3 text-sm">
+          {months.length > 0 && (
+            <label className={`flex items-center gap-1.5 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              Through
+              <select
+                value={months[months.length - 1]}
+                onChange={(e) => setEndMonth(e.target.value)}
+                className={`rounded border px-1.5 py-0.5 ${darkMode ? 'bg-gray-700 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-800'}`}
+              >
+                {billMonths.map(month => (
+                  <option key={month} value={month}>{monthLabel(month)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className={`flex items-center gap-1.5 cursor-pointer ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+            <input type="checkbox" checked={inWorkbook} onChange={onToggleSheet} />
+            Site x Month sheet in workbook
+          </label>
+        </div>
+      </div>
+      <div className="max-h-96 overflow-auto">
+        <table className={`min-w-full text-sm ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+          <thead className={`sticky top-0 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <tr className={`text-xs uppercase ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              <th className="px-3 py-1.5 text-left font-semibold">Site</th>
+              {months.map(month => (
+                <th key={month} className="px-3 py-1.5 text-right font-semibold whitespace-nowrap">{monthLabel(month)}</th>
+              ))}
+              <th className="px-3 py-1.5 text-right font-semibold">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sites.map(site => (
+              <tr key={site.id} className={`border-t align-top ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+                <td className="px-3 py-1.5 min-w-[14rem]">
+                  <div className="font-medium">{site.address}</div>
+                  <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    {[site.providers.join(', '), ...site.identifiers.map(({ label, value }) => `${label} ${value}`)].join(' · ')}
+                  </div>
+                  <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    {site.rows.length} {site.rows.length === 1 ? 'bill' : 'bills'}
+                    {site.undated > 0 && ` (${site.undated} without a billing period)`}
+                  </div>
+                </td>
+                {months.map(month => {
+                  const cell = site.cells[month];
+                  return cell ? (
+                    <td key={month} className={cellClass} title={`${cell.bills} ${cell.bills === 1 ? 'bill' : 'bills'}`}>
+                      <div>{formatKwh(cell.kwh)}</div>
+                      <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{formatDollars(cell.supply)}</div>
+                    </td>
+                  ) : (
+                    <td
+                      key={month}
+                      className={`${cellClass} text-xs ${darkMode ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-50 text-amber-700'}`}
+                      title={`No bill for ${monthLabel(month)}`}
+                    >
+                      missing
+                    </td>
+                  );
+                })}
+                <td className={`${cellClass} font-medium`}>
+                  <div>{formatKwh(siteTotal(site, months, 'kwh'))}</div>
+                  <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{formatDollars(siteTotal(site, months, 'supply'))}</div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioView;
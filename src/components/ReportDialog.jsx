@@ -0,0 +1,145 @@
+import React, { useState, useMemo } from 'react';
+import { createReport, redactionChanges, sensitiveValues } from '../core/bugReport';
+
+// Download a report as a JSON file
+const downloadReport = (report) => {
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `parsing-report-${report.source.replace(/\.pdf$/i, '')}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Dialog that builds an anonymized parsing problem report for one file and lets the user check the
+ * redacted text before downloading it
+ * @param {Object} draft - { fileName, error, status: 'reading' | 'ready', extracted, rows, log } with the
+ *   file's text read again (extracted is null when the PDF couldn't be read)
+ * @param {string} appVersion - Shown in and saved with the report
+ * @param {string} utilityMode - Provider mode the file was parsed with
+ * @param {Array} rules - Imported rule definitions to ship along
+ * @param {Function} onClose - Close handler
+ */
+const ReportDialog = ({ draft, appVersion, utilityMode, rules, onClose, darkMode }) => {
+  const [terms, setTerms] = useState('');
+  const ready = draft.status === 'ready';
+
+  const termList = useMemo(() => terms.split('\n').map(term => term.trim()).filter(Boolean), [terms]);
+  const found = useMemo(() => sensitiveValues(draft.rows || [], draft.extracted?.pages), [draft]);
+  const report = useMemo(() => (ready
+    ? createReport({ ...draft, utilityMode, appVersion, rules, terms: termList })
+    : null), [draft, ready, utilityMode, appVersion, rules, termList]);
+  const changed = report ? redactionChanges(draft.rows, report.output) : [];
+  // Without a name found on the bill, the user has to name the customer before the report can leave
+  const needsName = Boolean(report) && report.pages.length > 0 && found.names.length === 0 && termList.length === 0;
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className={`w-full max-w-3xl max-h-full flex flex-col rounded-lg shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-gray-100' : 'bg-white text-gray-900'
+      }`}>
+        <div className={`flex items-start justify-between gap-4 px-5 py-4 border-b ${
+          darkMode ? 'border-gray-600' : 'border-gray-200'
+        }`}>
+          <div className="min-w-0">
+            <h3 className="font-semibold">Report parsing problem</h3>
+            <p className={`text-sm truncate ${mutedText}`} title={draft.fileName}>{draft.fileName}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className={`flex-shrink-0 ${darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-500 hover:text-gray-800'}`}
+            title="Close"
+          >
+            <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto px-5 py-4 space-y-4 text-sm">
+          {!ready && <p className={mutedText}>Reading the PDF again…</p>}
+
+          {ready && (
+            <>
+              <p>
+                The report holds the bill's text with customer data replaced by fake values, the debug log,
+                the app version and the extracted rows. Anyone with the report can load it into this app to
+                reproduce the parse; the PDF itself is not included.
+              </p>
+              <p className={mutedText}>
+                Replaced: {found.identifiers.length} account, PoD or meter number(s), {found.addresses.length} address(es),
+                {' '}{found.names.length > 0 ? `the customer name(s) ${found.names.join(', ')}` : 'no customer name (none was found on page 1)'}
+                {' '}and every other number of 10 or more digits.
+              </p>
+
+              <div>
+                <label className="block font-medium mb-1" htmlFor="report-terms">
+                  Also replace (customer name, other addresses, anything private), one per line
+                </label>
+                <textarea
+                  id="report-terms"
+                  value={terms}
+                  onChange={(e) => setTerms(e.target.value)}
+                  rows={3}
+                  className={`w-full rounded border px-2 py-1 font-mono text-sm ${
+                    darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+                />
+              </div>
+
+              {needsName && (
+                <p className={`rounded px-3 py-2 ${darkMode ? 'bg-red-900/40 text-red-200' : 'bg-red-50 text-red-800'}`}>
+                  No customer name was recognized on the bill. Enter the name printed on it above before downloading.
+                </p>
+              )}
+              {changed.length > 0 && (
+                <p className={`rounded px-3 py-2 ${darkMode ? 'bg-amber-900/40 text-amber-200' : 'bg-amber-50 text-amber-800'}`}>
+                  ⚠ The redacted text doesn't read the same for: {changed.join(', ')}. The report may not show the problem.
+                </p>
+              )}
+              {report.pages.length === 0 && (
+                <p className={`rounded px-3 py-2 ${darkMode ? 'bg-red-900/40 text-red-200' : 'bg-red-50 text-red-800'}`}>
+                  No text could be read from the PDF; the report only holds the error and the log.
+                </p>
+              )}
+
+              <div>
+                <p className="font-medium mb-1">Check the text before sending it</p>
+                <pre className={`max-h-72 overflow-auto whitespace-pre-wrap break-words rounded p-3 text-xs ${
+                  darkMode ? 'bg-gray-900 text-gray-200' : 'bg-gray-100 text-gray-800'
+                }`}>
+                  {report.pages.map((page, i) => `--- Page ${i + 1} ---\n${page.text}`).join('\n\n')}
+                  {report.error && `\n\nError: ${report.error}`}
+                </pre>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className={`flex justify-end gap-2 px-5 py-3 border-t ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+          <button
+            onClick={onClose}
+            className={`px-4 py-2 rounded font-medium ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-100' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+            }`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => downloadReport(report)}
+            disabled={!report || needsName}
+            className="px-4 py-2 rounded font-medium bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Download report
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportDialog;
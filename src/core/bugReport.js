@@ -0,0 +1,134 @@
+// Parsing problem reports
+// A report bundles what a maintainer needs to reproduce a bad parse without the customer's PDF: the
+// pdfjs page text and item positions with customer data replaced by fake values (see utils/redact.js),
+// the file's debug log, the app version and the rows the redacted text produces. Loading the report
+// runs the same text through the providers again.
+//
+// A report is a superset of a test fixture ({ source, utilityMode, pages }), so it can be dropped into
+// test/fixtures/<provider>/ as is.
+
+import { extractFromText } from './extractor.js';
+import { getProviderColumns, getMeterColumns, rankProviders } from '../providers/index.js';
+import { SUPPLIERS, supplierPattern } from '../providers/suppliers.js';
+import { createRedactor, redactPages, findNames } from '../utils/redact.js';
+
+export const REPORT_FORMAT = 'utility-bill-parser-report';
+export const REPORT_VERSION = 1;
+
+// Row keys that only make sense in the session the report was made in
+const LOCAL_KEYS = ['_id', '_file', '_fileIndex', '_edits'];
+
+// A name found on the bill that is a utility's or supplier's own (its letterhead above the remittance
+// address), not the customer's: redacting it would hide which provider reads the bill
+const isBillerName = (name) => rankProviders(name, [{ text: name }]).length > 0
+  || SUPPLIERS.some(supplier => new RegExp(supplierPattern(supplier), 'i').test(name));
+
+/**
+ * Values that identify the customer: in the result rows, identifier columns (account numbers, PoD
+ * IDs), identifier meter columns (meter numbers) and address columns; on the bill's first page, the
+ * customer's name (see findNames)
+ * @param {Array} rows - Result rows
+ * @param {Array} pages - Pages from extractTextFromPDF (optional)
+ * @returns {Object} - { identifiers: digit strings, addresses, names }
+ */
+export const sensitiveValues = (rows, pages = []) => {
+  const identifiers = [];
+  const addresses = [];
+  const collect = (record, columns) => columns.forEach(column => {
+    const value = record[column.label];
+    if (value === null || value === undefined || value === '') return;
+    if (column.identifier) identifiers.push(String(value).replace(/\D/g, ''));
+    if (column.type === 'address') addresses.push(String(value));
+  });
+
+  rows.forEach(row => {
+    collect(row, getProviderColumns(row._providerId));
+    const meterColumns = getMeterColumns(row._providerId);
+    (row._meters || []).forEach(meter => collect(meter, meterColumns));
+  });
+  const names = pages.length > 0 ? findNames(pages[0].text).filter(name => !isBillerName(name)) : [];
+  return { identifiers, addresses, names };
+};
+
+/**
+ * Pages of a report or text fixture in the { fullText, pages } shape extractTextFromPDF returns
+ * @param {Object} report - Report or fixture with pages
+ * @returns {Object}
+ */
+export const reportText = ({ pages }) => ({ fullText: pages.map(page => page.text + '\n').join(''), pages });
+
+/**
+ * Build a report for one file
+ * @param {Object} input - { fileName, utilityMode, extracted: { pages } from extractTextFromPDF (null when
+ *   the PDF couldn't be read), rows: what the original text produced, log: debug log lines of reading
+ *   the PDF, error: error message, appVersion, terms: extra text to replace (names, streets),
+ *   rules: imported rule definitions to ship along }
+ * @returns {Object} - The report; its output and log come from parsing the redacted text
+ */
+export const createReport = ({ fileName, utilityMode = 'auto', extracted, rows = [], log = [], error = null, appVersion, terms = [], rules = [] }) => {
+  const redact = createRedactor({ ...sensitiveValues(rows, extracted?.pages), terms });
+  const source = redact(fileName);
+  const pages = extracted ? redactPages(extracted.pages, redact) : [];
+
+  // Parse the redacted text, so loading the report reproduces exactly this output
+  const parseLog = [];
+  const output = pages.length > 0
+    ? extractFromText(reportText({ pages }), { fileName: source, utilityMode, addLog: message => parseLog.push(message) })
+    : [];
+
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    appVersion,
+    createdAt: new Date().toISOString(),
+    source,
+    utilityMode,
+    pages,
+    log: [...log.map(redact), ...parseLog],
+    output: output.map(row => Object.fromEntries(Object.entries(row).filter(([key]) => !LOCAL_KEYS.includes(key)))),
+    error: error && redact(error),
+    rules
+  };
+};
+
+/**
+ * Columns whose value was found in the original text but not in the redacted text, or the other way
+ * round: redaction changed what the providers read, so the report may not show the problem
+ * @param {Array} original - Rows from the original text
+ * @param {Array} redacted - The report's output
+ * @returns {Array<string>} - Column labels
+ */
+export const redactionChanges = (original, redacted) => {
+  const found = (rows) => new Set(rows.flatMap((row, i) => Object.keys(row)
+    .filter(key => !key.startsWith('_') && row[key] !== null && row[key] !== undefined && row[key] !== '')
+    .map(key => `${i}\u0000${key}`)));
+  const before = found(original);
+  const after = found(redacted);
+  const changed = [...before].filter(key => !after.has(key)).concat([...after].filter(key => !before.has(key)));
+  return [...new Set(changed.map(key => key.split('\u0000')[1]))];
+};
+
+/**
+ * Read a report file
+ * @param {string} text - File contents
+ * @returns {Object} - The report
+ * @throws {Error} - If the file isn't a report this version can read
+ */
+export const readReport = (text) => {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a parsing report (the file is not JSON)');
+  }
+  if (report?.format !== REPORT_FORMAT) {
+    throw new Error('Not a parsing report');
+  }
+  if (report.version > REPORT_VERSION) {
+    throw new Error(`The report was made by a newer version (${report.appVersion}); update the app to load it`);
+  }
+  if (!Array.isArray(report.pages)) {
+    throw new Error('The report has no page text');
+  }
+  return report;
+};
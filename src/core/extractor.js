@@ -0,0 +1,302 @@
+// Extraction pipeline
+// UI-independent core shared by the web app and the command line tool.
+// Callers pass in their own pdfjs build (browser or Node legacy build).
+
+import { PROVIDERS, rankProviders, getProviderColumns, getMeterColumns, getValidationRules } from '../providers/index.js';
+import { checkRow } from '../providers/validation.js';
+import { normalizeAddress } from '../utils/addressUtils.js';
+import { contentHash } from '../utils/duplicates.js';
+
+const noop = () => {};
+
+// Pages with fewer printable characters than this are treated as scans without a text layer
+const MIN_PAGE_TEXT = 20;
+
+/**
+ * Whether a page's text layer is empty or close to it (a scanned page)
+ * @param {string} text - Page text
+ * @returns {boolean}
+ */
+export const isScannedPage = (text) => text.replace(/\s/g, '').length < MIN_PAGE_TEXT;
+
+/**
+ * Extract text from a PDF using PDF.js
+ * @param {Object} pdfjsLib - pdfjs module (pdfjs-dist or pdfjs-dist/legacy/build/pdf.mjs)
+ * @param {ArrayBuffer|Uint8Array} data - Raw PDF bytes
+ * @param {Function} addLog - Debug log callback
+ * @param {Object} pdfOptions - Extra pdfjs getDocument parameters (e.g. verbosity)
+ * @param {Object} options - { ocr, onProgress }
+ *   ocr: async (page) => { items, confidence } for pages without a text layer (see utils/ocr.js);
+ *   without it scanned pages are only reported in the log.
+ *   onProgress: called with the fraction of pages read after each page
+ * @returns {Promise<Object>} - { fullText, pages, numPages, ocrPages, scannedPages }
+ */
+export const extractTextFromPDF = async (pdfjsLib, data, addLog = noop, pdfOptions = {}, options = {}) => {
+  const { ocr = null, onProgress = noop } = options;
+  let loadingTask = null;
+  try {
+    loadingTask = pdfjsLib.getDocument({ ...pdfOptions, data });
+    const pdf = await loadingTask.promise;
+    addLog(`  Loaded ${pdf.numPages} pages`);
+
+    let fullText = '';
+    const pages = [];
+    const ocrPages = [];
+    const scannedPages = [];
+
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      let items = textContent.items;
+      let pageText = items.map(item => item.str).join(' ');
+      let pageInfo = {};
+
+      if (isScannedPage(pageText)) {
+        scannedPages.push(i);
+        if (ocr) {
+          addLog(`  Page ${i} has no text layer, running OCR...`);
+          const recognized = await ocr(page);
+          // OCR words take the place of text items, so matching and highlighting work the same way
+          items = recognized.items;
+          pageText = items.map(item => item.str).join(' ');
+          pageInfo = { ocr: true, ocrConfidence: recognized.confidence };
+          ocrPages.push(i);
+          addLog(`  Page ${i}: OCR read ${items.length} words (${Math.round(recognized.confidence)}% confidence)`);
+        } else {
+          addLog(`  ⚠️ Page ${i} has no text layer (scanned?) and OCR is not available`);
+        }
+      }
+
+      pages.push({ text: pageText, items, ...pageInfo });
+      fullText += pageText + '\n';
+      page.cleanup();
+      onProgress(i / pdf.numPages);
+    }
+
+    return { fullText, pages, numPages: pdf.numPages, ocrPages, scannedPages };
+  } catch (error) {
+    addLog(`  ❌ ERROR: ${error.message}`);
+    throw new Error(`PDF extraction failed: ${error.message}`);
+  } finally {
+    // Release the document (and its pdfjs worker data) once the text is out; batches stay within bounded memory
+    if (loadingTask) await loadingTask.destroy();
+  }
+};
+
+/**
+ * OCR details for the pages of a row that were read by OCR
+ * @param {Array} pages - Page objects from extractTextFromPDF
+ * @param {Array<number>} pageRange - [first, last] pages of the row
+ * @returns {Object|null} - { pages, confidence, items: { [page]: items } }, or null when no page needed OCR
+ */
+const ocrInfo = (pages, [first, last]) => {
+  const ocrPages = [];
+  const items = {};
+  for (let number = first; number <= last; number++) {
+    if (pages[number - 1]?.ocr) {
+      ocrPages.push(number);
+      items[number] = pages[number - 1].items;
+    }
+  }
+  if (ocrPages.length === 0) return null;
+  const confidence = ocrPages.reduce((sum, number) => sum + pages[number - 1].ocrConfidence, 0) / ocrPages.length;
+  return { pages: ocrPages, confidence: Math.round(confidence), items };
+};
+
+/**
+ * Check a row's values against its provider's validation rules (run again after a manual edit)
+ * @param {Object} row - Result row
+ * @returns {Array} - Warnings: [{ columns, check, message }] (see providers/validation.js)
+ */
+export const validateRow = (row) => checkRow(row, getProviderColumns(row._providerId), getValidationRules(row._providerId));
+
+/**
+ * Build a result row from one provider result, keyed by the provider's output columns
+ * @param {Object} result - Provider result (fields, provenance, lineItems, chargeChecks, meters)
+ * @param {Object} info - { fileName, providerName, providerId, source, ocr }
+ * @returns {Object} - Result row
+ */
+const buildRow = (result, { fileName, providerName, providerId, source, ocr }) => {
+  const dataObject = {
+    'File Name': fileName,
+    'Provider': providerName
+  };
+  const provenance = {};
+
+  for (const column of getProviderColumns(providerId)) {
+    dataObject[column.label] = result[column.field] ?? null;
+    // Record where each value came from (pattern, page, snippet, confidence)
+    if (result.provenance?.[column.field]) {
+      provenance[column.label] = result.provenance[column.field];
+    }
+  }
+
+  dataObject._providerId = providerId;
+  dataObject._provenance = provenance;
+  // Itemized charges and the checks of those items against the printed totals
+  dataObject._lineItems = result.lineItems || [];
+  dataObject._chargeChecks = result.chargeChecks || [];
+  // One record per meter, keyed by the provider's meter column labels like the row itself
+  const meterColumns = getMeterColumns(providerId);
+  dataObject._meters = (result.meters || []).map(meter => {
+    const record = { _provenance: {} };
+    for (const column of meterColumns) {
+      record[column.label] = meter[column.field] ?? null;
+      if (meter.provenance?.[column.field]) {
+        record._provenance[column.label] = meter.provenance[column.field];
+      }
+    }
+    return record;
+  });
+
+  // Source file and the pages this row was read from ({ fileName, pages: [first, last], record, recordCount, hash })
+  dataObject._source = source;
+  // Pages read by OCR, their mean confidence and the recognized words (the viewer highlights from these)
+  if (ocr) dataObject._ocr = ocr;
+
+  return dataObject;
+};
+
+// A provider read the bill if it found an account or address, or split it into records
+// (a summary bill's first page may carry neither)
+const foundBill = (data) => Boolean(data.accountNumber || data.serviceAddress || data.records?.length);
+
+// Detected providers scoring at least this share of the top score are run as well
+const CANDIDATE_SHARE = 0.25;
+// At most this many detected providers are run on one bill
+const MAX_CANDIDATES = 3;
+// Runs within this many quality points of each other are a close call: the UI names the runner-up
+const CLOSE_QUALITY = 1;
+
+/**
+ * Rows for one provider result: one per bill, or one per record of a summary bill
+ * @param {Object} result - Provider result
+ * @param {Object} info - { fileName, providerName, providerId, pages, hash }
+ * @returns {Array<Object>} - Result rows with their validation warnings
+ */
+const buildRows = (result, { fileName, providerName, providerId, pages, hash }) => {
+  const records = result.records || [result];
+  return records.map((record, i) => {
+    const pageRange = record.pageRange || [1, Math.max(pages.length, 1)];
+    const row = buildRow(record, {
+      fileName,
+      providerName,
+      providerId,
+      source: {
+        fileName,
+        pages: pageRange,
+        record: i + 1,
+        recordCount: records.length,
+        hash
+      },
+      ocr: ocrInfo(pages, pageRange)
+    });
+    row._warnings = validateRow(row);
+    return row;
+  });
+};
+
+/**
+ * How well a provider read a bill: values read from the bill (constants and derived values don't
+ * count) minus validation warnings, averaged over the rows
+ * @param {Array<Object>} rows - From buildRows
+ * @returns {number}
+ */
+const extractionQuality = (rows) => rows.reduce((sum, row) => sum + Object.keys(row._provenance).length - row._warnings.length, 0) / rows.length;
+
+/**
+ * Run provider detection and extraction over already-extracted text
+ * In auto mode every provider is scored (rankProviders) and the top candidates all read the bill;
+ * the one with the best extractionQuality wins, ties going to the higher detection score
+ * @param {Object} extracted - { fullText, pages } from extractTextFromPDF
+ * @param {Object} options - { fileName, utilityMode, addLog, hash } (hash: the PDF's content hash, kept in _source)
+ * @returns {Array<Object>} - Result rows keyed by column name: one per bill, or one per account /
+ *   service point for summary bills. When more than one candidate read the bill, rows carry
+ *   _detection: { score, quality, runnerUp: { providerId, name, score, quality }, close }
+ */
+export const extractFromText = ({ fullText, pages }, options = {}) => {
+  const { fileName = '', utilityMode = 'auto', addLog = noop, hash = null } = options;
+
+  // Read the bill with one provider; its log lines are held back until it is chosen
+  const run = (providerId, score = null) => {
+    const provider = PROVIDERS[providerId];
+    const lines = [];
+    const data = provider.extractData(fullText, pages, (message) => lines.push(message), normalizeAddress);
+    if (!foundBill(data)) return null;
+    const rows = buildRows(data, { fileName, providerName: provider.name, providerId, pages, hash });
+    return { providerId, name: provider.name, score, lines, rows, quality: extractionQuality(rows) };
+  };
+
+  let candidates = [];
+  if (utilityMode === 'auto') {
+    const ranked = rankProviders(fullText, pages);
+    if (ranked.length > 0) {
+      addLog(`  Detection: ${ranked.map(({ name, score, matched }) => `${name} ${score.toFixed(1)} (${matched.join(', ')})`).join('; ')}`);
+      candidates = ranked.filter(({ score }) => score >= ranked[0].score * CANDIDATE_SHARE).slice(0, MAX_CANDIDATES);
+    } else {
+      addLog('  Could not detect utility type, trying all providers...');
+    }
+  } else if (PROVIDERS[utilityMode]) {
+    // Use explicitly selected provider
+    candidates = [{ providerId: utilityMode, score: null }];
+  }
+
+  // Best first; sort is stable, so equal quality keeps the detection ranking
+  const runs = candidates.map(({ providerId, score }) => run(providerId, score)).filter(Boolean)
+    .sort((a, b) => b.quality - a.quality);
+
+  // If no candidate read the bill, try all other providers as fallback
+  if (runs.length === 0) {
+    for (const providerId of Object.keys(PROVIDERS)) {
+      if (candidates.some(candidate => candidate.providerId === providerId)) continue;
+      const fallback = run(providerId);
+      if (fallback) {
+        runs.push(fallback);
+        break;
+      }
+    }
+  }
+
+  const [chosen, runnerUp] = runs;
+  if (chosen) {
+    if (utilityMode === 'auto') addLog(`  Detected: ${chosen.name}`);
+    chosen.lines.forEach(line => addLog(line));
+    if (runnerUp) {
+      const others = runs.slice(1).map(({ name, quality }) => `${name} (quality ${quality.toFixed(1)})`).join(', ');
+      addLog(`  Also read by ${others}; kept ${chosen.name} (quality ${chosen.quality.toFixed(1)})`);
+    }
+  } else if (pages.length > 0 && pages.every(page => isScannedPage(page.text))) {
+    addLog('  ⚠️ No text could be read from this bill: it looks like a scan and OCR did not run');
+  }
+
+  const rows = chosen ? chosen.rows : buildRows({}, { fileName, providerName: null, providerId: null, pages, hash });
+  rows.forEach((row, i) => {
+    if (runnerUp) {
+      row._detection = {
+        score: chosen.score,
+        quality: chosen.quality,
+        runnerUp: { providerId: runnerUp.providerId, name: runnerUp.name, score: runnerUp.score, quality: runnerUp.quality },
+        close: chosen.quality - runnerUp.quality <= CLOSE_QUALITY
+      };
+    }
+    const where = rows.length > 1 ? ` (record ${i + 1})` : '';
+    row._warnings.forEach(warning => addLog(`  ⚠️ Check${where}: ${warning.message}`));
+  });
+  return rows;
+};
+
+/**
+ * Extract data from a single PDF
+ * @param {Object} pdfjsLib - pdfjs module
+ * @param {ArrayBuffer|Uint8Array} data - Raw PDF bytes
+ * @param {Object} options - { fileName, utilityMode, addLog, pdfOptions, ocr, onProgress }
+ * @returns {Promise<Array<Object>>} - Result rows keyed by column name (see extractFromText)
+ */
+export const extractFromPDF = async (pdfjsLib, data, options = {}) => {
+  const { fileName = '', addLog = noop, pdfOptions, ocr, onProgress } = options;
+  addLog(`Processing: ${fileName}`);
+  // Hash before pdfjs gets the bytes: it may transfer the buffer to its worker
+  const hash = await contentHash(data);
+  const extracted = await extractTextFromPDF(pdfjsLib, data, addLog, pdfOptions, { ocr, onProgress });
+  return extractFromText(extracted, { ...options, hash });
+};
@@ -1,87 +1,281 @@
 // ACE (Atlantic City Electric) Provider
-// Extraction logic for ACE utility bills
+// Extraction rules for ACE utility bills
 
-export const aceProvider = {
+import { createRuleProvider } from './ruleEngine.js';
+
+export const aceRules = {
   id: 'ace',
   name: 'ACE',
-  detectPatterns: [/\bACE\b/i, /Atlantic\s*City\s*Electric/i],
-
-  extractData: (fullText, pages, addLog, normalizeAddress) => {
-    let serviceAddress = null;
-    let accountNumber = null;
-    let gasSupplyCharges = "ACE Doesn't Supply Gas";  // ACE is electric-only
-    let electricSupplyCharges = null;
-    let totalUsageKwh = null;
-
-    // Extract service address and account number from first page
-    if (pages.length > 0) {
-      const page1Text = pages[0].text;
-
-      // Account number - handle both "Accountnumber" and "Account number"
-      const accountMatch = page1Text.match(/Account\s*number\s*:\s*([\d\s]+)/i);
-      if (accountMatch) {
-        accountNumber = accountMatch[1].replace(/\s+/g, '');
-      }
+  // "ACE" is matched case-sensitively and not as "ACE Cash Express", a payment location printed on
+  // other New Jersey utilities' bills. The account number prints as "Account number: 7702 3846 7579"
+  // (lowercase "number"); other utilities print 12-digit numbers too, so the format only adds a little
+  detect: [
+    { regex: /Atlantic\s*City\s*Electric/i, weight: 3 },
+    /\bACE\b(?!\s*Cash)/,
+    { regex: /Account\s*number\s*:\s*\d{4}\s\d{4}\s\d{4}(?![\d-])/, weight: 0.5, label: 'account number format' }
+  ],
 
-      // Service address - capture full address line (not just first word)
-      const addressMatch = page1Text.match(/Your\s*service\s*address\s*:\s*(.+?)(?=\s*Bill|$)/is);
-      if (addressMatch) {
-        serviceAddress = normalizeAddress(addressMatch[1].trim());
-      }
-    }
+  fields: {
+    // Account number - handle both "Accountnumber" and "Account number"
+    accountNumber: {
+      scope: 'first',
+      patterns: [/Account\s*number\s*:\s*([\d\s]+)/i],
+      post: ['stripWhitespace']
+    },
 
-    // Extract electric supply charges - try multiple patterns for different suppliers
-    const electricPatterns = [
-      /Total\s+Electric\s+Supply\s+Charges\s+\$?([\d,]+\.\d{2})/i,
-      /New\s+XOOM\s+Energy\s+NJ\s+supply\s+charges\s+\$?([\d,]+\.\d{2})/i,
-      /XOOM\s+Energy\s+NJ\s+electric\s+charges\s+\$?([\d,]+\.\d{2})/i,
-      /(?:New\s+)?electric\s+supply\s+charges\s+\$?([\d,]+\.\d{2})/i,
-      /supply\s+charges\s+\$?([\d,]+\.\d{2})/i
-    ];
-
-    for (const pattern of electricPatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        electricSupplyCharges = match[1].replace(/,/g, '');
-        break;
-      }
-    }
+    // Service address - the full address through the ZIP code (the address can wrap onto a second line)
+    serviceAddress: {
+      scope: 'first',
+      patterns: [/Your\s*service\s*address\s*:\s*(.+?\b\d{5}(?:\s*-\s*\d{4})?)\b/is],
+      post: ['trim', 'normalizeAddress']
+    },
 
-    // Extract total kWh usage - try multiple patterns
+    // ACE is electric-only
+    gasSupplyCharges: { value: "ACE Doesn't Supply Gas" },
+
+    // Electric supply charges (BGS) - a third-party supplier's charges are the Supplier Electric Charges column
+    electricSupplyCharges: {
+      patterns: [
+        /Total\s+Electric\s+Supply\s+Charges\s+\$?([\d,]+\.\d{2})/i,
+        /(?:New\s+)?electric\s+supply\s+charges\s+\$?([\d,]+\.\d{2})/i,
+        { regex: /supply\s+charges\s+\$?([\d,]+\.\d{2})/i, confidence: 'low' }  // Any supply charges line
+      ],
+      post: ['stripCommas']
+    },
+
+    // Total kWh usage - try multiple patterns, using the last captured group (total use value)
     // ACE bills have meter readings spread across multiple lines:
     // "Use (kWh)" → date → current reading (6 digits) → date → previous reading (6 digits) + difference + multiplier + total (all on one line)
-    const kwhPatterns = [
-      // Pattern 1: Multi-line pattern - "Use (kWh)" then anywhere find: 6-digit current, 6-digit previous, then diff + mult + total on same line
-      // Captures: current reading, previous reading, difference, multiplier, total use
-      /Use\s*\(kWh\)[\s\S]*?(\d{6})[\s\S]*?(\d{6})\s+(\d+)\s+(\d+)\s+(\d+)/i,
-
-      // Pattern 2: More flexible - find the table structure after "Difference Multiplier Total Use" headers
-      // Looks for the row with any multiplier value and captures the total
-      /Difference\s+Multiplier\s+Total\s+Use[\s\S]{0,200}?(\d+)\s+(\d+)\s+(\d+)/i,
-
-      // Pattern 3: Look for sequence of numbers with multiplier pattern (prev reading + 3 more numbers on same line)
-      // This matches the line: "059363 695 80 55600" (previous, diff, mult, total)
-      /(\d{6})\s+(\d+)\s+(\d+)\s+(\d+)/,
-
-      // Pattern 4: Fallback - simple "Total Use" followed by a number
-      /Total\s+Use\s+(\d+)/i
-    ];
-
-    for (const pattern of kwhPatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        // Use the last captured group (total use value)
-        totalUsageKwh = match[match.length - 1];
-        addLog(`  Matched kWh pattern, extracted: ${totalUsageKwh}`);
-        break;
+    totalUsageKwh: {
+      group: 'last',
+      patterns: [
+        // Pattern 1: Read by position - the first value in the "Total Use" column of the meter table
+        { below: /Total\s*Use/i, match: /^([\d,]+)$/, label: 'Total Use column' },
+
+        // Pattern 2: Multi-line pattern - "Use (kWh)" then anywhere find: 6-digit current, 6-digit previous, then diff + mult + total on same line
+        // Captures: current reading, previous reading, difference, multiplier, total use
+        { regex: /Use\s*\(kWh\)[\s\S]*?(\d{6})[\s\S]*?(\d{6})\s+(\d+)\s+(\d+)\s+(\d+)/i, confidence: 'high' },
+
+        // Pattern 3: More flexible - find the table structure after "Difference Multiplier Total Use" headers
+        // Looks for the row with any multiplier value and captures the total
+        { regex: /Difference\s+Multiplier\s+Total\s+Use[\s\S]{0,200}?(\d+)\s+(\d+)\s+(\d+)/i, confidence: 'medium' },
+
+        // Pattern 4: Look for sequence of numbers with multiplier pattern (prev reading + 3 more numbers on same line)
+        // This matches the line: "059363 695 80 55600" (previous, diff, mult, total)
+        { regex: /(\d{6})\s+(\d+)\s+(\d+)\s+(\d+)/, confidence: 'low' },
+
+        // Pattern 5: Fallback - simple "Total Use" followed by a number
+        { regex: /Total\s+Use\s+(\d+)/i, confidence: 'low' }
+      ],
+      post: ['stripCommas']
+    },
+
+    // Rate schedule - "Rate: MGS-Secondary", "Rate Schedule RS-TOU"
+    rateSchedule: {
+      patterns: [
+        /(?:Rate|Tariff)\s*(?:Schedule|Class)?\s*:?\s*((?:RS(?:\s*-\s*TOU)?|MGS|AGS|TGS|SPL|CSL|DDC)(?:\s*-\s*(?:Secondary|Primary|Sub-?transmission|Transmission))?)\b/i
+      ],
+      post: ['stripWhitespace', 'uppercase']
+    },
+
+    // Dates - printed as "January 15, 2024" or "01/15/2024", stored as ISO dates
+    billDate: {
+      scope: 'first',
+      patterns: [/Bill\s*date[:\s]*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, { regex: /Date\s+of\s+bill[:\s]*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, confidence: 'medium' }],
+      post: ['date']
+    },
+
+    // Service period - "Billing period: Dec 10, 2023 to Jan 10, 2024", else the meter read dates
+    // (the "Use (kWh)" table lists the current read date first, then the previous one)
+    servicePeriodStart: {
+      patterns: [
+        /(?:Billing|Service)\s*period[:\s]*(?:from\s+)?([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:to|-|through)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i,
+        { regex: /Use\s*\(kWh\)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})[\s\S]{0,40}?([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, group: 2, confidence: 'medium' }
+      ],
+      post: ['date']
+    },
+    servicePeriodEnd: {
+      group: 2,
+      patterns: [
+        /(?:Billing|Service)\s*period[:\s]*(?:from\s+)?([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:to|-|through)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i,
+        { regex: /Use\s*\(kWh\)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, group: 1, confidence: 'medium' }
+      ],
+      post: ['date']
+    },
+    serviceDays: {
+      patterns: [
+        /Number\s+of\s+days(?:\s+in\s+(?:billing|service)\s+period)?[:\s]*(\d+)/i,
+        /\((\d+)\s+days\)/i
+      ],
+      derive: { daysBetween: ['servicePeriodStart', 'servicePeriodEnd'] }
+    },
+    dueDate: {
+      patterns: [/(?:Amount\s+due\s+by|Due\s+date|Payment\s+due(?:\s+by)?)[:\s]*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i],
+      post: ['date']
+    },
+    readType: {
+      patterns: [
+        /(?:Reading|Read)\s+type[:\s]*(Actual|Estimated|Act|Est)\b/i,
+        { regex: /\b(Actual|Estimated)\s+(?:meter\s+)?read/i, confidence: 'medium' }
+      ],
+      post: ['readType']
+    }
+  },
+
+  // Summary billing: one "Account number" block per sub-account, each becoming a row
+  records: {
+    start: /Account\s*number\s*:/i,
+    key: ['accountNumber'],
+    inherit: ['billDate', 'dueDate', 'servicePeriodStart', 'servicePeriodEnd', 'serviceDays']
+  },
+
+  // Per-meter readings for commercial / time-of-use rates
+  // Meter table rows read: current reading, previous reading, difference, multiplier, total use,
+  // so the usage is the last number of the row and the multiplier the one before it
+  meters: {
+    start: /Meter\s*(?:number|#|No\.?)\s*:?\s*(\d{6,12})/i,
+    fields: {
+      readType: {
+        patterns: [/(?:Reading|Read)\s+type[:\s]*(Actual|Estimated|Act|Est)\b/i, /\b(Actual|Estimated)\s+(?:meter\s+)?read/i],
+        post: ['readType']
+      },
+      onPeakKwh: {
+        group: 'last',
+        patterns: [
+          /kWh\s+On[-\s]*Peak[\s\S]{0,80}?(\d{5,6})\s+(\d+)\s+(\d+)\s+([\d,]+)/i,
+          { regex: /On[-\s]*Peak\s+(?:Use\s+)?([\d,]+)\s*kWh/i, confidence: 'medium' }
+        ],
+        post: ['stripCommas']
+      },
+      offPeakKwh: {
+        group: 'last',
+        patterns: [
+          /kWh\s+Off[-\s]*Peak[\s\S]{0,80}?(\d{5,6})\s+(\d+)\s+(\d+)\s+([\d,]+)/i,
+          { regex: /Off[-\s]*Peak\s+(?:Use\s+)?([\d,]+)\s*kWh/i, confidence: 'medium' }
+        ],
+        post: ['stripCommas']
+      },
+      totalKwh: {
+        group: 'last',
+        patterns: [
+          { below: /Total\s*Use/i, match: /^([\d,]+)$/, label: 'Total Use column' },
+          /Use\s*\(kWh\)[\s\S]*?(\d{6})[\s\S]*?(\d{6})\s+(\d+)\s+(\d+)\s+(\d+)/i,
+          { regex: /Total\s+(?:Use|kWh)\s+([\d,]+)/i, confidence: 'medium' }
+        ],
+        post: ['stripCommas']
+      },
+      actualDemandKw: {
+        patterns: [/(?:Maximum|Max|Actual|Measured)\s+Demand\s*(?:\(kW\))?[^\d\n]{0,20}([\d,]+(?:\.\d+)?)/i],
+        post: ['stripCommas']
+      },
+      billedDemandKw: {
+        patterns: [/Billed\s+Demand\s*(?:\(kW\))?[^\d\n]{0,20}([\d,]+(?:\.\d+)?)/i],
+        post: ['stripCommas']
+      },
+      powerFactor: {
+        patterns: [/Power\s+Factor[:\s]*(\d+(?:\.\d+)?)\s*%?/i]
+      },
+      multiplier: {
+        patterns: [
+          /Multiplier[:\s]+(\d+(?:\.\d+)?)\b/i,
+          { below: /Multiplier/i, match: /^(\d+(?:\.\d+)?)$/, label: 'Multiplier column', confidence: 'high' },
+          { regex: /(\d{6})\s+(\d+)\s+(\d+)\s+(\d+)/, group: 3, confidence: 'medium' }
+        ]
       }
     }
+  },
 
-    // Log results
-    addLog(`  Account: ${accountNumber || 'N/A'}, Address: ${serviceAddress || 'N/A'}`);
-    addLog(`  Electric: $${electricSupplyCharges || 'N/A'}, Gas: ${gasSupplyCharges}`);
-    addLog(`  Total Usage: ${totalUsageKwh || 'N/A'} kWh`);
+  // Itemized charges - amounts keep a leading "-" so credits come through signed
+  charges: {
+    // Total Electric Charges = delivery + supply
+    electric: {
+      total: {
+        label: 'Total Electric Charges',
+        patterns: [/Total\s+Electric\s+Charges\s+(-?\$?[\d,]+\.\d{2})/i]
+      },
+      items: [
+        { label: 'Delivery Charges', partOfTotal: true, patterns: [/Total\s+Electric\s+Delivery\s+Charges\s+(-?\$?[\d,]+\.\d{2})/i] },
+        // BGS, or a third-party supplier's charges in its place
+        { label: 'Supply Charges', partOfTotal: true, field: ['electricSupplyCharges', 'supplierElectricCharges'] }
+      ]
+    },
 
-    return { serviceAddress, accountNumber, gasSupplyCharges, electricSupplyCharges, totalUsageKwh };
-  }
+    // Delivery charge components, checked against the delivery subtotal
+    electricDelivery: {
+      commodity: 'electric',
+      total: {
+        label: 'Total Electric Delivery Charges',
+        patterns: [/Total\s+Electric\s+Delivery\s+Charges\s+(-?\$?[\d,]+\.\d{2})/i]
+      },
+      items: [
+        { label: 'Customer Charge', partOfTotal: true, patterns: [/Customer\s+Charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Distribution Charge', partOfTotal: true, patterns: [/Distribution\s+Charges?\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Transmission Charge', partOfTotal: true, patterns: [/Transmission\s+(?:Service\s+)?Charges?\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Societal Benefits Charge', partOfTotal: true, patterns: [/Societal\s+Benefits?\s+Charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Non-Utility Generation Charge', partOfTotal: true, patterns: [/Non-?\s*Utility\s+Generation\s+Charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Regulatory Assets Recovery Charge', partOfTotal: true, patterns: [/Regulatory\s+Assets?\s+Recovery\s+Charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Infrastructure Investment Surcharge', partOfTotal: true, patterns: [/Infrastructure\s+Investment\s+(?:Program\s+)?Surcharge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Sales and Use Tax', partOfTotal: true, patterns: [/(?:New\s+Jersey\s+)?Sales\s+(?:and|&)\s+Use\s+Tax\s+(-?\$?[\d,]+\.\d{2})/i] }
+      ]
+    },
+
+    // Account summary: previous balance - payments + current charges = amount due
+    account: {
+      total: {
+        label: 'Amount Due',
+        patterns: [
+          /Total\s+Amount\s+Due\s+(-?\$?[\d,]+\.\d{2})/i,
+          /Amount\s+Due\s+(?:by\s+\S+\s+)?(-?\$?[\d,]+\.\d{2})/i
+        ]
+      },
+      items: [
+        { label: 'Previous Balance', partOfTotal: true, patterns: [/(?:Previous|Last\s+Month'?s?)\s+Balance\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Payments', partOfTotal: true, credit: true, patterns: [/Payments?\s+(?:Received|-\s*Thank\s+You).{0,40}?(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Current Charges', partOfTotal: true, patterns: [/(?:Total\s+)?Current\s+Charges\s+(-?\$?[\d,]+\.\d{2})/i] }
+      ]
+    }
+  },
+
+  // Output columns, in table/export order
+  columns: [
+    { field: 'accountNumber', label: 'ID Number', identifier: true },
+    { field: 'serviceAddress', label: 'Service Address', type: 'address' },
+    { field: 'totalUsageKwh', label: 'Total Usage (kWh)', type: 'number', unit: 'kWh', commodity: 'electric' },
+    { field: 'gasSupplyCharges', label: 'Total Gas Supply Charges', type: 'currency', commodity: 'gas' },
+    { field: 'electricSupplyCharges', label: 'Total Electric Supply Charges', type: 'currency', commodity: 'electric' },
+    { field: 'billDate', label: 'Bill Date', type: 'date' },
+    { field: 'servicePeriodStart', label: 'Period Start', type: 'date' },
+    { field: 'servicePeriodEnd', label: 'Period End', type: 'date' },
+    { field: 'serviceDays', label: 'Days', type: 'number' },
+    { field: 'dueDate', label: 'Due Date', type: 'date' },
+    { field: 'readType', label: 'Read Type' },
+    { field: 'rateSchedule', label: 'Rate Schedule' }
+  ],
+
+  // Plausibility checks; failures are shown as warnings on the row (see validation.js)
+  validate: {
+    required: ['accountNumber', 'serviceAddress', 'totalUsageKwh', ['electricSupplyCharges', 'supplierElectricCharges']],
+    fields: {
+      accountNumber: { pattern: /^\d{10,12}$/ },
+      // A zero-padded value ("059363") is a meter register reading, not the usage
+      totalUsageKwh: { pattern: /^(?:0|[1-9]\d*)$/, min: 1, max: 2000000 },
+      serviceDays: { min: 1, max: 60 },
+      electricSupplyCharges: { min: 0, notZero: true }
+    },
+    // The low-confidence usage patterns can also read some other number as the usage;
+    // the supply cost per kWh then usually falls outside what any rate charges
+    ratios: [
+      { label: 'Supply $/kWh', numerator: 'electricSupplyCharges', denominator: 'totalUsageKwh', min: 0.02, max: 0.5 }
+    ]
+  },
+
+  log: [
+    'Account: {accountNumber}, Address: {serviceAddress}',
+    'Electric: ${electricSupplyCharges}, Gas: {gasSupplyCharges}',
+    'Total Usage: {totalUsageKwh} kWh',
+    'Rate: {rateSchedule}',
+    'Period: {servicePeriodStart} to {servicePeriodEnd} ({serviceDays} days, {readType}), Billed: {billDate}, Due: {dueDate}'
+  ]
 };
+
+export const aceProvider = createRuleProvider(aceRules);
@@ -0,0 +1,27 @@
+// ETG (Elizabethtown Gas) Provider
+// Extraction rules for Elizabethtown Gas utility bills
+
+import { createRuleProvider } from './ruleEngine.js';
+import { njBillRules } from './njBill.js';
+
+export const etgRules = njBillRules({
+  id: 'etg',
+  name: 'Elizabethtown Gas',
+  shortName: 'ETG',
+  commodity: 'gas',
+  // "ETG" is matched case-sensitively; the full name is the reliable marker
+  detect: [
+    { regex: /Elizabethtown\s*Gas/i, weight: 3 },
+    /\bETG\b/
+  ],
+  // Printed with a dash ("Account Number: 12345-67890"); shared with RECO, so the format only adds a little
+  account: { format: /\d{5}-\d{5}(?![\d-])/, digits: 10, weight: 0.5 },
+
+  // Rate schedule - "Rate: RDS", "Rate Schedule GDS"
+  rateSchedule: {
+    patterns: [/Rate\s*(?:Schedule|Class)?\s*:?\s*(RDS|SGS|GDS|LVD|EGF|GLS|NGV)\b/i],
+    post: ['stripWhitespace', 'uppercase']
+  }
+});
+
+export const etgProvider = createRuleProvider(etgRules);
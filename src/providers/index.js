@@ -1,33 +1,111 @@
 // Provider Registry
 // Import all utility providers and export as a single registry
 
-import { aceProvider } from './ace';
-import { psegProvider } from './pseg';
+import { aceProvider } from './ace.js';
+import { psegProvider } from './pseg.js';
+import { jcplProvider } from './jcpl.js';
+import { recoProvider } from './reco.js';
+import { sjgProvider } from './sjg.js';
+import { etgProvider } from './etg.js';
+import { njngProvider } from './njng.js';
+import { createRuleProvider } from './ruleEngine.js';
+import { DEFAULT_COLUMNS, DEFAULT_METER_COLUMNS } from './schema.js';
 
 // ========================================================================
 // PROVIDER REGISTRY
 // ========================================================================
 // To add a new utility provider:
-// 1. Create a new file in src/providers/ (e.g., myutility.js)
-// 2. Export a provider object with: id, name, detectPatterns, extractData
-// 3. Import it here and add to the PROVIDERS object below
+// 1. Create a new file in src/providers/ (e.g., myutility.js) that exports
+//    rules and a provider built with createRuleProvider (see ace.js)
+// 2. Import it here and add to the PROVIDERS object below
+// Or, without code: import a JSON/YAML rules file from the UI (registerRules)
 // ========================================================================
 
 export const PROVIDERS = {
   [aceProvider.id]: aceProvider,
-  [psegProvider.id]: psegProvider
+  [psegProvider.id]: psegProvider,
+  [jcplProvider.id]: jcplProvider,
+  [recoProvider.id]: recoProvider,
+  [sjgProvider.id]: sjgProvider,
+  [etgProvider.id]: etgProvider,
+  [njngProvider.id]: njngProvider
 };
 
-// Auto-detect provider from PDF text
-export const detectProvider = (fullText, addLog) => {
-  for (const [providerId, provider] of Object.entries(PROVIDERS)) {
-    for (const pattern of provider.detectPatterns) {
-      if (pattern.test(fullText)) {
-        addLog(`  Detected: ${provider.name}`);
-        return providerId;
-      }
-    }
+const BUILTIN_PROVIDER_IDS = Object.keys(PROVIDERS);
+
+// Check whether a provider ships with the app (as opposed to imported rules)
+export const isBuiltinProvider = (providerId) => BUILTIN_PROVIDER_IDS.includes(providerId);
+
+/**
+ * Register a provider from a rule definition, replacing an earlier import with the same id
+ * @param {Object} definition - Rule definition (see ruleEngine.js)
+ * @returns {Object} - The registered provider
+ */
+export const registerRules = (definition) => {
+  if (isBuiltinProvider(definition.id)) {
+    throw new Error(`Provider id "${definition.id}" is built in and can't be replaced`);
   }
-  addLog('  Could not detect utility type, trying all providers...');
-  return null;
+  const provider = createRuleProvider(definition);
+  PROVIDERS[provider.id] = provider;
+  return provider;
 };
+
+// Remove an imported provider
+export const unregisterProvider = (providerId) => {
+  if (isBuiltinProvider(providerId)) {
+    throw new Error(`Provider id "${providerId}" is built in and can't be removed`);
+  }
+  delete PROVIDERS[providerId];
+};
+
+// Output columns for a provider (default columns for unknown or removed providers)
+export const getProviderColumns = (providerId) => PROVIDERS[providerId]?.columns || DEFAULT_COLUMNS;
+
+// Validation rules for a provider (null: the default checks, see validation.js)
+export const getValidationRules = (providerId) => PROVIDERS[providerId]?.validation || null;
+
+// Per-meter columns for a provider
+export const getMeterColumns = (providerId) => PROVIDERS[providerId]?.meterColumns || DEFAULT_METER_COLUMNS;
+
+// Length of the page-1 header, where the utility's logo and name print
+const HEADER_LENGTH = 200;
+// Repeats of a detect pattern that still add to the score
+const MAX_REPEATS = 4;
+
+/**
+ * Score a provider's detect patterns against a bill. Each matching pattern counts its weight once
+ * for matching anywhere, once more for matching on page 1, twice more for matching in the page-1
+ * header, plus half its weight per repeat (up to MAX_REPEATS): the utility's own name in the
+ * letterhead outweighs another utility named once in the fine print
+ * @param {Object} provider - Provider with detectPatterns
+ * @param {string} fullText - Text of all pages
+ * @param {Array} pages - Pages ({ text }); without them only fullText is scored
+ * @returns {Object} - { score, matched: labels of the patterns that matched }
+ */
+const detectionScore = (provider, fullText, pages = []) => {
+  const firstPage = pages[0]?.text || '';
+  const header = firstPage.slice(0, HEADER_LENGTH);
+  let score = 0;
+  const matched = [];
+  for (const { pattern, weight, label } of provider.detectPatterns) {
+    const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    const count = (fullText.match(global) || []).length;
+    if (count === 0) continue;
+    const single = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+    score += weight * (1 + (single.test(firstPage) ? 1 : 0) + (single.test(header) ? 2 : 0) + Math.min(count - 1, MAX_REPEATS) / 2);
+    matched.push(label);
+  }
+  return { score, matched };
+};
+
+/**
+ * Rank every provider by how strongly the bill points to it
+ * @param {string} fullText - Text of all pages
+ * @param {Array} pages - Pages from extractTextFromPDF
+ * @returns {Array} - [{ providerId, name, score, matched }] for providers with a score, highest first
+ *   (registry order breaks ties)
+ */
+export const rankProviders = (fullText, pages) => Object.entries(PROVIDERS)
+  .map(([providerId, provider]) => ({ providerId, name: provider.name, ...detectionScore(provider, fullText, pages) }))
+  .filter(candidate => candidate.score > 0)
+  .sort((a, b) => b.score - a.score);
@@ -0,0 +1,27 @@
+// JCP&L (Jersey Central Power & Light) Provider
+// Extraction rules for JCP&L utility bills (FirstEnergy bill layout)
+
+import { createRuleProvider } from './ruleEngine.js';
+import { njBillRules } from './njBill.js';
+
+export const jcplRules = njBillRules({
+  id: 'jcpl',
+  name: 'JCP&L',
+  shortName: 'JCP&L',
+  commodity: 'electric',
+  // 12-digit account numbers in groups of four are shared with SJG and ACE, so the format only adds a little
+  detect: [
+    { regex: /Jersey\s*Central\s*Power\s*(?:&|and)\s*Light/i, weight: 3 },
+    { regex: /\bJCP\s*&\s*L\b/i, weight: 2 }
+  ],
+  // Printed in groups ("Account Number: 1000 1234 5678")
+  account: { format: /\d{4}\s\d{4}\s\d{4}(?![\d-])/, digits: 12, weight: 0.5 },
+
+  // Rate schedule - "Rate: Residential Service (RS)", "Rate Schedule GS"
+  rateSchedule: {
+    patterns: [/Rate\s*(?:Schedule)?\s*:?\s*(?:[A-Za-z ]+\()?\b(RS|RT|RGT|GS|GST|GP|GT|OL|SVL|MVL|ISL|LED)\b\)?/i],
+    post: ['uppercase']
+  }
+});
+
+export const jcplProvider = createRuleProvider(jcplRules);
@@ -0,0 +1,230 @@
+// Shared rules for the New Jersey utility bill layout
+// JCP&L, Rockland Electric, South Jersey Gas, Elizabethtown Gas and NJNG print the same account
+// summary, billing period, read type and supply totals. A provider built with njBillRules() only
+// supplies its detect patterns, account number format and rate schedules.
+
+// "January 15, 2024", "Jan. 15 2024" or "01/15/2024"
+const DATE = '([A-Z][a-z]{2,8}\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}\\/\\d{1,2}\\/\\d{2,4})';
+
+// "Billing Period: Jan 3, 2024 to Feb 1, 2024 (29 days)"
+const PERIOD = new RegExp(`(?:Billing|Service)\\s*period[:\\s]*(?:from\\s+)?${DATE}\\s*(?:to|-|through)\\s*${DATE}`, 'i');
+
+// Fields, columns, checks and log lines of the one commodity the utility delivers
+const COMMODITIES = {
+  electric: {
+    fields: (shortName) => ({
+      gasSupplyCharges: { value: `${shortName} Doesn't Supply Gas` },
+
+      // Supply is Basic Generation Service from the utility; a third-party supplier's charges are
+      // the Supplier Electric Charges column
+      electricSupplyCharges: {
+        patterns: [
+          /Total\s+(?:Generation|Supply)\s+(?:Service\s+)?Charges\s+\$?([\d,]+\.\d{2})/i,
+          /Basic\s+Generation\s+Service(?:\s+\(BGS\))?\s+(?:Charges?\s+)?\$?([\d,]+\.\d{2})/i
+        ],
+        post: ['stripCommas']
+      },
+
+      // "Total kWh Used 1,240" / "Usage 1,240 kWh"
+      totalUsageKwh: {
+        patterns: [
+          /Total\s+kWh\s+(?:Used|Usage)\s*:?\s*([\d,]+)/i,
+          /(?:Total\s+)?Usage\s*:?\s*([\d,]+)\s*kWh/i,
+          { below: /kWh\s*Used/i, match: /^([\d,]+)$/, label: 'kWh Used column', confidence: 'medium' }
+        ],
+        post: ['stripCommas']
+      }
+    }),
+    columns: [
+      { field: 'totalUsageKwh', label: 'Total Usage (kWh)', type: 'number', unit: 'kWh', commodity: 'electric' },
+      { field: 'gasSupplyCharges', label: 'Total Gas Supply Charges', type: 'currency', commodity: 'gas' },
+      { field: 'electricSupplyCharges', label: 'Total Electric Supply Charges', type: 'currency', commodity: 'electric' }
+    ],
+    required: ['totalUsageKwh', ['electricSupplyCharges', 'supplierElectricCharges']],
+    checks: {
+      usage: { totalUsageKwh: { min: 1, max: 2000000 } },
+      supply: { electricSupplyCharges: { min: 0, notZero: true } }
+    },
+    ratios: [
+      { label: 'Supply $/kWh', numerator: 'electricSupplyCharges', denominator: 'totalUsageKwh', min: 0.02, max: 0.5 }
+    ],
+    log: [
+      'Electric: ${electricSupplyCharges}, Gas: {gasSupplyCharges}',
+      'Total Usage: {totalUsageKwh} kWh'
+    ]
+  },
+
+  gas: {
+    fields: (shortName) => ({
+      electricSupplyCharges: { value: `${shortName} Doesn't Supply Electric` },
+
+      // Supply is Basic Gas Supply Service from the utility; a third-party marketer's charges are
+      // the Supplier Gas Charges column
+      gasSupplyCharges: {
+        patterns: [
+          /Total\s+Gas\s+Supply\s+Charges\s+\$?([\d,]+\.\d{2})/i,
+          /Basic\s+Gas\s+Supply\s+Service(?:\s+\(BGSS\))?\s+(?:Charges?\s+)?\$?([\d,]+\.\d{2})/i
+        ],
+        post: ['stripCommas']
+      },
+
+      // "Total Therms Used 112.4"; otherwise CCF times the therm factor printed on the bill
+      gasUsageTherms: {
+        patterns: [
+          /Total\s+Therms\s+(?:Used|Billed)?\s*:?\s*([\d,]+(?:\.\d+)?)/i,
+          { regex: /=\s*([\d,]+(?:\.\d+)?)\s+therms/i, confidence: 'medium' }
+        ],
+        post: ['stripCommas'],
+        derive: { product: ['gasUsageCcf', 'thermFactor'] }
+      },
+      gasUsageCcf: {
+        patterns: [
+          /Total\s+CCF\s+(?:Used)?\s*:?\s*([\d,]+(?:\.\d+)?)/i,
+          { regex: /([\d,]+(?:\.\d+)?)\s+CCF\b/i, confidence: 'medium' }
+        ],
+        post: ['stripCommas']
+      },
+      thermFactor: {
+        patterns: [/(?:Therm|BTU)\s+factor[:\s]*(?:[x×]\s*)?(\d+\.\d+)/i, { regex: /CCF\s*[x×]\s*(\d+\.\d+)/i, confidence: 'medium' }]
+      }
+    }),
+    columns: [
+      { field: 'gasUsageTherms', label: 'Gas Usage (therms)', type: 'number', unit: 'therms', commodity: 'gas' },
+      { field: 'gasUsageCcf', label: 'Gas Usage (CCF)', type: 'number', unit: 'CCF', commodity: 'gas' },
+      { field: 'thermFactor', label: 'Therm Factor', type: 'number', commodity: 'gas' },
+      { field: 'gasSupplyCharges', label: 'Total Gas Supply Charges', type: 'currency', commodity: 'gas' },
+      { field: 'electricSupplyCharges', label: 'Total Electric Supply Charges', type: 'currency', commodity: 'electric' }
+    ],
+    required: ['gasUsageTherms', ['gasSupplyCharges', 'supplierGasCharges']],
+    checks: {
+      usage: { gasUsageTherms: { min: 0, max: 500000 }, thermFactor: { min: 0.9, max: 1.2 } },
+      supply: { gasSupplyCharges: { min: 0, notZero: true } }
+    },
+    ratios: [
+      { label: 'Supply $/therm', numerator: 'gasSupplyCharges', denominator: 'gasUsageTherms', min: 0.1, max: 3 }
+    ],
+    log: [
+      'Gas: ${gasSupplyCharges}, Electric: {electricSupplyCharges}',
+      'Gas Usage: {gasUsageTherms} therms ({gasUsageCcf} CCF x {thermFactor})'
+    ]
+  }
+};
+
+/**
+ * Rules for a utility printing the New Jersey bill layout
+ * @param {Object} spec
+ * @param {string} spec.id - Provider id
+ * @param {string} spec.name - Display name
+ * @param {string} spec.shortName - Name in the "Doesn't Supply" value of the other commodity
+ * @param {'electric'|'gas'} spec.commodity - What the utility delivers
+ * @param {Array} spec.detect - Detect patterns for the utility's names
+ * @param {Object} spec.account - `{ format, digits, weight }`: the printed account number (scored in
+ *   detection with `weight`, default 1) and how many digits it has
+ * @param {Object} spec.rateSchedule - Field spec for the rate schedule
+ * @returns {Object} Rules for createRuleProvider()
+ */
+export const njBillRules = ({ id, name, shortName, commodity, detect, account, rateSchedule }) => {
+  const { fields, columns, required, checks, ratios, log } = COMMODITIES[commodity];
+  return {
+    id,
+    name,
+    detect: [
+      ...detect,
+      {
+        regex: new RegExp(`Account\\s*(?:number|No\\.?|#)\\s*:?\\s*${account.format.source}`, 'i'),
+        weight: account.weight ?? 1,
+        label: 'account number format'
+      }
+    ],
+
+    fields: {
+      accountNumber: {
+        scope: 'first',
+        patterns: [/Account\s*(?:number|No\.?|#)\s*:?\s*(\d[\d\s-]{8,16}\d)/i],
+        post: ['digits']
+      },
+
+      serviceAddress: {
+        scope: 'first',
+        patterns: [/Service\s*(?:address|location)\s*:?\s*(.+?\s*\d{5}(?:\s*-\s*\d{4})?)/is],
+        post: ['collapseWhitespace', 'normalizeAddress']
+      },
+
+      ...fields(shortName),
+
+      rateSchedule,
+
+      // Dates are stored as ISO dates
+      billDate: {
+        scope: 'first',
+        patterns: [new RegExp(`(?:Bill|Statement|Issue)\\s*date[:\\s]*${DATE}`, 'i')],
+        post: ['date']
+      },
+      servicePeriodStart: { patterns: [PERIOD], post: ['date'] },
+      servicePeriodEnd: { group: 2, patterns: [PERIOD], post: ['date'] },
+      serviceDays: {
+        patterns: [/\((\d+)\s+days\)/i, /Days\s+in\s+(?:billing\s+)?period[:\s]*(\d+)/i],
+        derive: { daysBetween: ['servicePeriodStart', 'servicePeriodEnd'] }
+      },
+      dueDate: {
+        patterns: [new RegExp(`(?:Amount\\s+due\\s+by|Due\\s+date|Payment\\s+due(?:\\s+date)?|Please\\s+pay\\s+by)[:\\s]*${DATE}`, 'i')],
+        post: ['date']
+      },
+      readType: {
+        patterns: [
+          /(?:Reading|Read)\s+type[:\s]*(Actual|Estimated|Act|Est)\b/i,
+          { regex: /\b(Actual|Estimated)\s+(?:meter\s+)?read/i, confidence: 'medium' }
+        ],
+        post: ['readType']
+      }
+    },
+
+    charges: {
+      // Account summary: previous balance - payments + current charges = amount due
+      account: {
+        total: {
+          label: 'Amount Due',
+          patterns: [/Total\s+Amount\s+Due\s+(-?\$?[\d,]+\.\d{2})/i, /Amount\s+Due\s+(?:by\s+\S+\s+)?(-?\$?[\d,]+\.\d{2})/i]
+        },
+        items: [
+          { label: 'Previous Balance', partOfTotal: true, patterns: [/(?:Previous|Last)\s+(?:Balance|Amount\s+Due)\s+(-?\$?[\d,]+\.\d{2})/i] },
+          { label: 'Payments', partOfTotal: true, credit: true, patterns: [/Payments?\s+(?:Received|-\s*Thank\s+You).{0,40}?(-?\$?[\d,]+\.\d{2})/i] },
+          { label: 'Current Charges', partOfTotal: true, patterns: [/(?:Total\s+)?Current\s+Charges\s+(-?\$?[\d,]+\.\d{2})/i] }
+        ]
+      }
+    },
+
+    // Output columns, in table/export order
+    columns: [
+      { field: 'accountNumber', label: 'Account Number', identifier: true },
+      { field: 'serviceAddress', label: 'Service Address', type: 'address' },
+      ...columns,
+      { field: 'billDate', label: 'Bill Date', type: 'date' },
+      { field: 'servicePeriodStart', label: 'Period Start', type: 'date' },
+      { field: 'servicePeriodEnd', label: 'Period End', type: 'date' },
+      { field: 'serviceDays', label: 'Days', type: 'number' },
+      { field: 'dueDate', label: 'Due Date', type: 'date' },
+      { field: 'readType', label: 'Read Type' },
+      { field: 'rateSchedule', label: 'Rate Schedule' }
+    ],
+
+    // Plausibility checks; failures are shown as warnings on the row (see validation.js)
+    validate: {
+      required: ['accountNumber', 'serviceAddress', ...required],
+      fields: {
+        accountNumber: { digits: account.digits },
+        ...checks.usage,
+        serviceDays: { min: 1, max: 60 },
+        ...checks.supply
+      },
+      ratios
+    },
+
+    log: [
+      'Account: {accountNumber}, Address: {serviceAddress}',
+      ...log,
+      'Rate: {rateSchedule}',
+      'Period: {servicePeriodStart} to {servicePeriodEnd} ({serviceDays} days, {readType}), Billed: {billDate}, Due: {dueDate}'
+    ]
+  };
+};
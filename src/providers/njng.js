@@ -0,0 +1,27 @@
+// NJNG (New Jersey Natural Gas) Provider
+// Extraction rules for New Jersey Natural Gas utility bills
+
+import { createRuleProvider } from './ruleEngine.js';
+import { njBillRules } from './njBill.js';
+
+export const njngRules = njBillRules({
+  id: 'njng',
+  name: 'NJNG',
+  shortName: 'NJNG',
+  commodity: 'gas',
+  detect: [
+    { regex: /New\s*Jersey\s*Natural\s*Gas/i, weight: 3 },
+    { regex: /\bNJNG\b/i, weight: 2 }
+  ],
+  // Printed in groups ("Account Number: 22-0012-3456-78")
+  account: { format: /\d{2}-\d{4}-\d{4}-\d{2}\b/, digits: 12 },
+
+  // Rate schedule - "Rate: RS", "Service Classification: GSS"; the colon is required, since "Rate is"
+  // would otherwise read as rate IS
+  rateSchedule: {
+    patterns: [/(?:Rate(?:\s*Schedule)?|Service\s+Classification)\s*:\s*(RS|DGR|GSS|GSL|FTS|IS|ED)\b/i],
+    post: ['stripWhitespace', 'uppercase']
+  }
+});
+
+export const njngProvider = createRuleProvider(njngRules);
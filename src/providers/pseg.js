@@ -1,93 +1,281 @@
 // PSE&G (Public Service Electric & Gas) Provider
-// Extraction logic for PSE&G utility bills
+// Extraction rules for PSE&G utility bills
 
-export const psegProvider = {
+import { createRuleProvider } from './ruleEngine.js';
+
+// Amount cell of a charges table row, read by position (right of the row's label)
+const chargesColumn = (rowLabel) => ({ rightOf: rowLabel, match: /^(-?\$?[\d,]+\.\d{2})$/, label: 'Charges table' });
+
+export const psegRules = {
   id: 'pseg',
   name: 'PSE&G',
-  detectPatterns: [/\bPSEG\b/i, /Public\s*Service\s*Electric/i],
-
-  extractData: (fullText, pages, addLog, normalizeAddress) => {
-    let serviceAddress = null;
-    let accountNumber = null; // Keep for ACE compatibility
-    let electricPodId = null; // PE PoD for PSEG
-    let gasPodId = null; // PG PoD for PSEG
-    let gasSupplyCharges = null;
-    let electricSupplyCharges = null;
-    let totalUsageKwh = null;
-
-    // Extract service address from first page
-    if (pages.length > 0) {
-      const page1Text = pages[0].text;
-
-      // Service address - extract full address including city, state, zip
-      // Look for address pattern: street, city, state (2 letters), zip (5 or 5-4 digits)
-      const addressMatch = page1Text.match(/Service\s*address[:\s]*(.+?)\s*(?:\d{5}(?:\s*-\s*\d{4})?)/is);
-      if (addressMatch) {
-        let rawAddress = addressMatch[0].replace(/Service\s*address[:\s]*/i, '').trim();
-        // Clean up the address - remove extra spaces and normalize
-        rawAddress = rawAddress.replace(/\s+/g, ' ').trim();
-        serviceAddress = normalizeAddress(rawAddress);
-      }
-    }
+  detect: [
+    { regex: /Public\s*Service\s*Electric/i, weight: 3 },
+    { regex: /\bPSE\s*&?\s*G\b/i, weight: 2 },
+    { regex: /PoD\s+ID\s+is:\s+P[EG]\d{18}/i, weight: 3, label: 'PoD ID format' }
+  ],
+
+  fields: {
+    // Service address - extract full address including city, state, zip
+    // Look for address pattern: street, city, state (2 letters), zip (5 or 5-4 digits)
+    serviceAddress: {
+      scope: 'first',
+      patterns: [/Service\s*address[:\s]*(.+?\s*\d{5}(?:\s*-\s*\d{4})?)/is],
+      post: ['collapseWhitespace', 'normalizeAddress']
+    },
 
     // PoD (Point of Delivery) numbers - search full text (PoD is on page 3 or 4)
     // Format: "Your PoD ID is: PE000012054105751628" or "PG000012054105751628"
     // Extract only the 18 digits (not the PE/PG prefix)
+    electricPodId: { patterns: [/Your\s+PoD\s+ID\s+is:\s+PE(\d{18})/i] },
+    gasPodId: { patterns: [/Your\s+PoD\s+ID\s+is:\s+PG(\d{18})/i] },
 
-    // Electric PoD (PE)
-    const electricPodMatch = fullText.match(/Your\s+PoD\s+ID\s+is:\s+PE(\d{18})/i);
-    if (electricPodMatch) {
-      electricPodId = electricPodMatch[1];
-    }
+    gasSupplyCharges: {
+      patterns: [/Total\s+gas\s+supply\s+charges\s+\$?([\d,]+\.\d{2})/i],
+      post: ['stripCommas']
+    },
 
-    // Gas PoD (PG)
-    const gasPodMatch = fullText.match(/Your\s+PoD\s+ID\s+is:\s+PG(\d{18})/i);
-    if (gasPodMatch) {
-      gasPodId = gasPodMatch[1];
-    }
+    // Electric supply charges (BGS) - a third-party supplier's charges ("Electric supply charges - AEP
+    // Energy, Inc. $6,882.85") are the Supplier Electric or Gas Charges column
+    electricSupplyCharges: {
+      patterns: [/Total\s+electric\s+supply\s+charges\s+\$?([\d,]+\.\d{2})/i],
+      post: ['stripCommas']
+    },
+
+    // Total kWh usage - try multiple patterns
+    totalUsageKwh: {
+      patterns: [
+        /Total\s+(?:electric\s+)?(?:you\s+)?used\s+(?:in\s+\d+\s+days\s+)?([\d,]+)\s+kWh/i,  // "Total electric you used in 29 days 2,972 kWh"
+        /Total\s+kWh\s+([\d,]+)/i,  // "Total kWh 79,516"
+        /Total\s+(?:energy\s+)?used[:\s]+([\d,]+)\s+kWh/i,  // "Total energy used 2,520 kWh"
+        { regex: /Total\s+kWh[:\s]+([\d,]+)/i, confidence: 'low' }  // Generic "Total kWh: 79516"
+      ],
+      post: ['stripCommas']
+    },
+
+    // Gas usage - "Total gas you used in 29 days 123 therms"; when only the meter lines are printed
+    // ("120 CCF x 1.026 therm factor") therms are CCF times the factor printed on the bill
+    gasUsageTherms: {
+      patterns: [
+        /Total\s+gas\s+(?:you\s+)?used\s+(?:in\s+\d+\s+days\s+)?([\d,]+(?:\.\d+)?)\s+therms/i,
+        /Total\s+therms[:\s]+([\d,]+(?:\.\d+)?)/i,
+        { regex: /=\s*([\d,]+(?:\.\d+)?)\s+therms/i, confidence: 'medium' }
+      ],
+      post: ['stripCommas'],
+      derive: { product: ['gasUsageCcf', 'thermFactor'] }
+    },
+    gasUsageCcf: {
+      patterns: [
+        /Total\s+CCF[:\s]+([\d,]+(?:\.\d+)?)/i,
+        { regex: /([\d,]+(?:\.\d+)?)\s+CCF\b/i, confidence: 'medium' }
+      ],
+      post: ['stripCommas']
+    },
+    thermFactor: {
+      patterns: [/(?:Therm|BTU|Conversion)\s+factor[:\s]*(?:[x×]\s*)?(\d+\.\d+)/i, { regex: /CCF\s*[x×]\s*(\d+\.\d+)/i, confidence: 'medium' }]
+    },
 
-    // Gas supply charges
-    const gasChargesMatch = fullText.match(/Total\s+gas\s+supply\s+charges\s+\$?([\d,]+\.\d{2})/i);
-    if (gasChargesMatch) {
-      gasSupplyCharges = gasChargesMatch[1].replace(/,/g, '');
+    // Rate schedule - "Rate: GLP", "Rate Schedule LPL-S", gas "RSG" / "GSG" / "LVG"
+    rateSchedule: {
+      patterns: [
+        /Rate\s*(?:Schedule)?\s*:?\s*(RS|RHS|RLM|WHS?|HS|GLP|LPL\s*-?\s*[SP]?|HTS\s*-?\s*(?:S|P|HV)?|BPL|PSAL)\b/i,
+        { regex: /Rate\s*(?:Schedule)?\s*:?\s*(RSG|GSG|LVG|SLG|TSG\s*-?\s*N?F|CIG|CSG)\b/i, confidence: 'medium' }
+      ],
+      post: ['stripWhitespace', 'uppercase']
+    },
+
+    // Dates - printed as "Jan 15, 2024" or "01/15/2024", stored as ISO dates
+    billDate: {
+      scope: 'first',
+      patterns: [/Bill(?:ing)?\s*date[:\s]*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, { regex: /Statement\s+date[:\s]*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, confidence: 'medium' }],
+      post: ['date']
+    },
+
+    // "Billing period: Jan 03, 2024 to Feb 01, 2024" / "for service from 01/03/2024 to 02/01/2024"
+    servicePeriodStart: {
+      patterns: [
+        /(?:Billing|Service)\s*period[:\s]*(?:from\s+)?([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:to|-|through)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i,
+        { regex: /service\s+from\s+([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:to|-|through)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, confidence: 'medium' }
+      ],
+      post: ['date']
+    },
+    servicePeriodEnd: {
+      group: 2,
+      patterns: [
+        /(?:Billing|Service)\s*period[:\s]*(?:from\s+)?([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:to|-|through)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i,
+        { regex: /service\s+from\s+([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:to|-|through)\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i, confidence: 'medium' }
+      ],
+      post: ['date']
+    },
+
+    // Same line as the kWh total: "Total electric you used in 29 days 2,972 kWh"
+    serviceDays: {
+      patterns: [
+        /used\s+in\s+(\d+)\s+days/i,
+        /Billing\s+days[:\s]*(\d+)/i
+      ],
+      derive: { daysBetween: ['servicePeriodStart', 'servicePeriodEnd'] }
+    },
+    dueDate: {
+      patterns: [/(?:Amount\s+due\s+by|Due\s+date|Please\s+pay\s+by|Payment\s+due(?:\s+by)?)[:\s]*([A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/i],
+      post: ['date']
+    },
+    readType: {
+      patterns: [
+        /(?:Reading|Read)\s+type[:\s]*(Actual|Estimated|Act|Est)\b/i,
+        { regex: /\b(Actual|Estimated)\s+(?:meter\s+)?read/i, confidence: 'medium' }
+      ],
+      post: ['readType']
     }
+  },
 
-    // Electric supply charges - try multiple patterns to handle third-party suppliers
-    const electricPatterns = [
-      /Total\s+electric\s+supply\s+charges\s+\$?([\d,]+\.\d{2})/i,  // Standard PSE&G
-      /Electric\s+supply\s+charges\s+-\s+[^$\n]+\$?([\d,]+\.\d{2})/i,  // Third-party supplier (e.g., "Electric supply charges - AEP Energy, Inc. $6,882.85")
-      /Total\s+[A-Z][^\n]+(?:Energy|Power)[^\n]+Charges\s+\$?([\d,]+\.\d{2})/i  // "Total AEP Energy, Inc. Charges $6,882.85"
-    ];
-
-    for (const pattern of electricPatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        electricSupplyCharges = match[1].replace(/,/g, '');
-        break;
+  // Summary (master) bills list every service point with its own address and PoD IDs;
+  // each "Service address" block becomes a row, a normal bill repeating its address stays one row
+  records: {
+    start: /Service\s*address[:\s]/i,
+    key: ['electricPodId', 'gasPodId', 'serviceAddress'],
+    inherit: ['billDate', 'dueDate', 'servicePeriodStart', 'servicePeriodEnd', 'serviceDays']
+  },
+
+  // Per-meter readings for commercial / time-of-use rates, one block per "Meter #" header
+  meters: {
+    start: /Meter\s*(?:number|#|No\.?)\s*:?\s*(\d{6,12})/i,
+    fields: {
+      readType: {
+        patterns: [/(?:Reading|Read)\s+type[:\s]*(Actual|Estimated|Act|Est)\b/i, /\b(Actual|Estimated)\s+(?:meter\s+)?read/i],
+        post: ['readType']
+      },
+      onPeakKwh: {
+        patterns: [/On[-\s]*peak\s+(?:use\s+)?(?:kWh\s+)?([\d,]+)(?![\d/.])\s*kWh/i, /kWh\s+on[-\s]*peak\s+([\d,]+)(?![\d/.])/i],
+        post: ['stripCommas']
+      },
+      offPeakKwh: {
+        patterns: [/Off[-\s]*peak\s+(?:use\s+)?(?:kWh\s+)?([\d,]+)(?![\d/.])\s*kWh/i, /kWh\s+off[-\s]*peak\s+([\d,]+)(?![\d/.])/i],
+        post: ['stripCommas']
+      },
+      totalKwh: {
+        patterns: [/Total\s+kWh\s+([\d,]+)/i, /Total\s+(?:electric\s+)?(?:you\s+)?used\s+(?:in\s+\d+\s+days\s+)?([\d,]+)\s+kWh/i],
+        post: ['stripCommas']
+      },
+      actualDemandKw: {
+        patterns: [/(?:Maximum|Max|Actual|Measured)\s+demand\s*(?:kW)?[^\d\n]{0,20}([\d,]+(?:\.\d+)?)\s*(?:kW)?/i],
+        post: ['stripCommas']
+      },
+      billedDemandKw: {
+        patterns: [/Billed\s+demand\s*(?:kW)?[^\d\n]{0,20}([\d,]+(?:\.\d+)?)\s*(?:kW)?/i],
+        post: ['stripCommas']
+      },
+      powerFactor: {
+        patterns: [/Power\s+factor[:\s]*(\d+(?:\.\d+)?)\s*%?/i]
+      },
+      multiplier: {
+        patterns: [/(?:Meter\s+)?Multiplier[:\s]+(\d+(?:\.\d+)?)\b/i]
       }
     }
+  },
 
-    // Extract total kWh usage - try multiple patterns
-    const kwhPatterns = [
-      /Total\s+(?:electric\s+)?(?:you\s+)?used\s+(?:in\s+\d+\s+days\s+)?([\d,]+)\s+kWh/i,  // "Total electric you used in 29 days 2,972 kWh"
-      /Total\s+kWh\s+([\d,]+)/i,  // "Total kWh 79,516"
-      /Total\s+(?:energy\s+)?used[:\s]+([\d,]+)\s+kWh/i,  // "Total energy used 2,520 kWh"
-      /Total\s+kWh[:\s]+([\d,]+)/i  // Generic "Total kWh: 79516"
-    ];
-
-    for (const pattern of kwhPatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        totalUsageKwh = match[1].replace(/,/g, '');
-        break;
-      }
+  // Itemized charges - electric and gas details share labels, so each is read from its own section
+  charges: {
+    electric: {
+      section: {
+        start: /Electric\s+charges\b(?!\s*\$?[\d,]+\.\d{2})/i,
+        end: /Gas\s+charges\b(?!\s*\$?[\d,]+\.\d{2})/i
+      },
+      total: {
+        label: 'Total Electric Charges',
+        patterns: [/Total\s+electric\s+charges\s+(-?\$?[\d,]+\.\d{2})/i]
+      },
+      items: [
+        { label: 'Delivery Charges', partOfTotal: true, patterns: [/Total\s+electric\s+delivery\s+charges\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Supply Charges', partOfTotal: true, field: 'electricSupplyCharges' },
+        { label: 'Service Charge', patterns: [/(?:Service|Customer)\s+charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        // Read by position first: the rate detail between the label and the amount varies
+        { label: 'Distribution Charges', patterns: [chargesColumn(/Distribution\s+charges?/i), /Distribution\s+charges?\s+(?:[\d,]+\s+kWh\s+[x×]\s+\$?[\d.]+\s+)?(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Transmission Charges', patterns: [/Transmission\s+charges?\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Societal Benefits Charge', patterns: [/Societal\s+Benefits?\s+Charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Sales and Use Tax', patterns: [/(?:Sales\s+(?:and|&)\s+Use\s+Tax|SUT)\s+(-?\$?[\d,]+\.\d{2})/i] }
+      ]
+    },
+
+    gas: {
+      section: { start: /Gas\s+charges\b(?!\s*\$?[\d,]+\.\d{2})/i },
+      total: {
+        label: 'Total Gas Charges',
+        patterns: [/Total\s+gas\s+charges\s+(-?\$?[\d,]+\.\d{2})/i]
+      },
+      items: [
+        { label: 'Delivery Charges', partOfTotal: true, patterns: [/Total\s+gas\s+delivery\s+charges\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Supply Charges', partOfTotal: true, field: 'gasSupplyCharges' },
+        { label: 'Service Charge', patterns: [/(?:Service|Customer)\s+charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Distribution Charges', patterns: [chargesColumn(/Distribution\s+charges?/i), /Distribution\s+charges?\s+(?:[\d,]+\s+therms\s+[x×]\s+\$?[\d.]+\s+)?(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Societal Benefits Charge', patterns: [/Societal\s+Benefits?\s+Charge\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Sales and Use Tax', patterns: [/(?:Sales\s+(?:and|&)\s+Use\s+Tax|SUT)\s+(-?\$?[\d,]+\.\d{2})/i] }
+      ]
+    },
+
+    // Account summary: previous balance - payments + this period's charges = amount due
+    account: {
+      total: {
+        label: 'Amount Due',
+        patterns: [
+          /Total\s+amount\s+due\s+(-?\$?[\d,]+\.\d{2})/i,
+          /Amount\s+due\s+(?:by\s+\S+\s+)?(-?\$?[\d,]+\.\d{2})/i
+        ]
+      },
+      items: [
+        { label: 'Previous Balance', partOfTotal: true, patterns: [/(?:Previous|Last)\s+(?:balance|amount\s+due)\s+(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Payments', partOfTotal: true, credit: true, patterns: [/Payments?\s+received.{0,40}?(-?\$?[\d,]+\.\d{2})/i] },
+        { label: 'Current Charges', partOfTotal: true, patterns: [/Total\s+current\s+charges\s+(-?\$?[\d,]+\.\d{2})/i, /This\s+month'?s\s+charges\s+(-?\$?[\d,]+\.\d{2})/i] }
+      ]
     }
+  },
 
-    addLog(`  PE PoD: ${electricPodId || 'N/A'}, PG PoD: ${gasPodId || 'N/A'}`);
-    addLog(`  Address: ${serviceAddress || 'N/A'}`);
-    addLog(`  Electric: $${electricSupplyCharges || 'N/A'}, Gas: $${gasSupplyCharges || 'N/A'}`);
-    addLog(`  Total Usage: ${totalUsageKwh || 'N/A'} kWh`);
+  // Output columns, in table/export order
+  columns: [
+    { field: 'electricPodId', label: 'PE', identifier: true },
+    { field: 'gasPodId', label: 'PG', identifier: true },
+    { field: 'serviceAddress', label: 'Service Address', type: 'address' },
+    { field: 'totalUsageKwh', label: 'Total Usage (kWh)', type: 'number', unit: 'kWh', commodity: 'electric' },
+    { field: 'gasUsageTherms', label: 'Gas Usage (therms)', type: 'number', unit: 'therms', commodity: 'gas' },
+    { field: 'gasUsageCcf', label: 'Gas Usage (CCF)', type: 'number', unit: 'CCF', commodity: 'gas' },
+    { field: 'thermFactor', label: 'Therm Factor', type: 'number', commodity: 'gas' },
+    { field: 'gasSupplyCharges', label: 'Total Gas Supply Charges', type: 'currency', commodity: 'gas' },
+    { field: 'electricSupplyCharges', label: 'Total Electric Supply Charges', type: 'currency', commodity: 'electric' },
+    { field: 'billDate', label: 'Bill Date', type: 'date' },
+    { field: 'servicePeriodStart', label: 'Period Start', type: 'date' },
+    { field: 'servicePeriodEnd', label: 'Period End', type: 'date' },
+    { field: 'serviceDays', label: 'Days', type: 'number' },
+    { field: 'dueDate', label: 'Due Date', type: 'date' },
+    { field: 'readType', label: 'Read Type' },
+    { field: 'rateSchedule', label: 'Rate Schedule' }
+  ],
 
-    return { serviceAddress, accountNumber, electricPodId, gasPodId, gasSupplyCharges, electricSupplyCharges, totalUsageKwh };
-  }
+  // Plausibility checks; failures are shown as warnings on the row (see validation.js)
+  validate: {
+    required: [['electricPodId', 'gasPodId'], 'serviceAddress'],
+    fields: {
+      electricPodId: { digits: 18 },
+      gasPodId: { digits: 18 },
+      totalUsageKwh: { min: 0, max: 2000000 },
+      thermFactor: { min: 0.9, max: 1.2 },
+      serviceDays: { min: 1, max: 60 },
+      electricSupplyCharges: { min: 0, notZero: true },
+      gasSupplyCharges: { min: 0, notZero: true }
+    },
+    ratios: [
+      { label: 'Electric supply $/kWh', numerator: 'electricSupplyCharges', denominator: 'totalUsageKwh', min: 0.02, max: 0.5 },
+      { label: 'Gas supply $/therm', numerator: 'gasSupplyCharges', denominator: 'gasUsageTherms', min: 0.1, max: 3 }
+    ]
+  },
+
+  log: [
+    'PE PoD: {electricPodId}, PG PoD: {gasPodId}',
+    'Address: {serviceAddress}',
+    'Electric: ${electricSupplyCharges}, Gas: ${gasSupplyCharges}',
+    'Total Usage: {totalUsageKwh} kWh, Gas: {gasUsageTherms} therms ({gasUsageCcf} CCF x {thermFactor})',
+    'Rate: {rateSchedule}',
+    'Period: {servicePeriodStart} to {servicePeriodEnd} ({serviceDays} days, {readType}), Billed: {billDate}, Due: {dueDate}'
+  ]
 };
+
+export const psegProvider = createRuleProvider(psegRules);
@@ -0,0 +1,27 @@
+// RECO (Rockland Electric Company) Provider
+// Extraction rules for Rockland Electric utility bills (Orange & Rockland bill layout)
+
+import { createRuleProvider } from './ruleEngine.js';
+import { njBillRules } from './njBill.js';
+
+export const recoRules = njBillRules({
+  id: 'reco',
+  name: 'Rockland Electric',
+  shortName: 'RECO',
+  commodity: 'electric',
+  // "RECO" is matched case-sensitively so words like "reconnect" or "record" don't count
+  detect: [
+    { regex: /Rockland\s*Electric/i, weight: 3 },
+    /\bRECO\b/
+  ],
+  // Printed with a dash ("Account Number: 12345-67890"); shared with ETG, so the format only adds a little
+  account: { format: /\d{5}-\d{5}(?![\d-])/, digits: 10, weight: 0.5 },
+
+  // Rate schedule - "Service Classification: SC1", "Rate: SC-2"
+  rateSchedule: {
+    patterns: [/(?:Service\s+Classification|Rate(?:\s*Schedule)?)\s*(?:No\.?)?\s*:?\s*(SC\s*-?\s*\d{1,2})\b/i],
+    post: ['stripWhitespace', 'uppercase']
+  }
+});
+
+export const recoProvider = createRuleProvider(recoRules);
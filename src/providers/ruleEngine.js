@@ -0,0 +1,753 @@
+// Rule Engine
+// Builds provider objects from declarative rule definitions (plain objects, JSON or YAML)
+//
+// A definition looks like:
+//   {
+//     id: 'myutility',
+//     name: 'MyUtility',
+//     detect: ['\\bMYUTILITY\\b', { regex: 'My\\s*Utility\\s*Company', weight: 3 }],
+//     fields: {
+//       accountNumber: { scope: 'first', patterns: ['Account\\s*#\\s*(\\d+)'], post: ['stripWhitespace'] },
+//       gasSupplyCharges: { value: "MyUtility Doesn't Supply Gas" }
+//     },
+//     charges: {
+//       electric: {
+//         section: { start: 'Electric\\s+charges', end: 'Gas\\s+charges' },
+//         total: { label: 'Total Electric Charges', patterns: ['Total\\s+electric\\s+charges\\s+\\$?([\\d,]+\\.\\d{2})'] },
+//         items: [
+//           { label: 'Customer Charge', partOfTotal: true, patterns: ['Customer\\s+charge\\s+(-?\\$?[\\d,]+\\.\\d{2})'] },
+//           { label: 'Supply', partOfTotal: true, field: 'electricSupplyCharges' }
+//         ]
+//       }
+//     },
+//     records: { start: 'Account\\s*#', key: ['accountNumber'], inherit: ['billDate'] },
+//     meters: {
+//       start: 'Meter\\s*#\\s*(\\w+)',
+//       fields: { onPeakKwh: { patterns: ['On-?peak\\s+([\\d,]+)\\s*kWh'], post: ['stripCommas'] } }
+//     },
+//     columns: [{ field: 'accountNumber', label: 'Account Number', identifier: true }],
+//     validate: { required: ['accountNumber'], fields: { accountNumber: { digits: 10 } } },
+//     suppliers: [{ name: 'Acme Power', aliases: ['Acme Power LLC'] }],
+//     log: ['Account: {accountNumber}']
+//   }
+// Regexes may be strings (case-insensitive unless flags are given) or RegExp literals. A detect entry
+// may carry a "weight" (default 1) and a "label" for the detection log; providers are ranked by the
+// weighted score of their matches (see rankProviders in index.js).
+// Every provider also reads the third-party supplier fields (see suppliers.js); "suppliers" adds
+// suppliers to the built-in registry for this provider's bills.
+
+import yaml from 'js-yaml';
+import { matchFirst, locateIndex } from '../utils/patternMatch.js';
+import { toISODate, daysBetween } from '../utils/dateUtils.js';
+import { DEFAULT_COLUMNS, DEFAULT_METER_COLUMNS, SUPPLIER_COLUMNS, validateColumns } from './schema.js';
+import { validateValidationRules } from './validation.js';
+import {
+  SUPPLIERS, SUPPLIER_FIELDS, SUPPLIER_CHARGE_FIELDS, supplierCommodity, supplierPattern, supplierFieldSpecs, validateSuppliers
+} from './suppliers.js';
+
+// Tolerance when comparing line items to a printed total (rounding on the bill)
+const TOTAL_TOLERANCE = 0.015;
+
+// Dollar amount with two decimals; floating-point sums that cancel out are "0.00", not "-0.00"
+const formatAmount = (value) => (Math.abs(value) < 0.005 ? 0 : value).toFixed(2);
+
+// The utility's own supply (BGS / BGSS) charges; on a bill with a third-party supplier they are read
+// without the supplier's charge lines, which are the supplierCharges field's
+const UTILITY_SUPPLY_FIELDS = ['electricSupplyCharges', 'gasSupplyCharges'];
+
+// Parse a printed amount ("$1,234.56", "-$12.00", "(12.00)", "12.00 CR") into a plain decimal string
+const parseAmount = (value) => {
+  const negative = /^\s*-|\(.*\)|\bCR\b/i.test(value);
+  const digits = value.replace(/[^\d.]/g, '');
+  return negative ? `-${digits}` : digits;
+};
+
+// Post-processing steps a field can list in "post", applied in order
+const POST_PROCESSORS = {
+  amount: parseAmount,
+  trim: (value) => value.trim(),
+  stripCommas: (value) => value.replace(/,/g, ''),
+  stripWhitespace: (value) => value.replace(/\s+/g, ''),
+  digits: (value) => value.replace(/\D/g, ''),
+  collapseWhitespace: (value) => value.replace(/\s+/g, ' ').trim(),
+  uppercase: (value) => value.toUpperCase(),
+  normalizeAddress: (value, normalizeAddress) => normalizeAddress(value),
+  date: toISODate,
+  readType: (value) => (/^e/i.test(value.trim()) ? 'Estimated' : 'Actual')
+};
+
+// Functions a field can "derive" its value from other fields with when none of its patterns match
+const DERIVATIONS = {
+  daysBetween: (data, [start, end]) => {
+    const days = daysBetween(data[start], data[end]);
+    return days === null ? null : String(days);
+  },
+  // e.g. therms = CCF x therm factor, rounded to cents of a unit
+  product: (data, fields) => {
+    const values = fields.map(field => Number(data[field]));
+    if (fields.some(field => data[field] === null || data[field] === undefined) || values.some(isNaN)) return null;
+    return String(Math.round(values.reduce((total, value) => total * value, 1) * 100) / 100);
+  }
+};
+
+const toRegExp = (regex, flags = 'i') => (regex instanceof RegExp ? regex : new RegExp(regex, flags));
+
+// Normalize a pattern entry to the { pattern, confidence, label, group } shape matchFirst expects
+// ({ layout, confidence, label, group } for entries read by position with rightOf / below)
+const compilePattern = (entry) => {
+  if (typeof entry === 'string' || entry instanceof RegExp) {
+    return { pattern: toRegExp(entry) };
+  }
+  if (entry.rightOf || entry.below) {
+    return {
+      layout: {
+        rightOf: entry.rightOf ? toRegExp(entry.rightOf, entry.flags) : null,
+        below: entry.below ? toRegExp(entry.below, entry.flags) : null,
+        match: toRegExp(entry.match || '(.+)', entry.flags),
+        row: entry.row || 1
+      },
+      confidence: entry.confidence,
+      label: entry.label,
+      group: entry.group
+    };
+  }
+  return {
+    pattern: toRegExp(entry.regex, entry.flags),
+    confidence: entry.confidence,
+    label: entry.label,
+    group: entry.group
+  };
+};
+
+// Pick the value out of a match: a group number, or 'last' for the last group that matched
+const selectGroup = (match, group = 1) => {
+  if (group === 'last') {
+    for (let i = match.length - 1; i > 0; i--) {
+      if (match[i] !== undefined) return match[i];
+    }
+    return match[0];
+  }
+  return match[group];
+};
+
+// Text and matchFirst context for a field's page scope
+const scopeText = (scope = 'all', fullText, pages) => {
+  if (scope === 'all') return { text: fullText, context: { pages } };
+  const pageNumber = scope === 'first' ? 1 : scope === 'last' ? pages.length : Number(scope);
+  const page = pages[pageNumber - 1];
+  return page ? { text: page.text, context: { pages, page: pageNumber } } : null;
+};
+
+// Slice of a scoped text as a new scope (offsets stay relative to fullText)
+const sliceScope = (scoped, start, end) => ({
+  text: scoped.text.slice(start, end),
+  context: { pages: scoped.context.pages, baseIndex: (scoped.context.baseIndex || 0) + start }
+});
+
+// Text between a section's start and end patterns, or null if the section is missing
+const sectionText = (section, scoped) => {
+  const startMatch = scoped.text.match(section.start);
+  if (!startMatch) return null;
+  const startIndex = startMatch.index;
+  const rest = scoped.text.slice(startIndex + startMatch[0].length);
+  const endMatch = section.end ? rest.match(section.end) : null;
+  const endIndex = endMatch ? startIndex + startMatch[0].length + endMatch.index : scoped.text.length;
+  return sliceScope(scoped, startIndex, endIndex);
+};
+
+// Split a scope into one block per header match, each running to the next header
+const splitBlocks = (start, scoped) => {
+  const regex = new RegExp(start.source, start.flags.includes('g') ? start.flags : `${start.flags}g`);
+  const headers = [...scoped.text.matchAll(regex)];
+  return headers.map((header, i) => ({
+    header,
+    scoped: sliceScope(scoped, header.index, i + 1 < headers.length ? headers[i + 1].index : scoped.text.length)
+  }));
+};
+
+// 1-based [first, last] pages a scope covers
+const pageRange = (scoped) => {
+  const { pages, baseIndex = 0 } = scoped.context;
+  const first = locateIndex(pages, baseIndex);
+  const last = locateIndex(pages, baseIndex + Math.max(scoped.text.length - 1, 0));
+  return [first?.page ?? 1, last?.page ?? pages.length];
+};
+
+// Run a field or line item spec over its text and return { value, provenance }, or null if nothing matched
+const runSpec = (spec, patterns, scoped, normalizeAddress) => {
+  const result = scoped && matchFirst(scoped.text, patterns, scoped.context);
+  if (!result) return null;
+
+  const { group = spec.group } = patterns[result.provenance.rank - 1];
+  let value = selectGroup(result.match, group);
+  if (value === undefined || value === null) return null;
+  for (const step of spec.post || []) {
+    value = POST_PROCESSORS[step](value, normalizeAddress);
+  }
+  // A step like "date" returns null when the text isn't a usable value
+  if (value === null) return null;
+  return { value, provenance: result.provenance };
+};
+
+// Compile a fields object into [{ field, spec, patterns }]
+const compileFields = (fields) => Object.entries(fields).map(([field, spec]) => ({
+  field,
+  spec,
+  patterns: 'value' in spec ? [] : (spec.patterns || []).map(compilePattern)
+}));
+
+/**
+ * Read compiled fields from the text each one is scoped to
+ * @param {Array} fields - From compileFields()
+ * @param {Function} scopedFor - (spec, field) => { text, context } to search, or null
+ * @returns {Object} - { data, provenance } keyed by field
+ */
+const readFields = (fields, scopedFor, normalizeAddress) => {
+  const data = {};
+  const provenance = {};
+
+  for (const { field, spec, patterns } of fields) {
+    data[field] = null;
+
+    if ('value' in spec) {
+      data[field] = spec.value;
+      continue;
+    }
+
+    const found = runSpec(spec, patterns, scopedFor(spec, field), normalizeAddress);
+    if (!found) {
+      // Derived fields fall back to their default after deriving
+      data[field] = spec.derive ? null : (spec.default ?? null);
+      continue;
+    }
+
+    data[field] = found.value;
+    provenance[field] = found.provenance;
+  }
+
+  // Derived fields run once every field has been read, so they can depend on any of them
+  for (const { field, spec } of fields) {
+    if (data[field] !== null || !spec.derive) continue;
+    const [name, args] = Object.entries(spec.derive)[0];
+    data[field] = DERIVATIONS[name](data, args) ?? spec.default ?? null;
+  }
+
+  return { data, provenance };
+};
+
+// One block per meter header; without any header the whole text is a single unnamed meter
+const meterBlocks = (start, scoped) => {
+  const blocks = splitBlocks(start, scoped);
+  if (blocks.length === 0) return [{ meterNumber: null, scoped }];
+  return blocks.map(({ header, scoped: block }) => ({ meterNumber: header[1] ?? null, scoped: block }));
+};
+
+/**
+ * Extract per-meter readings (TOU usage, demand, power factor)
+ * A meter listed more than once (summary page and detail page) is merged into one record
+ * @returns {Array} - [{ meterNumber, ...fields, provenance }] for meters with at least one value
+ */
+const extractMeters = (meters, scoped, normalizeAddress) => {
+  const records = [];
+  for (const { meterNumber, scoped: block } of meterBlocks(meters.start, scoped)) {
+    const { data, provenance } = readFields(meters.fields, () => block, normalizeAddress);
+    const existing = records.find(record => meterNumber !== null && record.meterNumber === meterNumber);
+    if (!existing) {
+      records.push({ meterNumber, ...data, provenance });
+      continue;
+    }
+    for (const [field, value] of Object.entries(data)) {
+      if (existing[field] === null && value !== null) {
+        existing[field] = value;
+        if (provenance[field]) existing.provenance[field] = provenance[field];
+      }
+    }
+  }
+  return records.filter(record => meters.fields.some(({ field }) => record[field] !== null));
+};
+
+/**
+ * Split a summary bill into one record per account / service point
+ * Blocks sharing any key value (e.g. the same PoD on the summary and detail pages) are merged,
+ * and blocks without a key value are skipped
+ * @param {Object} records - Compiled records spec: { start, key, inherit }
+ * @param {Array<string>} fieldNames - Top-level field names
+ * @param {Function} extractBlock - (scope) => result for one block
+ * @param {Object} billScope - Scope of the whole bill
+ * @param {Object} billResult - Result for the whole bill, source of the inherited fields
+ * @returns {Array} - Results with a pageRange, or [] when the bill has fewer than two records
+ */
+const extractRecords = (records, fieldNames, extractBlock, billScope, billResult) => {
+  const found = [];
+  for (const { scoped } of splitBlocks(records.start, billScope)) {
+    const result = extractBlock(scoped);
+    if (records.key.every(field => result[field] === null || result[field] === undefined)) continue;
+
+    const range = pageRange(scoped);
+    const existing = found.find(record => records.key.some(field => record[field] !== null && record[field] === result[field]));
+    if (!existing) {
+      found.push({ ...result, pageRange: range });
+      continue;
+    }
+    for (const field of fieldNames) {
+      if (existing[field] === null && result[field] !== null) {
+        existing[field] = result[field];
+        if (result.provenance[field]) existing.provenance[field] = result.provenance[field];
+      }
+    }
+    for (const list of ['lineItems', 'chargeChecks', 'meters']) {
+      if (existing[list].length === 0) existing[list] = result[list];
+    }
+    existing.pageRange = [Math.min(existing.pageRange[0], range[0]), Math.max(existing.pageRange[1], range[1])];
+  }
+  if (found.length < 2) return [];
+
+  // Bill-level values (bill date, due date) that the sub-accounts don't repeat
+  for (const record of found) {
+    for (const field of records.inherit) {
+      if (record[field] === null && billResult[field] !== null) {
+        record[field] = billResult[field];
+        if (billResult.provenance[field]) record.provenance[field] = billResult.provenance[field];
+      }
+    }
+  }
+  return found;
+};
+
+// Compile supplier entries into { name, mention, chargeLines, fields } (fields from compileFields)
+const compileSuppliers = (suppliers) => suppliers.map(supplier => {
+  const specs = supplierFieldSpecs(supplier);
+  return {
+    name: supplier.name.trim(),
+    mention: new RegExp(supplierPattern(supplier), 'i'),
+    // Every line the supplierCharges patterns match, to blank out of the utility's supply charges
+    chargeLines: specs.supplierCharges.patterns.map(entry => new RegExp(typeof entry === 'string' ? entry : entry.regex, 'gi')),
+    fields: compileFields(specs)
+  };
+});
+
+const BUILTIN_SUPPLIERS = compileSuppliers(SUPPLIERS);
+
+// Offset of a supplier's first mention in a supplier context (its name or charges patterns), or
+// Infinity when there is none
+const supplierContextIndex = (supplier, text) => Math.min(...supplier.fields
+  .filter(({ field }) => field === 'supplierName' || field === 'supplierCharges')
+  .flatMap(({ patterns }) => patterns)
+  .map(({ pattern }) => text.search(pattern))
+  .filter(index => index >= 0));
+
+/**
+ * Read the third-party supplier fields for the supplier the bill names first in a supplier context
+ * (its name or charges), so a switch notice or an insert naming another supplier further down doesn't
+ * win by coming first in the registry; the account number and rate are only read for that supplier
+ * @param {Array} suppliers - From compileSuppliers()
+ * @returns {Object|null} - { supplier, data, provenance } with data and provenance keyed by supplier
+ *   field, or null without a supplier
+ */
+const extractSupplier = (suppliers, scoped, normalizeAddress) => {
+  let best = null;
+  for (const supplier of suppliers) {
+    // Cheap check for the bare name before running every pattern
+    if (!supplier.mention.test(scoped.text)) continue;
+    const index = supplierContextIndex(supplier, scoped.text);
+    // On a tie the earlier registry entry (the definition's own suppliers come first) keeps it
+    if (best && index >= best.index) continue;
+    const { data, provenance } = readFields(supplier.fields, () => scoped, normalizeAddress);
+    if (data.supplierName === null && data.supplierCharges === null) continue;
+    provenance.supplierName = provenance.supplierName || provenance.supplierCharges;
+    best = { supplier, data: { ...data, supplierName: supplier.name }, provenance, index };
+  }
+  return best && { supplier: best.supplier, data: best.data, provenance: best.provenance };
+};
+
+// A scope with the supplier's charge lines blanked out (replaced by spaces, so offsets still line up)
+const withoutSupplierCharges = (scoped, supplier) => scoped && {
+  ...scoped,
+  text: supplier.chargeLines.reduce((text, regex) => text.replace(regex, line => ' '.repeat(line.length)), scoped.text)
+};
+
+// Compile the charges section of a definition: { group: { commodity, section, total, items } }
+// The group name doubles as the commodity unless the group sets one (e.g. electricDelivery -> electric)
+const compileCharges = (charges = {}) => Object.entries(charges).map(([name, group]) => ({
+  commodity: group.commodity || name,
+  section: group.section && {
+    start: toRegExp(group.section.start),
+    end: group.section.end ? toRegExp(group.section.end) : null
+  },
+  total: group.total && {
+    spec: { post: ['amount'], ...group.total },
+    patterns: group.total.patterns.map(compilePattern)
+  },
+  items: (group.items || []).map(item => ({
+    spec: { post: ['amount'], ...item },
+    patterns: item.patterns ? item.patterns.map(compilePattern) : []
+  }))
+}));
+
+/**
+ * Extract itemized charges and check them against the printed totals
+ * @returns {Object} - { lineItems, chargeChecks }
+ *   lineItems: [{ commodity, label, amount, partOfTotal, provenance }]
+ *   chargeChecks: [{ commodity, label, total, itemsSum, difference, status }] with status ok, mismatch or incomplete
+ */
+const extractCharges = (chargeGroups, data, provenance, billScope, normalizeAddress) => {
+  const lineItems = [];
+  const chargeChecks = [];
+
+  for (const { commodity, section, total, items } of chargeGroups) {
+    const scoped = section ? sectionText(section, billScope) : billScope;
+    if (!scoped) continue;
+
+    const groupItems = [];
+    for (const { spec, patterns } of items) {
+      let found = null;
+      if (spec.field) {
+        // Reuse a value the fields section already extracted (e.g. supply charges); with a list of
+        // fields, the first one that has a value
+        const field = [].concat(spec.field).find(name => data[name] !== null && data[name] !== undefined && !isNaN(Number(data[name])));
+        if (field) {
+          found = { value: String(data[field]), provenance: provenance[field] || null };
+        }
+      } else {
+        found = runSpec(spec, patterns, scoped, normalizeAddress);
+      }
+      if (!found || found.value === '' || isNaN(Number(found.value))) {
+        groupItems.push({ spec, amount: null });
+        continue;
+      }
+      // Credits (payments, adjustments) reduce the total whether or not the bill prints a sign
+      const amount = spec.credit ? (-Math.abs(Number(found.value))).toFixed(2) : found.value;
+      lineItems.push({
+        commodity,
+        label: spec.label,
+        amount,
+        partOfTotal: Boolean(spec.partOfTotal),
+        provenance: found.provenance
+      });
+      groupItems.push({ spec, amount });
+    }
+
+    const totalFound = total ? runSpec(total.spec, total.patterns, scoped, normalizeAddress) : null;
+    const components = groupItems.filter(item => item.spec.partOfTotal);
+    if (!totalFound || components.length === 0) continue;
+
+    // Printed total vs. the items marked partOfTotal; with none of them on the bill there is nothing
+    // to compare
+    const found = components.filter(item => item.amount !== null);
+    if (found.length === 0) continue;
+    const itemsSum = found.reduce((sum, item) => sum + Number(item.amount), 0);
+    const difference = Number(totalFound.value) - itemsSum;
+    chargeChecks.push({
+      commodity,
+      label: total.spec.label || `Total ${commodity} charges`,
+      total: totalFound.value,
+      itemsSum: formatAmount(itemsSum),
+      difference: formatAmount(difference),
+      status: found.length < components.length
+        ? 'incomplete'
+        : Math.abs(difference) <= TOTAL_TOLERANCE ? 'ok' : 'mismatch',
+      provenance: totalFound.provenance
+    });
+  }
+
+  return { lineItems, chargeChecks };
+};
+
+// Fill {field} placeholders in a log template
+const formatLog = (template, data) => template.replace(/\{(\w+)\}/g, (_, field) => data[field] ?? 'N/A');
+
+/**
+ * Check a rule definition and throw a descriptive Error if it can't be used
+ * @param {Object} definition - Rule definition
+ */
+export const validateRules = (definition) => {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Rules must be an object');
+  }
+  if (!/^[a-z0-9_-]+$/.test(definition.id || '')) {
+    throw new Error('Rules need an "id" of lowercase letters, digits, "-" or "_"');
+  }
+  if (!definition.name) {
+    throw new Error(`Rules "${definition.id}" need a "name"`);
+  }
+  if (!Array.isArray(definition.detect) || definition.detect.length === 0) {
+    throw new Error(`Rules "${definition.id}" need at least one "detect" pattern`);
+  }
+  if (!definition.fields || typeof definition.fields !== 'object') {
+    throw new Error(`Rules "${definition.id}" need a "fields" object`);
+  }
+
+  const checkRegex = (entry, where) => {
+    if (entry === null || entry === undefined) {
+      throw new Error(`Rules "${definition.id}": ${where} is empty; give a regex`);
+    }
+    const isObject = typeof entry === 'object' && !(entry instanceof RegExp);
+    if (isObject && (entry.rightOf || entry.below)) {
+      if (entry.rightOf && entry.below) {
+        throw new Error(`Rules "${definition.id}": ${where} can't have both "rightOf" and "below"`);
+      }
+      if (entry.row !== undefined && !(Number.isInteger(entry.row) && entry.row > 0)) {
+        throw new Error(`Rules "${definition.id}": ${where} "row" must be a positive whole number`);
+      }
+      ['rightOf', 'below', 'match'].filter(key => entry[key]).forEach(key => checkRegex(entry[key], `${where}.${key}`));
+      return;
+    }
+    const regex = isObject ? entry.regex : entry;
+    // An object without "regex" would compile to new RegExp(undefined), which matches anything
+    if (isObject && !(typeof regex === 'string' || regex instanceof RegExp)) {
+      throw new Error(`Rules "${definition.id}": ${where} needs a "regex" (or "rightOf" / "below")`);
+    }
+    try {
+      toRegExp(regex, entry.flags);
+    } catch (error) {
+      throw new Error(`Rules "${definition.id}": invalid regex in ${where}: ${error.message}`);
+    }
+  };
+
+  definition.detect.forEach((entry, i) => {
+    // Detection scores text matches; there is no page layout to read a position from
+    if (entry && (entry.rightOf || entry.below)) {
+      throw new Error(`Rules "${definition.id}": detect[${i}] must be a regex, not "rightOf" / "below"`);
+    }
+    checkRegex(entry, `detect[${i}]`);
+    if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight > 0)) {
+      throw new Error(`Rules "${definition.id}": detect[${i}] "weight" must be a positive number`);
+    }
+  });
+  if (definition.columns !== undefined) {
+    validateColumns(definition.columns, `Rules "${definition.id}"`);
+  }
+  const checkPost = (steps = [], where) => {
+    for (const step of steps) {
+      if (!POST_PROCESSORS[step]) {
+        throw new Error(`Rules "${definition.id}": unknown post-processing step "${step}" in ${where}`);
+      }
+    }
+  };
+
+  const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  if (definition.charges !== undefined && !isObject(definition.charges)) {
+    throw new Error(`Rules "${definition.id}": "charges" must be an object of charge groups`);
+  }
+  for (const [name, group] of Object.entries(definition.charges || {})) {
+    const where = `charges.${name}`;
+    if (!isObject(group)) {
+      throw new Error(`Rules "${definition.id}": ${where} must be an object with "items" and an optional "total"`);
+    }
+    if (group.items !== undefined && !Array.isArray(group.items)) {
+      throw new Error(`Rules "${definition.id}": ${where}.items must be a list`);
+    }
+    if (group.section) {
+      checkRegex(group.section.start, `${where}.section.start`);
+      if (group.section.end) checkRegex(group.section.end, `${where}.section.end`);
+    }
+    if (group.total) {
+      if (!Array.isArray(group.total.patterns)) {
+        throw new Error(`Rules "${definition.id}": ${where}.total needs "patterns"`);
+      }
+      group.total.patterns.forEach((entry, i) => checkRegex(entry, `${where}.total.patterns[${i}]`));
+      checkPost(group.total.post, `${where}.total`);
+    }
+    (group.items || []).forEach((item, i) => {
+      if (!isObject(item) || !item.label || (!item.field && !Array.isArray(item.patterns))) {
+        throw new Error(`Rules "${definition.id}": ${where}.items[${i}] needs a "label" and "patterns" or "field"`);
+      }
+      (item.patterns || []).forEach((entry, j) => checkRegex(entry, `${where}.items[${i}].patterns[${j}]`));
+      checkPost(item.post, `${where}.items[${i}]`);
+    });
+  }
+
+  const checkFields = (fields, where) => {
+    for (const [field, spec] of Object.entries(fields)) {
+      if (!isObject(spec)) {
+        throw new Error(`Rules "${definition.id}": ${where}.${field} must be an object with "patterns", "derive" or "value"`);
+      }
+      if ('value' in spec) continue;
+      if (spec.derive) {
+        const [name, args] = Object.entries(spec.derive)[0] || [];
+        if (!DERIVATIONS[name] || !Array.isArray(args)) {
+          throw new Error(`Rules "${definition.id}": field "${field}" has an unknown "derive" (use ${Object.keys(DERIVATIONS).join(', ')})`);
+        }
+      }
+      if (!spec.derive && (!Array.isArray(spec.patterns) || spec.patterns.length === 0)) {
+        throw new Error(`Rules "${definition.id}": field "${field}" needs "patterns", "derive" or a constant "value"`);
+      }
+      (spec.patterns || []).forEach((entry, i) => checkRegex(entry, `${where}.${field}.patterns[${i}]`));
+      checkPost(spec.post, `field "${field}"`);
+    }
+  };
+
+  checkFields(definition.fields, 'fields');
+
+  if (definition.log !== undefined && !(Array.isArray(definition.log) && definition.log.every(line => typeof line === 'string'))) {
+    throw new Error(`Rules "${definition.id}": "log" must be a list of lines like "Account: {accountNumber}"`);
+  }
+
+  if (definition.validate !== undefined) {
+    validateValidationRules(definition.validate, [...Object.keys(definition.fields), ...SUPPLIER_FIELDS], `Rules "${definition.id}"`);
+  }
+
+  if (definition.suppliers !== undefined) {
+    validateSuppliers(definition.suppliers, `Rules "${definition.id}"`);
+  }
+
+  if (definition.records) {
+    const { records } = definition;
+    if (!records.start || !Array.isArray(records.key) || records.key.length === 0) {
+      throw new Error(`Rules "${definition.id}": "records" needs a "start" pattern and a "key" list of fields`);
+    }
+    checkRegex(records.start, 'records.start');
+    for (const field of [...records.key, ...(records.inherit || [])]) {
+      if (!(field in definition.fields) && !SUPPLIER_FIELDS.includes(field)) {
+        throw new Error(`Rules "${definition.id}": "records" refers to unknown field "${field}"`);
+      }
+    }
+  }
+
+  if (definition.meters) {
+    const { meters } = definition;
+    if (!meters.start || !meters.fields || typeof meters.fields !== 'object') {
+      throw new Error(`Rules "${definition.id}": "meters" needs a "start" pattern and a "fields" object`);
+    }
+    checkRegex(meters.start, 'meters.start');
+    checkFields(meters.fields, 'meters.fields');
+    if (meters.columns !== undefined) {
+      validateColumns(meters.columns, `Rules "${definition.id}" meters`);
+    }
+  }
+};
+
+/**
+ * Create a provider object from a rule definition
+ * @param {Object} definition - Rule definition
+ * @returns {Object} - Provider with id, name, detectPatterns ([{ pattern, weight, label }], see
+ *   rankProviders in index.js), columns, meterColumns, validation, rules and extractData.
+ *   extractData returns the bill's fields plus provenance, lineItems, chargeChecks and meters, and for
+ *   summary bills a "records" list with the same shape (plus pageRange) per account / service point
+ */
+export const createRuleProvider = (definition) => {
+  validateRules(definition);
+
+  const detectPatterns = definition.detect.map(entry => {
+    const { pattern } = compilePattern(entry);
+    return { pattern, weight: entry.weight || 1, label: entry.label || pattern.source };
+  });
+  const fields = compileFields(definition.fields);
+  const chargeGroups = compileCharges(definition.charges);
+  const meters = definition.meters && {
+    start: toRegExp(definition.meters.start),
+    fields: compileFields(definition.meters.fields)
+  };
+  const records = definition.records && {
+    start: toRegExp(definition.records.start),
+    key: definition.records.key,
+    inherit: definition.records.inherit || []
+  };
+  // The definition's own suppliers first, so they win over a built-in entry with a similar name
+  const suppliers = [...compileSuppliers(definition.suppliers || []), ...BUILTIN_SUPPLIERS];
+  const fieldNames = [...new Set([...fields.map(({ field }) => field), ...SUPPLIER_FIELDS])];
+  const columns = definition.columns || DEFAULT_COLUMNS;
+  // Commodities the utility supplies itself (a constant value such as "ACE Doesn't Supply Gas" means it doesn't)
+  const delivered = Object.keys(SUPPLIER_CHARGE_FIELDS).filter(commodity => {
+    const spec = definition.fields[`${commodity}SupplyCharges`];
+    return spec && !('value' in spec);
+  });
+
+  const logResult = (addLog, result, indent = '  ') => {
+    (definition.log || []).forEach(template => addLog(`${indent}${formatLog(template, result)}`));
+    if (result.supplierName) {
+      addLog(`${indent}${formatLog('Supplier: {supplierName}, account {supplierAccountNumber}, charges ${supplierCharges}', result)}`);
+    }
+    if (result.supplierCharges !== null && Object.values(SUPPLIER_CHARGE_FIELDS).every(field => result[field] === null)) {
+      addLog(`${indent}⚠️ Supplier charges $${result.supplierCharges}: no rate, service or wording tells electric from gas, so no charges column has them`);
+    }
+    if (result.lineItems.length > 0) {
+      addLog(`${indent}Line items: ${result.lineItems.length}`);
+    }
+    result.chargeChecks.forEach(check => {
+      addLog(`${indent}${check.label}: $${check.total} printed, $${check.itemsSum} itemized (${check.status})`);
+    });
+    result.meters.forEach(meter => {
+      const values = meters.fields
+        .filter(({ field }) => meter[field] !== null)
+        .map(({ field }) => `${field} ${meter[field]}`);
+      addLog(`${indent}Meter ${meter.meterNumber ?? '(unnumbered)'}: ${values.join(', ')}`);
+    });
+  };
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    detectPatterns,
+    // Supplier columns follow the provider's own, unless it places them itself
+    columns: [...columns, ...SUPPLIER_COLUMNS.filter(column => !columns.some(({ field, label }) => field === column.field || label === column.label))],
+    meterColumns: definition.meters?.columns || DEFAULT_METER_COLUMNS,
+    validation: definition.validate || null,
+    rules: definition,
+
+    extractData: (fullText, pages, addLog, normalizeAddress) => {
+      // Fields, meters and charges of one scope (the whole bill or one record of a summary bill)
+      const extractScope = (scoped, scopedFor) => {
+        const supplier = extractSupplier(suppliers, scoped, normalizeAddress);
+        // The supplier's charges aren't the utility's supply charges too
+        const { data, provenance } = readFields(fields, (spec, field) => (supplier && UTILITY_SUPPLY_FIELDS.includes(field)
+          ? withoutSupplierCharges(scopedFor(spec), supplier.supplier)
+          : scopedFor(spec)), normalizeAddress);
+        // Supplier fields the definition doesn't read itself come from the supplier registry
+        for (const field of SUPPLIER_FIELDS) {
+          if (data[field] !== null && data[field] !== undefined) continue;
+          data[field] = supplier?.data[field] ?? null;
+          if (supplier?.provenance[field]) provenance[field] = supplier.provenance[field];
+        }
+        // The supplier's charges go in the column of the commodity they are for
+        const commodity = data.supplierCharges === null
+          ? null
+          : supplierCommodity(data, provenance.supplierCharges?.snippet, delivered);
+        for (const [chargeCommodity, field] of Object.entries(SUPPLIER_CHARGE_FIELDS)) {
+          if (data[field] !== null || chargeCommodity !== commodity) continue;
+          data[field] = data.supplierCharges;
+          if (provenance.supplierCharges) provenance[field] = provenance.supplierCharges;
+        }
+        const meterRecords = meters ? extractMeters(meters, scoped, normalizeAddress) : [];
+        const { lineItems, chargeChecks } = extractCharges(chargeGroups, data, provenance, scoped, normalizeAddress);
+        return { ...data, provenance, lineItems, chargeChecks, meters: meterRecords };
+      };
+
+      const billScope = { text: fullText, context: { pages } };
+      const result = extractScope(billScope, spec => scopeText(spec.scope, fullText, pages));
+      logResult(addLog, result);
+
+      const recordResults = records
+        ? extractRecords(records, fieldNames, block => extractScope(block, () => block), billScope, result)
+        : [];
+      if (recordResults.length === 0) return result;
+
+      addLog(`  Summary bill: ${recordResults.length} records`);
+      recordResults.forEach((record, i) => {
+        addLog(`  [${i + 1}/${recordResults.length}] pages ${record.pageRange[0]}-${record.pageRange[1]}`);
+        logResult(addLog, record, '    ');
+      });
+      return { ...result, records: recordResults };
+    }
+  };
+};
+
+/**
+ * Parse a rules file (JSON or YAML) into one or more rule definitions
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to pick the parser
+ * @returns {Array<Object>} - Validated rule definitions
+ */
+export const parseRulesFile = (text, fileName = '') => {
+  let parsed;
+  try {
+    parsed = /\.json$/i.test(fileName) ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${fileName || 'rules file'}: ${error.message}`);
+  }
+
+  const definitions = Array.isArray(parsed) ? parsed : [parsed];
+  definitions.forEach(validateRules);
+  return definitions;
+};
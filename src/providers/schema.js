@@ -0,0 +1,98 @@
+// Output Schema
+// Column definitions that drive the result rows, the results table and every export mode
+//
+// Each column maps a provider field to a column label:
+//   { field: 'totalUsageKwh', label: 'Total Usage (kWh)', type: 'number', unit: 'kWh', commodity: 'electric' }
+//   - type: text (default), address, number, currency or date (ISO YYYY-MM-DD)
+//   - unit: suffix shown in the table for number columns
+//   - commodity: gas or electric; columns without one appear in every export mode
+//   - identifier: true for account numbers / PoD IDs
+
+export const COLUMN_TYPES = ['text', 'address', 'number', 'currency', 'date'];
+export const COMMODITIES = ['gas', 'electric'];
+
+// Columns for providers that don't declare their own (and for bills no provider matched)
+export const DEFAULT_COLUMNS = [
+  { field: 'accountNumber', label: 'Account Number', identifier: true },
+  { field: 'serviceAddress', label: 'Service Address', type: 'address' },
+  { field: 'totalUsageKwh', label: 'Total Usage (kWh)', type: 'number', unit: 'kWh', commodity: 'electric' },
+  { field: 'gasSupplyCharges', label: 'Total Gas Supply Charges', type: 'currency', commodity: 'gas' },
+  { field: 'electricSupplyCharges', label: 'Total Electric Supply Charges', type: 'currency', commodity: 'electric' }
+];
+
+// Third-party supplier (ESCO) columns, added to every provider's columns (see suppliers.js)
+export const SUPPLIER_COLUMNS = [
+  { field: 'supplierName', label: 'Supplier' },
+  { field: 'supplierAccountNumber', label: 'Supplier Account Number', identifier: true },
+  { field: 'supplierRateKwh', label: 'Supplier Rate ($/kWh)', type: 'number', commodity: 'electric' },
+  { field: 'supplierRateTherm', label: 'Supplier Rate ($/therm)', type: 'number', commodity: 'gas' },
+  { field: 'supplierElectricCharges', label: 'Supplier Electric Charges', type: 'currency', commodity: 'electric' },
+  { field: 'supplierGasCharges', label: 'Supplier Gas Charges', type: 'currency', commodity: 'gas' }
+];
+
+// Per-meter columns (one row per meter on the Meters sheet)
+export const DEFAULT_METER_COLUMNS = [
+  { field: 'meterNumber', label: 'Meter', identifier: true },
+  { field: 'readType', label: 'Read Type' },
+  { field: 'onPeakKwh', label: 'On-Peak kWh', type: 'number', unit: 'kWh' },
+  { field: 'offPeakKwh', label: 'Off-Peak kWh', type: 'number', unit: 'kWh' },
+  { field: 'totalKwh', label: 'Total kWh', type: 'number', unit: 'kWh' },
+  { field: 'actualDemandKw', label: 'Actual Demand (kW)', type: 'number', unit: 'kW' },
+  { field: 'billedDemandKw', label: 'Billed Demand (kW)', type: 'number', unit: 'kW' },
+  { field: 'powerFactor', label: 'Power Factor', type: 'number' },
+  { field: 'multiplier', label: 'Multiplier', type: 'number' }
+];
+
+/**
+ * Check a column list and throw a descriptive Error if it can't be used
+ * @param {Array} columns - Column definitions
+ * @param {string} owner - Name used in error messages
+ */
+export const validateColumns = (columns, owner) => {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error(`${owner}: "columns" must be a non-empty list`);
+  }
+  const labels = new Set();
+  columns.forEach((column, i) => {
+    if (!column.field || !column.label) {
+      throw new Error(`${owner}: columns[${i}] needs a "field" and a "label"`);
+    }
+    if (['File Name', 'Provider'].includes(column.label) || labels.has(column.label)) {
+      throw new Error(`${owner}: duplicate column label "${column.label}"`);
+    }
+    if (column.type && !COLUMN_TYPES.includes(column.type)) {
+      throw new Error(`${owner}: columns[${i}] has unknown type "${column.type}"`);
+    }
+    if (column.commodity && !COMMODITIES.includes(column.commodity)) {
+      throw new Error(`${owner}: columns[${i}] has unknown commodity "${column.commodity}"`);
+    }
+    labels.add(column.label);
+  });
+};
+
+/**
+ * Columns to include for an export mode
+ * @param {Array} columns - Column definitions
+ * @param {string|null} commodity - 'gas', 'electric' or null for every column
+ * @returns {Array} - Columns for that mode
+ */
+export const columnsForCommodity = (columns, commodity = null) => {
+  if (!commodity) return columns;
+  return columns.filter(column => !column.commodity || column.commodity === commodity);
+};
+
+/**
+ * Format a non-empty cell value for display
+ * @param {*} value - Cell value
+ * @param {Object} column - Column definition
+ * @returns {string}
+ */
+export const formatCellValue = (value, column) => {
+  if (column.type === 'currency') {
+    return isNaN(value) ? String(value) : `$${value}`;
+  }
+  if (column.type === 'number' && column.unit) {
+    return isNaN(value) ? String(value) : `${value} ${column.unit}`;
+  }
+  return String(value);
+};
@@ -0,0 +1,28 @@
+// SJG (South Jersey Gas) Provider
+// Extraction rules for South Jersey Gas utility bills, which cover the Atlantic City area
+
+import { createRuleProvider } from './ruleEngine.js';
+import { njBillRules } from './njBill.js';
+
+export const sjgRules = njBillRules({
+  id: 'sjg',
+  name: 'South Jersey Gas',
+  shortName: 'SJG',
+  commodity: 'gas',
+  // "SJG" is matched case-sensitively; the full name is the reliable marker
+  detect: [
+    { regex: /South\s*Jersey\s*Gas/i, weight: 3 },
+    /\bSJG\b/
+  ],
+  // Printed in groups ("Account Number: 1234 5678 9012"); shared with JCP&L and ACE, so the format only
+  // adds a little
+  account: { format: /\d{4}\s\d{4}\s\d{4}(?![\d-])/, digits: 12, weight: 0.5 },
+
+  // Rate schedule - "Rate: RSG", "Rate Schedule GSG-LV"
+  rateSchedule: {
+    patterns: [/Rate\s*(?:Schedule|Class)?\s*:?\s*(RSG|GSG(?:\s*-\s*LV)?|LVS|EGS|CTS|ITS|FES)\b/i],
+    post: ['stripWhitespace', 'uppercase']
+  }
+});
+
+export const sjgProvider = createRuleProvider(sjgRules);
@@ -0,0 +1,154 @@
+// Third-party Supplier (ESCO) Registry
+// Energy suppliers a customer can buy electricity or gas from instead of the utility's default
+// service (BGS / BGSS). The supplier shows up on the utility's bill under its own name, so every
+// supplier is matched with the same patterns (SUPPLIER_FIELD_TEMPLATES) filled in with its names:
+// recognizing a new supplier only takes an entry here, or in a rules file's "suppliers" list.
+//
+// An entry looks like:
+//   { id: 'xoom', name: 'XOOM Energy', aliases: ['XOOM Energy NJ'] }
+//   - name: stored in the Supplier column, and matched on the bill
+//   - aliases: other ways the bill prints the name (plain text, not regexes)
+
+export const SUPPLIERS = [
+  { id: 'xoom', name: 'XOOM Energy', aliases: ['XOOM Energy NJ', 'XOOM Energy New Jersey'] },
+  { id: 'aep', name: 'AEP Energy', aliases: ['AEP Energy, Inc.', 'AEP Energy Inc'] },
+  { id: 'constellation', name: 'Constellation', aliases: ['Constellation NewEnergy', 'Constellation Energy'] },
+  { id: 'direct', name: 'Direct Energy', aliases: ['Direct Energy Services', 'Direct Energy Business'] },
+  { id: 'spark', name: 'Spark Energy', aliases: [] },
+  { id: 'sje', name: 'South Jersey Energy', aliases: [] },
+  { id: 'just', name: 'Just Energy', aliases: [] },
+  { id: 'ambit', name: 'Ambit Energy', aliases: ['Ambit New Jersey'] },
+  { id: 'idt', name: 'IDT Energy', aliases: [] },
+  { id: 'verde', name: 'Verde Energy', aliases: ['Verde Energy USA'] },
+  { id: 'clearview', name: 'Clearview Energy', aliases: [] },
+  { id: 'greenmountain', name: 'Green Mountain Energy', aliases: [] },
+  { id: 'cleanchoice', name: 'CleanChoice Energy', aliases: [] },
+  { id: 'residents', name: 'Residents Energy', aliases: [] },
+  { id: 'townsquare', name: 'Town Square Energy', aliases: [] },
+  { id: 'champion', name: 'Champion Energy', aliases: ['Champion Energy Services'] },
+  { id: 'energyharbor', name: 'Energy Harbor', aliases: [] },
+  { id: 'nrg', name: 'NRG Business', aliases: ['NRG Energy', 'NRG Home'] },
+  { id: 'hudson', name: 'Hudson Energy', aliases: [] },
+  { id: 'agway', name: 'Agway Energy', aliases: ['Agway Energy Services'] }
+];
+
+// Fields every provider reads for a supplier, in the order they are filled. supplierCharges is split
+// into one field per commodity (SUPPLIER_CHARGE_FIELDS), so gas-only and electric-only exports only
+// keep the charges for their own commodity
+export const SUPPLIER_FIELDS = [
+  'supplierName', 'supplierAccountNumber', 'supplierRateKwh', 'supplierRateTherm', 'supplierCharges',
+  'supplierElectricCharges', 'supplierGasCharges'
+];
+
+// Field holding a supplier's charges, per commodity
+export const SUPPLIER_CHARGE_FIELDS = { electric: 'supplierElectricCharges', gas: 'supplierGasCharges' };
+
+/**
+ * Commodity a supplier's charges are for: the one its rate is printed in, else the only one the utility
+ * supplies itself, else the one the charge line names ("Electric supply charges - AEP Energy")
+ * @param {Object} data - Extracted fields, with the supplier's rates
+ * @param {string|null} chargeLine - Text the charges were read from
+ * @param {Array} delivered - Commodities the utility supplies itself
+ * @returns {string|null} - 'electric', 'gas', or null when nothing tells
+ */
+export const supplierCommodity = (data, chargeLine, delivered) => {
+  if (data.supplierRateKwh !== null && data.supplierRateKwh !== undefined) return 'electric';
+  if (data.supplierRateTherm !== null && data.supplierRateTherm !== undefined) return 'gas';
+  if (delivered.length === 1) return delivered[0];
+  const named = (chargeLine || '').match(/\b(electric|gas)\b/i);
+  return named ? named[1].toLowerCase() : null;
+};
+
+// Field specs with {supplier} standing for the supplier's names (case-insensitive strings, as in a
+// rules file). The name and charges patterns need the name in a supplier context, so a supplier only
+// mentioned in passing (an ad, a list of suppliers) isn't taken for the customer's
+export const SUPPLIER_FIELD_TEMPLATES = {
+  // The matched text is only provenance: the value is the registry name
+  supplierName: {
+    group: 0,
+    patterns: [
+      '(?:supplier|ESCO|supplied\\s+by|provided\\s+by)\\b[^$\\n]{0,30}?{supplier}',
+      '{supplier}\\s+is\\s+your\\s+(?:electric|gas|energy|natural\\s+gas)\\s+supplier'
+    ]
+  },
+  // "Total AEP Energy, Inc. Charges $6,882.85", "Total Charges from Direct Energy $61.37",
+  // "Electric supply charges - AEP Energy, Inc. $6,882.85", "New XOOM Energy NJ supply charges $84.10"
+  supplierCharges: {
+    patterns: [
+      'Total\\s+{supplier}[^$\\n]{0,20}?\\s(?:electric\\s+|gas\\s+|supply\\s+)*charges\\s+\\$?([\\d,]+\\.\\d{2})',
+      'charges\\s+from\\s+{supplier}[^$\\n]{0,20}?\\$?([\\d,]+\\.\\d{2})',
+      '(?:electric|gas)\\s+supply\\s+charges\\s+-\\s+{supplier}[^$\\n]{0,20}?\\$?([\\d,]+\\.\\d{2})',
+      '{supplier}\\s+(?:electric\\s+|gas\\s+|supply\\s+)+charges\\s+\\$?([\\d,]+\\.\\d{2})'
+    ],
+    post: ['stripCommas']
+  },
+  // "XOOM Energy account number: 7712-0045", "Supplier Account #: AEP-99812"
+  supplierAccountNumber: {
+    patterns: [
+      '{supplier}[^$\\n]{0,20}?\\saccount\\s*(?:number|No\\.?|#)?\\s*(?:is\\s+)?:?\\s*((?=[A-Z-]*\\d)[A-Z0-9][A-Z0-9-]{3,})',
+      '(?:supplier|ESCO)\\s+account\\s*(?:number|No\\.?|#)?\\s*(?:is\\s+)?:?\\s*((?=[A-Z-]*\\d)[A-Z0-9][A-Z0-9-]{3,})'
+    ],
+    post: ['uppercase']
+  },
+  // "Price $0.1249 per kWh", "1,240 kWh x $0.1249" near the supplier's name
+  supplierRateKwh: {
+    patterns: [
+      '{supplier}[\\s\\S]{0,300}?\\$?(\\d?\\.\\d{2,6})\\s*(?:per|\\/)\\s*kWh',
+      { regex: '{supplier}[\\s\\S]{0,300}?kWh\\s*[x×@]\\s*\\$?(\\d?\\.\\d{2,6})', confidence: 'medium' }
+    ]
+  },
+  supplierRateTherm: {
+    patterns: [
+      '{supplier}[\\s\\S]{0,300}?\\$?(\\d?\\.\\d{2,6})\\s*(?:per|\\/)\\s*therm',
+      { regex: '{supplier}[\\s\\S]{0,300}?therms?\\s*[x×@]\\s*\\$?(\\d?\\.\\d{2,6})', confidence: 'medium' }
+    ]
+  }
+};
+
+// Escape a string for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex source matching any of a supplier's names as whole words, with any spacing between words
+ * (PDF text often drops or doubles spaces)
+ * @param {Object} supplier - Registry entry
+ * @returns {string}
+ */
+export const supplierPattern = (supplier) => {
+  const names = [...new Set([supplier.name, ...(supplier.aliases || [])])].sort((a, b) => b.length - a.length);
+  const alternatives = names.map(name => name.trim().split(/\s+/).map(escapeRegExp).join('\\s*'));
+  return `(?<![A-Za-z0-9])(?:${alternatives.join('|')})(?![A-Za-z0-9])`;
+};
+
+/**
+ * Field specs for one supplier: SUPPLIER_FIELD_TEMPLATES with its names filled in
+ * @param {Object} supplier - Registry entry
+ * @returns {Object} - Fields object in the rule definition format
+ */
+export const supplierFieldSpecs = (supplier) => {
+  const names = supplierPattern(supplier);
+  const fill = (regex) => regex.replace(/\{supplier\}/g, names);
+  return Object.fromEntries(Object.entries(SUPPLIER_FIELD_TEMPLATES).map(([field, spec]) => [field, {
+    ...spec,
+    patterns: spec.patterns.map(entry => (typeof entry === 'string' ? fill(entry) : { ...entry, regex: fill(entry.regex) }))
+  }]));
+};
+
+/**
+ * Check a "suppliers" list and throw a descriptive Error if it can't be used
+ * @param {Array} suppliers - Supplier entries
+ * @param {string} owner - Name used in error messages
+ */
+export const validateSuppliers = (suppliers, owner) => {
+  if (!Array.isArray(suppliers)) {
+    throw new Error(`${owner}: "suppliers" must be a list`);
+  }
+  suppliers.forEach((supplier, i) => {
+    if (typeof supplier?.name !== 'string' || !supplier.name.trim()) {
+      throw new Error(`${owner}: suppliers[${i}] needs a "name"`);
+    }
+    if (supplier.aliases !== undefined && !(Array.isArray(supplier.aliases) && supplier.aliases.every(alias => typeof alias === 'string' && alias.trim()))) {
+      throw new Error(`${owner}: suppliers[${i}] "aliases" must be a list of names`);
+    }
+  });
+};
@@ -0,0 +1,169 @@
+// Validation
+// Checks extracted values against what a bill can plausibly say and returns warnings for the ones
+// that look wrong (a meter reading taken for the usage, a PoD ID of the wrong length, a zero charge).
+// Warnings don't change any value; they are shown in the table and exported for review.
+//
+// A provider configures its checks in its rules under "validate" (field names, not column labels):
+//   validate: {
+//     required: ['serviceAddress', ['electricPodId', 'gasPodId']],  // a list means "at least one of"
+//     fields: {
+//       electricPodId: { digits: 18 },                      // exactly this many digits
+//       accountNumber: { pattern: '^\\d{10,12}$' },         // regex the value must match
+//       totalUsageKwh: { min: 1, max: 2000000 },            // numeric range
+//       electricSupplyCharges: { min: 0, notZero: true }
+//     },
+//     ratios: [
+//       { label: 'Supply $/kWh', numerator: 'electricSupplyCharges', denominator: 'totalUsageKwh', min: 0.02, max: 0.5 }
+//     ]
+//   }
+// Every currency and number column is also checked to be non-negative unless its field sets its own "min".
+
+import { SUPPLIER_FIELDS } from './suppliers.js';
+
+const FIELD_CHECKS = ['pattern', 'digits', 'min', 'max', 'notZero'];
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Numeric value of a cell, or null for text (e.g. "ACE Doesn't Supply Gas") and empty cells
+const toNumber = (value) => {
+  if (isMissing(value)) return null;
+  const number = Number(String(value).replace(/[$,\s]/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+const toRegExp = (pattern) => (pattern instanceof RegExp ? pattern : new RegExp(pattern));
+
+/**
+ * Check a "validate" section and throw a descriptive Error if it can't be used
+ * @param {Object} validate - Validation rules
+ * @param {Array<string>} fieldNames - Fields the provider extracts
+ * @param {string} owner - Name used in error messages
+ */
+export const validateValidationRules = (validate, fieldNames, owner) => {
+  if (!validate || typeof validate !== 'object') {
+    throw new Error(`${owner}: "validate" must be an object`);
+  }
+  const checkField = (field, where) => {
+    if (!fieldNames.includes(field)) {
+      throw new Error(`${owner}: ${where} refers to unknown field "${field}"`);
+    }
+  };
+
+  (validate.required || []).forEach((entry, i) => {
+    (Array.isArray(entry) ? entry : [entry]).forEach(field => checkField(field, `validate.required[${i}]`));
+  });
+
+  for (const [field, checks] of Object.entries(validate.fields || {})) {
+    checkField(field, 'validate.fields');
+    const unknown = Object.keys(checks).filter(key => !FIELD_CHECKS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${owner}: validate.fields.${field} has unknown check "${unknown[0]}" (use ${FIELD_CHECKS.join(', ')})`);
+    }
+    if (checks.pattern !== undefined) {
+      try {
+        toRegExp(checks.pattern);
+      } catch (error) {
+        throw new Error(`${owner}: invalid regex in validate.fields.${field}.pattern: ${error.message}`);
+      }
+    }
+    ['digits', 'min', 'max'].filter(key => checks[key] !== undefined).forEach(key => {
+      if (typeof checks[key] !== 'number') {
+        throw new Error(`${owner}: validate.fields.${field}.${key} must be a number`);
+      }
+    });
+  }
+
+  (validate.ratios || []).forEach((ratio, i) => {
+    if (!ratio.label || !ratio.numerator || !ratio.denominator) {
+      throw new Error(`${owner}: validate.ratios[${i}] needs a "label", "numerator" and "denominator"`);
+    }
+    checkField(ratio.numerator, `validate.ratios[${i}]`);
+    checkField(ratio.denominator, `validate.ratios[${i}]`);
+  });
+};
+
+/**
+ * Check a result row
+ * @param {Object} row - Result row (keyed by column label)
+ * @param {Array} columns - The provider's output columns
+ * @param {Object|null} validate - The provider's validation rules (null: one of the utility's identifiers
+ *   required, and the non-negative checks only)
+ * @returns {Array} - Warnings: [{ columns: [labels], check, message }]
+ */
+export const checkRow = (row, columns, validate = null) => {
+  const labelOf = Object.fromEntries(columns.map(column => [column.field, column.label]));
+  const columnOf = Object.fromEntries(columns.map(column => [column.field, column]));
+  const valueOf = (field) => row[labelOf[field]];
+  const warnings = [];
+  const warn = (fields, check, message) => warnings.push({ columns: fields.map(field => labelOf[field]), check, message });
+
+  // Fields that aren't output columns can't be checked on the row
+  const shown = (field) => field in labelOf;
+
+  // By default one of the utility's identifiers is required; a supplier account number alone doesn't
+  // identify the utility account
+  const required = validate?.required
+    || [columns.filter(column => column.identifier && !SUPPLIER_FIELDS.includes(column.field)).map(column => column.field)];
+  required.forEach(entry => {
+    const fields = (Array.isArray(entry) ? entry : [entry]).filter(shown);
+    if (fields.length > 0 && fields.every(field => isMissing(valueOf(field)))) {
+      warn(fields, 'required', `Missing ${fields.map(field => labelOf[field]).join(' or ')}`);
+    }
+  });
+
+  const fieldChecks = {};
+  columns
+    .filter(column => column.type === 'currency' || column.type === 'number')
+    .forEach(column => {
+      fieldChecks[column.field] = { min: 0 };
+    });
+  Object.entries(validate?.fields || {}).forEach(([field, checks]) => {
+    fieldChecks[field] = { ...fieldChecks[field], ...checks };
+  });
+
+  for (const [field, checks] of Object.entries(fieldChecks)) {
+    const value = valueOf(field);
+    if (!shown(field) || isMissing(value)) continue;
+    const label = labelOf[field];
+    const unit = columnOf[field].unit ? ` ${columnOf[field].unit}` : '';
+    const text = String(value);
+
+    if (checks.pattern !== undefined && !toRegExp(checks.pattern).test(text)) {
+      warn([field], 'format', `${label} "${text}" has an unexpected format`);
+    }
+    if (checks.digits !== undefined) {
+      const digits = text.replace(/\D/g, '').length;
+      if (digits !== checks.digits || /[^\d\s-]/.test(text)) {
+        warn([field], 'format', `${label} should be ${checks.digits} digits, "${text}" has ${digits}`);
+      }
+    }
+
+    const number = toNumber(value);
+    if (number === null) continue;
+    if (checks.min !== undefined && number < checks.min) {
+      warn([field], 'range', checks.min === 0
+        ? `${label} is negative (${text}${unit})`
+        : `${label} ${text}${unit} is below the expected minimum of ${checks.min}${unit}`);
+    }
+    if (checks.max !== undefined && number > checks.max) {
+      warn([field], 'range', `${label} ${text}${unit} is above the expected maximum of ${checks.max}${unit}`);
+    }
+    if (checks.notZero && number === 0) {
+      warn([field], 'zero', `${label} is zero`);
+    }
+  }
+
+  (validate?.ratios || []).forEach(({ label, numerator, denominator, min, max }) => {
+    if (!shown(numerator) || !shown(denominator)) return;
+    const top = toNumber(valueOf(numerator));
+    const bottom = toNumber(valueOf(denominator));
+    if (top === null || !bottom) return;
+    const ratio = top / bottom;
+    if ((min !== undefined && ratio < min) || (max !== undefined && ratio > max)) {
+      const band = `${min ?? '…'} to ${max ?? '…'}`;
+      warn([numerator, denominator], 'ratio', `${label} is ${ratio.toFixed(3)}, outside the plausible ${band}`);
+    }
+  });
+
+  return warnings;
+};
@@ -0,0 +1,363 @@
+// Analytics
+// Unit costs, totals and trends over result rows: effective supply rates ($/kWh, $/therm), totals per
+// service address and per provider, month-over-month change and outliers. Values are looked up by
+// field through each row's provider columns, so imported providers with other labels take part too.
+// Every table is a list of plain objects keyed by column label (ANALYTICS_SECTIONS): the dashboard
+// shows them and the workbook export writes them as sheets.
+
+import { getProviderColumns } from '../providers/index.js';
+
+// Usage above this many times the site's median (or below the median divided by it) is an outlier
+const USAGE_OUTLIER_FACTOR = 2;
+// A rate further than this share from the median rate of its commodity is an outlier
+const RATE_OUTLIER_SHARE = 0.4;
+// A site's supply cost changing by more than this share from one month to the next is an outlier
+const COST_CHANGE_OUTLIER_SHARE = 0.5;
+// Bills needed before a median is worth comparing against
+const MIN_BILLS_FOR_MEDIAN = 3;
+
+// Address of bills without one, so they still count in the totals
+export const UNKNOWN_ADDRESS = 'Unknown address';
+
+// The fields each commodity's usage and supply cost are read from
+const COMMODITY_FIELDS = {
+  electric: { name: 'Electric', usage: 'totalUsageKwh', cost: 'electricSupplyCharges', supplierCost: 'supplierElectricCharges', unit: 'kWh', units: 'kWh' },
+  gas: { name: 'Gas', usage: 'gasUsageTherms', cost: 'gasSupplyCharges', supplierCost: 'supplierGasCharges', unit: 'therm', units: 'therms' }
+};
+const COMMODITIES = Object.keys(COMMODITY_FIELDS);
+
+// A cell value as a number; text such as "ACE Doesn't Supply Gas" is no number
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(String(value).replace(/[$,\s]/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Relative change from one value to another, in percent (null when there is nothing to compare)
+const percentChange = (previous, current) => (previous > 0 && current !== null ? round((current - previous) / previous * 100, 1) : null);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * The month before a YYYY-MM month
+ * @param {string} month - YYYY-MM
+ * @returns {string} - YYYY-MM
+ */
+export const previousMonth = (month) => {
+  const [year, number] = month.split('-').map(Number);
+  return number === 1 ? `${year - 1}-12` : `${year}-${String(number - 1).padStart(2, '0')}`;
+};
+
+/**
+ * Usage, supply cost and effective rate of one bill
+ * The bill's month is the month its service period ends, or its bill month when no period is printed.
+ * A third-party supplier's charges are part of the supply cost of their commodity (the provider puts
+ * them in the Supplier Electric or Gas Charges column, see supplierCommodity in providers/suppliers.js)
+ * @param {Object} row - Result row
+ * @returns {Object} - { row, fileName, provider, address, month, electric: { usage, cost, rate }, gas: { ... } }
+ */
+export const billMetrics = (row) => {
+  const columns = getProviderColumns(row._providerId);
+  const valueOf = (field) => {
+    const column = columns.find(entry => entry.field === field);
+    return column ? row[column.label] ?? null : null;
+  };
+  const date = valueOf('servicePeriodEnd') || valueOf('billDate');
+  const metrics = {
+    row,
+    fileName: row['File Name'],
+    provider: row['Provider'] || 'Unknown',
+    address: valueOf('serviceAddress') || UNKNOWN_ADDRESS,
+    month: /^\d{4}-\d{2}/.test(date || '') ? date.slice(0, 7) : null
+  };
+  COMMODITIES.forEach(commodity => {
+    const { usage: usageField, cost: costField, supplierCost } = COMMODITY_FIELDS[commodity];
+    const usage = toNumber(valueOf(usageField));
+    const costs = [toNumber(valueOf(costField)), toNumber(valueOf(supplierCost))]
+      .filter(value => value !== null);
+    const cost = costs.length > 0 ? round(costs.reduce((total, value) => total + value, 0), 2) : null;
+    metrics[commodity] = { usage, cost, rate: usage > 0 && cost !== null ? cost / usage : null };
+  });
+  return metrics;
+};
+
+/**
+ * Add up a commodity over bills; the effective rate only counts bills with both usage and cost
+ * @param {Array} bills - From billMetrics
+ * @param {string} commodity - 'electric' or 'gas'
+ * @returns {Object} - { usage, cost, rate } (null when no bill has the value)
+ */
+const sumCommodity = (bills, commodity) => {
+  const values = bills.map(bill => bill[commodity]);
+  const sum = (list) => (list.length > 0 ? list.reduce((total, value) => total + value, 0) : null);
+  const rated = values.filter(({ usage, cost }) => usage > 0 && cost !== null);
+  const ratedUsage = sum(rated.map(({ usage }) => usage));
+  return {
+    usage: sum(values.map(({ usage }) => usage).filter(value => value !== null)),
+    cost: sum(values.map(({ cost }) => cost).filter(value => value !== null)),
+    rate: ratedUsage ? sum(rated.map(({ cost }) => cost)) / ratedUsage : null
+  };
+};
+
+// Group bills by a key, keeping first-seen order
+const groupBills = (bills, keyOf) => {
+  const groups = new Map();
+  bills.forEach(bill => {
+    const key = keyOf(bill);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bill);
+  });
+  return groups;
+};
+
+// Totals of a group of bills
+const totalsOf = (key, bills) => ({
+  key,
+  bills: bills.length,
+  ...Object.fromEntries(COMMODITIES.map(commodity => [commodity, sumCommodity(bills, commodity)]))
+});
+
+/**
+ * Month-by-month totals per service address, with the change from the month before
+ * A month only gets a change when the site also has the calendar month before it
+ * @param {Array} bills - From billMetrics
+ * @returns {Array} - [{ address, month, electric: { usage, cost, rate, previousCost, usageChange, costChange, rateChange },
+ *   gas }] sorted by address (first seen) and month
+ */
+const monthlyTotals = (bills) => {
+  const monthly = [];
+  groupBills(bills.filter(bill => bill.month), bill => bill.address).forEach((siteBills, address) => {
+    const byMonth = groupBills(siteBills, bill => bill.month);
+    [...byMonth.keys()].sort().forEach(month => {
+      const entry = { address, month };
+      const previous = byMonth.get(previousMonth(month));
+      COMMODITIES.forEach(commodity => {
+        const current = sumCommodity(byMonth.get(month), commodity);
+        const before = previous ? sumCommodity(previous, commodity) : null;
+        entry[commodity] = {
+          ...current,
+          previousCost: before ? before.cost : null,
+          usageChange: before ? percentChange(before.usage, current.usage) : null,
+          costChange: before ? percentChange(before.cost, current.cost) : null,
+          rateChange: before ? percentChange(before.rate, current.rate) : null
+        };
+      });
+      monthly.push(entry);
+    });
+  });
+  return monthly;
+};
+
+/**
+ * Bills and months that stand out:
+ *   - a rate far from the median rate of all bills of its commodity
+ *   - usage far above or below the median usage of the site
+ *   - a site's supply cost jumping or dropping from one month to the next
+ * @param {Array} bills - From billMetrics
+ * @param {Array} monthly - From monthlyTotals
+ * @returns {Array} - [{ fileName, address, month, check, value, typical, message }]
+ */
+const findOutliers = (bills, monthly) => {
+  const outliers = [];
+  COMMODITIES.forEach(commodity => {
+    const { name, unit, units } = COMMODITY_FIELDS[commodity];
+
+    const rated = bills.filter(bill => bill[commodity].rate !== null);
+    if (rated.length >= MIN_BILLS_FOR_MEDIAN) {
+      const typical = median(rated.map(bill => bill[commodity].rate));
+      rated.forEach(bill => {
+        const { rate } = bill[commodity];
+        const share = rate / typical - 1;
+        if (Math.abs(share) <= RATE_OUTLIER_SHARE) return;
+        outliers.push({
+          fileName: bill.fileName,
+          address: bill.address,
+          month: bill.month,
+          check: `${name} $/${unit}`,
+          value: round(rate, 4),
+          typical: round(typical, 4),
+          message: `$${rate.toFixed(4)}/${unit} is ${Math.round(Math.abs(share) * 100)}% ${share > 0 ? 'above' : 'below'} the median $${typical.toFixed(4)}/${unit}`
+        });
+      });
+    }
+
+    groupBills(bills.filter(bill => bill[commodity].usage !== null), bill => bill.address).forEach((siteBills, address) => {
+      if (siteBills.length < MIN_BILLS_FOR_MEDIAN) return;
+      const typical = median(siteBills.map(bill => bill[commodity].usage));
+      siteBills.forEach(bill => {
+        const { usage } = bill[commodity];
+        if (typical <= 0 || (usage <= typical * USAGE_OUTLIER_FACTOR && usage >= typical / USAGE_OUTLIER_FACTOR)) return;
+        outliers.push({
+          fileName: bill.fileName,
+          address,
+          month: bill.month,
+          check: `${name} usage`,
+          value: usage,
+          typical: round(typical, 2),
+          message: `${usage} ${units} is ${round(usage / typical, 1)}x the site's median ${round(typical, 2)} ${units}`
+        });
+      });
+    });
+
+    monthly.forEach(({ address, month, [commodity]: totals }) => {
+      if (totals.costChange === null || Math.abs(totals.costChange) <= COST_CHANGE_OUTLIER_SHARE * 100) return;
+      outliers.push({
+        fileName: null,
+        address,
+        month,
+        check: `${name} cost change`,
+        value: round(totals.cost, 2),
+        typical: round(totals.previousCost, 2),
+        message: `${name} supply cost ${totals.costChange > 0 ? 'rose' : 'fell'} ${Math.abs(totals.costChange)}% from ${previousMonth(month)}`
+      });
+    });
+  });
+  return outliers;
+};
+
+/**
+ * Analyze result rows (rows no provider could read are left out)
+ * @param {Array} results - Result rows
+ * @returns {Object} - { bills, addresses, providers, monthly, outliers }: bills from billMetrics,
+ *   totals per address and per provider ({ key, bills, electric, gas }), monthlyTotals and findOutliers
+ */
+export const analyzeResults = (results) => {
+  const bills = results.filter(row => row['Provider']).map(billMetrics);
+  const monthly = monthlyTotals(bills);
+  return {
+    bills,
+    addresses: [...groupBills(bills, bill => bill.address)].map(([key, group]) => totalsOf(key, group)),
+    providers: [...groupBills(bills, bill => bill.provider)].map(([key, group]) => totalsOf(key, group)),
+    monthly,
+    outliers: findOutliers(bills, monthly)
+  };
+};
+
+// Usage, cost and rate cells of one commodity
+const commodityCells = (commodity, { usage, cost, rate }) => {
+  const { name, unit, units } = COMMODITY_FIELDS[commodity];
+  return {
+    [`${name} Usage (${units})`]: round(usage, 2),
+    [`${name} Supply ($)`]: round(cost, 2),
+    [`${name} $/${unit}`]: round(rate, 4)
+  };
+};
+
+// Totals rows (per address or per provider)
+const totalsRows = (groups, keyLabel) => groups.map(group => ({
+  [keyLabel]: group.key,
+  'Bills': group.bills,
+  ...commodityCells('electric', group.electric),
+  ...commodityCells('gas', group.gas)
+}));
+
+// Chart data: one row per month, one column per service address
+const pivotRows = (monthly, valueOf) => {
+  const addresses = [...new Set(monthly.map(entry => entry.address))];
+  return [...new Set(monthly.map(entry => entry.month))].sort().map(month => ({
+    'Month': month,
+    ...Object.fromEntries(addresses.map(address => {
+      const entry = monthly.find(item => item.address === address && item.month === month);
+      return [address, entry ? valueOf(entry) : null];
+    }))
+  }));
+};
+
+// Drop chart months where no site has a value (e.g. gas months of electric-only sites)
+const withValues = (rows) => rows.filter(row => Object.entries(row).some(([key, value]) => key !== 'Month' && value !== null));
+
+/**
+ * Dashboard tables and charts. Each section turns an analysis into rows keyed by column label;
+ * chart sections have one row per month and one column per service address, plotted as lines
+ *   - id: key for the export options
+ *   - title: heading and sheet name
+ *   - commodity: sections left out of the other commodity's export
+ *   - chart: { unit } for sections drawn as a chart
+ */
+export const ANALYTICS_SECTIONS = [
+  {
+    id: 'electricUsage',
+    title: 'Electric Usage',
+    commodity: 'electric',
+    chart: { unit: 'kWh' },
+    rows: (analysis) => withValues(pivotRows(analysis.monthly, entry => round(entry.electric.usage, 2)))
+  },
+  {
+    id: 'gasUsage',
+    title: 'Gas Usage',
+    commodity: 'gas',
+    chart: { unit: 'therms' },
+    rows: (analysis) => withValues(pivotRows(analysis.monthly, entry => round(entry.gas.usage, 2)))
+  },
+  {
+    id: 'supplyCost',
+    title: 'Supply Cost',
+    chart: { unit: '$' },
+    rows: (analysis) => withValues(pivotRows(analysis.monthly, entry => (
+      entry.electric.cost === null && entry.gas.cost === null ? null : round((entry.electric.cost || 0) + (entry.gas.cost || 0), 2)
+    )))
+  },
+  {
+    id: 'unitCosts',
+    title: 'Unit Costs',
+    rows: (analysis) => analysis.bills.map(bill => ({
+      'File Name': bill.fileName,
+      'Provider': bill.provider,
+      'Service Address': bill.address,
+      'Month': bill.month,
+      ...commodityCells('electric', bill.electric),
+      ...commodityCells('gas', bill.gas)
+    }))
+  },
+  {
+    id: 'addresses',
+    title: 'By Address',
+    rows: (analysis) => totalsRows(analysis.addresses, 'Service Address')
+  },
+  {
+    id: 'providers',
+    title: 'By Provider',
+    rows: (analysis) => totalsRows(analysis.providers, 'Provider')
+  },
+  {
+    id: 'monthlyChange',
+    title: 'Monthly Change',
+    rows: (analysis) => analysis.monthly.flatMap(entry => COMMODITIES
+      .filter(commodity => entry[commodity].usage !== null || entry[commodity].cost !== null)
+      .map(commodity => {
+        const totals = entry[commodity];
+        const { name, units } = COMMODITY_FIELDS[commodity];
+        return {
+          'Service Address': entry.address,
+          'Month': entry.month,
+          'Commodity': name,
+          'Usage': round(totals.usage, 2),
+          'Unit': units,
+          'Usage Change (%)': totals.usageChange,
+          'Supply ($)': round(totals.cost, 2),
+          'Supply Change (%)': totals.costChange,
+          'Rate ($/unit)': round(totals.rate, 4),
+          'Rate Change (%)': totals.rateChange
+        };
+      }))
+  },
+  {
+    id: 'outliers',
+    title: 'Outliers',
+    rows: (analysis) => analysis.outliers.map(outlier => ({
+      'File Name': outlier.fileName,
+      'Service Address': outlier.address,
+      'Month': outlier.month,
+      'Check': outlier.check,
+      'Value': outlier.value,
+      'Typical': outlier.typical,
+      'Outlier': outlier.message
+    }))
+  }
+];
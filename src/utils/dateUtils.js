@@ -0,0 +1,54 @@
+// Date utilities
+// Bills print dates as "January 15, 2024", "Jan 15, 2024", "01/15/2024" or "1/15/24";
+// everything is normalized to ISO (YYYY-MM-DD) so rows sort and export consistently
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Build an ISO date, or null if the parts don't form a real calendar date
+const isoFromParts = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Normalize a printed date to ISO format
+ * @param {string} value - Date as printed on the bill (US month/day order for numeric dates)
+ * @returns {string|null} - YYYY-MM-DD, or null if the value isn't a recognizable date
+ */
+export const toISODate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return isoFromParts(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return isoFromParts(year, Number(match[1]), Number(match[2]));
+  }
+
+  match = text.match(/([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})/i);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+    return month > 0 ? isoFromParts(Number(match[3]), month, Number(match[2])) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Number of days between two ISO dates
+ * @param {string} start - Start date (YYYY-MM-DD)
+ * @param {string} end - End date (YYYY-MM-DD)
+ * @returns {number|null} - Whole days from start to end, or null if either date is missing
+ */
+export const daysBetween = (start, end) => {
+  if (!start || !end) return null;
+  const days = Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS);
+  return isNaN(days) ? null : days;
+};
@@ -0,0 +1,128 @@
+// Duplicate bill detection
+// The same bill often arrives twice, e.g. downloaded again under another file name. Two checks:
+//   - content: the PDFs are byte-identical (SHA-256 of the file, kept in row._source.hash)
+//   - semantic: same provider, account / PoD, bill dates and amounts, even though the PDFs differ
+//     (a re-issued copy, a scan of the paper bill)
+
+import { getProviderColumns } from '../providers/index.js';
+import { toISODate } from './dateUtils.js';
+
+// What to do with a new row that duplicates one already in the results
+export const DUPLICATE_POLICIES = {
+  keep: 'Keep both (flagged)',
+  skip: 'Skip the new copy',
+  replace: 'Replace the earlier copy'
+};
+
+/**
+ * SHA-256 of a file's bytes, as hex
+ * @param {ArrayBuffer|Uint8Array} data - Raw PDF bytes
+ * @returns {Promise<string|null>} - Hash, or null where Web Crypto isn't available
+ */
+export const contentHash = async (data) => {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) return null;
+  const digest = await subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// A date or amount read from the bill, or '' for empty cells and placeholders such as
+// "ACE Doesn't Supply Gas", which are the same on every bill of a provider
+const factValue = (column, value) => {
+  if (value === '') return '';
+  if (column.type === 'date') return toISODate(value) ?? '';
+  const amount = value.replace(/[$,\s]/g, '');
+  return amount !== '' && !isNaN(Number(amount)) ? value : '';
+};
+
+/**
+ * Key identifying the bill a row was read from, independent of the PDF's bytes
+ * Built from the provider, its identifier columns (account number, PoD ID), date columns and currency columns
+ * @param {Object} row - Result row
+ * @returns {string|null} - Key, or null when the row has no identifier or no date or amount read from the bill to
+ *   tell bills apart
+ */
+export const semanticKey = (row) => {
+  if (!row._providerId) return null;
+  const columns = getProviderColumns(row._providerId);
+  const value = (column) => String(row[column.label] ?? '').trim();
+  const ids = columns.filter(column => column.identifier).map(value);
+  const facts = columns.filter(column => column.type === 'date' || column.type === 'currency')
+    .map(column => factValue(column, value(column)));
+  if (!ids.some(Boolean) || !facts.some(Boolean)) return null;
+  return [row._providerId, ...ids, ...facts].join('|');
+};
+
+/**
+ * Fingerprint of a row for duplicate lookups
+ * @param {Object} row - Result row
+ * @param {string|null} sessionName - Saved session the row belongs to, when it isn't in the current results
+ * @returns {Object} - { rowId, fileName, sessionName, hash, key }
+ */
+export const fingerprint = (row, sessionName = null) => ({
+  rowId: row._id,
+  fileName: row['File Name'],
+  sessionName,
+  // Each record of a summary bill is its own bill
+  hash: row._source?.hash ? `${row._source.hash}#${row._source.record ?? 1}` : null,
+  key: semanticKey(row)
+});
+
+/**
+ * Index of known rows, to look up the earlier copy of a bill
+ * @param {Array} entries - Fingerprints to start with (e.g. rows of other sessions)
+ * @returns {Object} - { find(row) => { ...fingerprint, reason: 'content' | 'semantic' } | null, add(entry), remove(rowId) }
+ */
+export const createDuplicateIndex = (entries = []) => {
+  const byHash = new Map();
+  const byKey = new Map();
+
+  const add = (entry) => {
+    if (entry.hash && !byHash.has(entry.hash)) byHash.set(entry.hash, entry);
+    if (entry.key && !byKey.has(entry.key)) byKey.set(entry.key, entry);
+  };
+
+  const remove = (rowId) => {
+    [byHash, byKey].forEach(map => {
+      for (const [value, entry] of map) {
+        if (entry.rowId === rowId) map.delete(value);
+      }
+    });
+  };
+
+  const find = (row) => {
+    const { hash, key } = fingerprint(row);
+    if (hash && byHash.has(hash)) return { ...byHash.get(hash), reason: 'content' };
+    if (key && byKey.has(key)) return { ...byKey.get(key), reason: 'semantic' };
+    return null;
+  };
+
+  entries.forEach(add);
+  return { find, add, remove };
+};
+
+/**
+ * Flag rows that repeat an earlier row of the list or a row of another session
+ * @param {Array} rows - Result rows, in table order
+ * @param {Array} history - Fingerprints of rows in other saved sessions
+ * @returns {Map} - rowId => { fileName, sessionName, reason } of the earlier copy
+ */
+export const findDuplicates = (rows, history = []) => {
+  const index = createDuplicateIndex(history);
+  const duplicates = new Map();
+  rows.forEach(row => {
+    const duplicate = index.find(row);
+    if (duplicate) duplicates.set(row._id, duplicate);
+    index.add(fingerprint(row));
+  });
+  return duplicates;
+};
+
+/**
+ * Describe where the earlier copy of a bill is
+ * @param {Object} duplicate - From find() or findDuplicates()
+ * @returns {string} - e.g. 'Same PDF as bill-01.pdf' or 'Same bill as bill-01.pdf in session "Batch Mar 4"'
+ */
+export const describeDuplicate = (duplicate) =>
+  `${duplicate.reason === 'content' ? 'Same PDF' : 'Same bill (account, dates, amounts)'} as ${duplicate.fileName}` +
+  `${duplicate.sessionName ? ` in session "${duplicate.sessionName}"` : ''}`;
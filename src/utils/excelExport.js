@@ -1,5 +1,10 @@
 // Excel export utilities
 import * as XLSX from 'xlsx';
+import { stripMetadata, groupByProvider, groupBySupplier, sourcePages, hasMultiRecordFiles } from './resultUtils.js';
+import { getProviderColumns, getMeterColumns } from '../providers/index.js';
+import { columnsForCommodity, COMMODITIES } from '../providers/schema.js';
+import { analyzeResults, ANALYTICS_SECTIONS } from './analytics.js';
+import { buildPortfolio, siteMonthRows } from './portfolio.js';
 
 /**
  * Replace null/undefined values with "Not Found"
@@ -9,7 +14,7 @@ import * as XLSX from 'xlsx';
 const replaceNullWithNotFound = (results) => {
   return results.map(row => {
     const cleanedRow = {};
-    for (const [key, value] of Object.entries(row)) {
+    for (const [key, value] of Object.entries(stripMetadata(row))) {
       cleanedRow[key] = (value === null || value === undefined || value === '') ? 'Not Found' : value;
     }
     return cleanedRow;
@@ -17,146 +22,355 @@ const replaceNullWithNotFound = (results) => {
 };
 
 /**
- * Export utility bill data with one tab per provider
+ * Leading cells that identify a row's source: the file name, plus the page range
+ * when some files were split into several rows (summary bills)
+ * @param {Object} row - Result row
+ * @param {boolean} withPages - Add a "Pages" cell
+ * @returns {Object}
+ */
+const sourceCells = (row, withPages) => (withPages
+  ? { 'File Name': row['File Name'], 'Pages': sourcePages(row) }
+  : { 'File Name': row['File Name'] });
+
+/**
+ * Whether any row has validation warnings
+ * @param {Array} results - Result rows
+ * @returns {boolean}
+ */
+const hasWarnings = (results) => results.some(row => row._warnings?.length > 0);
+
+// A row's warnings as one cell ("" when there are none)
+const warningText = (row) => (row._warnings || []).map(warning => warning.message).join('; ');
+
+/**
+ * Append a "Warnings" sheet with one line per validation warning
+ * @param {Object} workbook - XLSX workbook
  * @param {Array} results - Array of extracted bill data objects
- * @param {Object} options - Export options
  */
-export const exportToExcel = (results, options = {}) => {
-  if (!results || results.length === 0) {
-    alert('No data to export');
-    return;
-  }
+const appendWarningsSheet = (workbook, results) => {
+  const withPages = hasMultiRecordFiles(results);
+  const warningRows = results.flatMap(row => (row._warnings || []).map(warning => ({
+    ...sourceCells(row, withPages),
+    'Provider': row['Provider'],
+    'Columns': warning.columns.join(', '),
+    'Check': warning.check,
+    'Warning': warning.message
+  })));
 
-  const {
-    fileName = 'utility_bill_data.xlsx'
-  } = options;
+  const worksheet = XLSX.utils.json_to_sheet(replaceNullWithNotFound(warningRows));
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Warnings');
+};
 
-  // Group results by provider
-  const resultsByProvider = {};
+/**
+ * Append a "Provenance" sheet listing where every extracted value came from
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} results - Array of extracted bill data objects
+ */
+const appendProvenanceSheet = (workbook, results) => {
+  const provenanceRows = [];
+  const withPages = hasMultiRecordFiles(results);
   results.forEach(row => {
-    const provider = row['Provider'] || 'Unknown';
-    if (!resultsByProvider[provider]) {
-      resultsByProvider[provider] = [];
+    for (const [column, info] of Object.entries(row._provenance || {})) {
+      provenanceRows.push({
+        ...sourceCells(row, withPages),
+        'Provider': row['Provider'],
+        'Field': column,
+        'Value': row[column],
+        'Confidence': info.confidence,
+        'Pattern': info.pattern,
+        'Rank': `${info.rank} of ${info.patternCount}`,
+        'Page': info.page,
+        'Matched Text': info.snippet
+      });
     }
-    resultsByProvider[provider].push(row);
   });
 
-  // Create workbook
+  const worksheet = XLSX.utils.json_to_sheet(replaceNullWithNotFound(provenanceRows));
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Provenance');
+};
+
+/**
+ * Append an "Edits" sheet listing every manual correction
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} edits - Audit records from applyEdit()
+ */
+const appendEditsSheet = (workbook, edits) => {
+  const editRows = edits.map(edit => ({
+    'File Name': edit.fileName,
+    'Provider': edit.provider,
+    'Field': edit.column,
+    'Original Value': edit.originalValue,
+    'Previous Value': edit.previousValue,
+    'New Value': edit.newValue,
+    'Edited At': edit.timestamp
+  }));
+
+  const worksheet = XLSX.utils.json_to_sheet(replaceNullWithNotFound(editRows));
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Edits');
+};
+
+/**
+ * Append a "Line Items" sheet with every itemized charge, followed by each printed total
+ * and whether the items marked as part of it add up
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {string|null} commodity - 'gas' or 'electric' to drop the other commodity's charges, null for all
+ */
+const appendLineItemsSheet = (workbook, results, commodity) => {
+  // Account-level charges (balance, payments) belong to every export mode
+  const keep = (entry) => !commodity || !COMMODITIES.includes(entry.commodity) || entry.commodity === commodity;
+  const toNumber = (value) => (value === null || value === undefined || isNaN(Number(value)) ? value : Number(value));
+  const lineRows = [];
+  const withPages = hasMultiRecordFiles(results);
+
+  results.forEach(row => {
+    const base = { ...sourceCells(row, withPages), 'Provider': row['Provider'] };
+    (row._lineItems || []).filter(keep).forEach(item => {
+      lineRows.push({
+        ...base,
+        'Commodity': item.commodity,
+        'Item': item.label,
+        'Amount': toNumber(item.amount),
+        'Part of Total': item.partOfTotal ? 'Yes' : 'No',
+        'Page': item.provenance?.page ?? '',
+        'Items Sum': '',
+        'Difference': '',
+        'Check': ''
+      });
+    });
+    (row._chargeChecks || []).filter(keep).forEach(check => {
+      lineRows.push({
+        ...base,
+        'Commodity': check.commodity,
+        'Item': check.label,
+        'Amount': toNumber(check.total),
+        'Part of Total': 'Printed total',
+        'Page': check.provenance?.page ?? '',
+        'Items Sum': toNumber(check.itemsSum),
+        'Difference': toNumber(check.difference),
+        'Check': check.status
+      });
+    });
+  });
+
+  if (lineRows.length === 0) return;
+  const worksheet = XLSX.utils.json_to_sheet(lineRows);
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Line Items');
+};
+
+/**
+ * Append a "Meters" sheet with one row per meter (TOU usage, demand, power factor)
+ * Meter readings are electric, so the gas-only export leaves the sheet out
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} results - Array of extracted bill data objects
+ */
+const appendMetersSheet = (workbook, results) => {
+  const meterRows = [];
+  const labels = [];
+  const withPages = hasMultiRecordFiles(results);
+  results.forEach(row => {
+    const columns = getMeterColumns(row._providerId);
+    columns.forEach(column => {
+      if (!labels.includes(column.label)) labels.push(column.label);
+    });
+    (row._meters || []).forEach(meter => {
+      meterRows.push({ ...sourceCells(row, withPages), 'Provider': row['Provider'], ...stripMetadata(meter) });
+    });
+  });
+
+  if (meterRows.length === 0) return;
+  // Same column set on every row so providers with different meter columns line up
+  const worksheet = XLSX.utils.json_to_sheet(replaceNullWithNotFound(meterRows), {
+    header: [...Object.keys(sourceCells({}, withPages)), 'Provider', ...labels]
+  });
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Meters');
+};
+
+/**
+ * Append analytics tables and chart data (see analytics.js), one sheet per section, in dashboard order
+ * Sections of the other commodity are left out of a gas or electric export, and empty sections are skipped
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {string|null} commodity - Export mode commodity, null for all
+ * @param {Array<string>} sectionIds - ANALYTICS_SECTIONS ids to add
+ */
+const appendAnalyticsSheets = (workbook, results, commodity, sectionIds) => {
+  const analysis = analyzeResults(results);
+  ANALYTICS_SECTIONS
+    .filter(section => sectionIds.includes(section.id) && (!commodity || !section.commodity || section.commodity === commodity))
+    .forEach(section => {
+      const rows = section.rows(analysis);
+      if (rows.length === 0) return;
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), section.title);
+    });
+};
+
+/**
+ * Append the pivot-style "Site x Month" sheet: kWh and supply dollars per site (see portfolio.js) for
+ * the 12 months up to the latest bill; blank cells are months without a bill
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} results - Array of extracted bill data objects
+ */
+const appendSiteMonthSheet = (workbook, results) => {
+  const rows = siteMonthRows(buildPortfolio(results));
+  if (rows.length === 0) return;
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Site x Month');
+};
+
+/**
+ * Append the optional sheets shared by every export mode
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {string|null} commodity - Export mode commodity, null for all
+ * @param {Object} options - { includeProvenance, edits, analytics: ANALYTICS_SECTIONS ids, portfolio }
+ */
+const appendExtraSheets = (workbook, results, commodity, options) => {
+  if (commodity !== 'gas') {
+    appendMetersSheet(workbook, results);
+  }
+  appendLineItemsSheet(workbook, results, commodity);
+  if (hasWarnings(results)) {
+    appendWarningsSheet(workbook, results);
+  }
+  if (options.includeProvenance) {
+    appendProvenanceSheet(workbook, results);
+  }
+  if (options.edits && options.edits.length > 0) {
+    appendEditsSheet(workbook, options.edits);
+  }
+  if (options.analytics && options.analytics.length > 0) {
+    appendAnalyticsSheets(workbook, results, commodity, options.analytics);
+  }
+  if (options.portfolio) {
+    appendSiteMonthSheet(workbook, results);
+  }
+};
+
+// Excel tab names: at most 31 characters, none of \ / ? * [ ] :
+const sheetName = (name) => name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+
+/**
+ * Columns of a group of rows: each provider's columns in schema order, in first-seen provider order,
+ * with a column shared by several providers (same label) listed once
+ * @param {Array} rows - Result rows
+ * @param {string|null} commodity - Export mode commodity, null for all
+ * @returns {Array} - Column definitions
+ */
+const groupColumns = (rows, commodity) => {
+  const columns = [];
+  [...new Set(rows.map(row => row._providerId))].forEach(providerId => {
+    columnsForCommodity(getProviderColumns(providerId), commodity).forEach(column => {
+      if (!columns.some(({ label }) => label === column.label)) columns.push(column);
+    });
+  });
+  return columns;
+};
+
+/**
+ * Build a workbook with one tab per provider, using each provider's output columns, or with
+ * groupBy 'supplier' one tab per third-party supplier (bills on utility supply together), with a
+ * Provider column and the columns of every provider on the tab
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {string|null} commodity - 'gas' or 'electric' to keep only that commodity's columns, null for all
+ * @param {Object} options - { includeProvenance, edits, analytics, portfolio, groupBy: 'provider' (default) or 'supplier' }
+ * @returns {Object} - XLSX workbook
+ */
+const buildProviderWorkbook = (results, commodity, options) => {
+  const bySupplier = options.groupBy === 'supplier';
+  const groups = bySupplier ? groupBySupplier(results) : groupByProvider(results);
   const workbook = XLSX.utils.book_new();
 
-  // Create a worksheet for each provider
-  Object.keys(resultsByProvider).forEach(provider => {
-    const providerData = resultsByProvider[provider];
-
-    // Format data based on provider
-    let formattedData;
-    if (provider === 'ACE') {
-      // ACE: Include ID Number
-      formattedData = providerData.map(row => ({
-        'File Name': row['File Name'],
-        'ID Number': row['ID Number'],
-        'Service Address': row['Service Address'],
-        'Total Usage (kWh)': row['Total Usage (kWh)'],
-        'Total Gas Supply Charges': row['Total Gas Supply Charges'],
-        'Total Electric Supply Charges': row['Total Electric Supply Charges']
-      }));
-    } else if (provider === 'PSE&G') {
-      // PSEG: Include PE and PG columns
-      formattedData = providerData.map(row => ({
-        'File Name': row['File Name'],
-        'PE': row['PE'],
-        'PG': row['PG'],
-        'Service Address': row['Service Address'],
-        'Total Usage (kWh)': row['Total Usage (kWh)'],
-        'Total Gas Supply Charges': row['Total Gas Supply Charges'],
-        'Total Electric Supply Charges': row['Total Electric Supply Charges']
-      }));
-    } else {
-      // Unknown provider: Include all data as-is
-      formattedData = providerData;
-    }
+  Object.entries(groups).forEach(([group, groupData]) => {
+    const columns = groupColumns(groupData, commodity);
+    const withPages = hasMultiRecordFiles(groupData);
+
+    // File Name (and Pages for summary bills) first, the Provider on supplier tabs, then the columns in schema order
+    const formattedData = groupData.map(row => {
+      const formattedRow = sourceCells(row, withPages);
+      if (bySupplier) formattedRow['Provider'] = row['Provider'];
+      columns.forEach(column => {
+        formattedRow[column.label] = row[column.label];
+      });
+      return formattedRow;
+    });
 
     // Replace null values with "Not Found"
     const cleanedData = replaceNullWithNotFound(formattedData);
+    // Validation warnings last, when any bill on the sheet has some
+    if (hasWarnings(groupData)) {
+      cleanedData.forEach((row, i) => {
+        row['Warnings'] = warningText(groupData[i]);
+      });
+    }
 
-    // Create worksheet
+    // Add worksheet to workbook with the provider or supplier name as tab name
     const worksheet = XLSX.utils.json_to_sheet(cleanedData);
-
-    // Add worksheet to workbook with provider name as tab name
-    XLSX.utils.book_append_sheet(workbook, worksheet, provider);
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName(group));
   });
 
-  // Write file
-  XLSX.writeFile(workbook, fileName);
+  appendExtraSheets(workbook, results, commodity, options);
+
+  return workbook;
 };
 
 /**
- * Export only gas-related data with one tab per provider
+ * Build a workbook of utility bill data, one tab per provider (or per supplier with groupBy 'supplier')
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {Object} options - { includeProvenance, edits, analytics, portfolio, groupBy }
+ * @returns {Object} - XLSX workbook
+ */
+export const buildWorkbook = (results, options = {}) => buildProviderWorkbook(results, null, options);
+
+/**
+ * Build a workbook of gas-related data only, one tab per provider or supplier
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {Object} options - { includeProvenance, edits, analytics, portfolio, groupBy }
+ * @returns {Object} - XLSX workbook
+ */
+export const buildGasOnlyWorkbook = (results, options = {}) => buildProviderWorkbook(results, 'gas', options);
+
+/**
+ * Build a workbook of electric-related data only, one tab per provider or supplier
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {Object} options - { includeProvenance, edits, analytics, portfolio, groupBy }
+ * @returns {Object} - XLSX workbook
+ */
+export const buildElectricOnlyWorkbook = (results, options = {}) => buildProviderWorkbook(results, 'electric', options);
+
+/**
+ * Export utility bill data with one tab per provider
  * @param {Array} results - Array of extracted bill data objects
  * @param {Object} options - Export options
  */
-export const exportGasOnly = (results, options = {}) => {
+export const exportToExcel = (results, options = {}) => {
   if (!results || results.length === 0) {
     alert('No data to export');
     return;
   }
 
   const {
-    fileName = 'utility_bill_gas_data.xlsx'
+    fileName = 'utility_bill_data.xlsx'
   } = options;
 
-  // Group results by provider
-  const resultsByProvider = {};
-  results.forEach(row => {
-    const provider = row['Provider'] || 'Unknown';
-    if (!resultsByProvider[provider]) {
-      resultsByProvider[provider] = [];
-    }
-    resultsByProvider[provider].push(row);
-  });
-
-  // Create workbook
-  const workbook = XLSX.utils.book_new();
-
-  // Create a worksheet for each provider
-  Object.keys(resultsByProvider).forEach(provider => {
-    const providerData = resultsByProvider[provider];
-
-    // Format data based on provider (exclude electric charges)
-    let formattedData;
-    if (provider === 'ACE') {
-      formattedData = providerData.map(row => ({
-        'File Name': row['File Name'],
-        'ID Number': row['ID Number'],
-        'Service Address': row['Service Address'],
-        'Total Usage (kWh)': row['Total Usage (kWh)'],
-        'Total Gas Supply Charges': row['Total Gas Supply Charges']
-      }));
-    } else if (provider === 'PSE&G') {
-      formattedData = providerData.map(row => ({
-        'File Name': row['File Name'],
-        'PE': row['PE'],
-        'PG': row['PG'],
-        'Service Address': row['Service Address'],
-        'Total Usage (kWh)': row['Total Usage (kWh)'],
-        'Total Gas Supply Charges': row['Total Gas Supply Charges']
-      }));
-    } else {
-      formattedData = providerData;
-    }
-
-    // Replace null values with "Not Found"
-    const cleanedData = replaceNullWithNotFound(formattedData);
+  XLSX.writeFile(buildWorkbook(results, options), fileName);
+};
 
-    // Create worksheet
-    const worksheet = XLSX.utils.json_to_sheet(cleanedData);
+/**
+ * Export only gas-related data with one tab per provider
+ * @param {Array} results - Array of extracted bill data objects
+ * @param {Object} options - Export options
+ */
+export const exportGasOnly = (results, options = {}) => {
+  if (!results || results.length === 0) {
+    alert('No data to export');
+    return;
+  }
 
-    // Add worksheet to workbook
-    XLSX.utils.book_append_sheet(workbook, worksheet, provider);
-  });
+  const {
+    fileName = 'utility_bill_gas_data.xlsx'
+  } = options;
 
-  // Write file
-  XLSX.writeFile(workbook, fileName);
+  XLSX.writeFile(buildGasOnlyWorkbook(results, options), fileName);
 };
 
 /**
@@ -174,56 +388,25 @@ export const exportElectricOnly = (results, options = {}) => {
     fileName = 'utility_bill_electric_data.xlsx'
   } = options;
 
-  // Group results by provider
-  const resultsByProvider = {};
-  results.forEach(row => {
-    const provider = row['Provider'] || 'Unknown';
-    if (!resultsByProvider[provider]) {
-      resultsByProvider[provider] = [];
-    }
-    resultsByProvider[provider].push(row);
-  });
-
-  // Create workbook
-  const workbook = XLSX.utils.book_new();
-
-  // Create a worksheet for each provider
-  Object.keys(resultsByProvider).forEach(provider => {
-    const providerData = resultsByProvider[provider];
-
-    // Format data based on provider (exclude gas charges)
-    let formattedData;
-    if (provider === 'ACE') {
-      formattedData = providerData.map(row => ({
-        'File Name': row['File Name'],
-        'ID Number': row['ID Number'],
-        'Service Address': row['Service Address'],
-        'Total Usage (kWh)': row['Total Usage (kWh)'],
-        'Total Electric Supply Charges': row['Total Electric Supply Charges']
-      }));
-    } else if (provider === 'PSE&G') {
-      formattedData = providerData.map(row => ({
-        'File Name': row['File Name'],
-        'PE': row['PE'],
-        'PG': row['PG'],
-        'Service Address': row['Service Address'],
-        'Total Usage (kWh)': row['Total Usage (kWh)'],
-        'Total Electric Supply Charges': row['Total Electric Supply Charges']
-      }));
-    } else {
-      formattedData = providerData;
-    }
-
-    // Replace null values with "Not Found"
-    const cleanedData = replaceNullWithNotFound(formattedData);
+  XLSX.writeFile(buildElectricOnlyWorkbook(results, options), fileName);
+};
 
-    // Create worksheet
-    const worksheet = XLSX.utils.json_to_sheet(cleanedData);
+/**
+ * Convert results to CSV with one row per result row and the union of all columns
+ * (plus a Warnings column when any row has validation warnings)
+ * @param {Array} results - Array of extracted bill data objects
+ * @returns {string} - CSV text
+ */
+export const resultsToCSV = (results) => {
+  const withPages = hasMultiRecordFiles(results);
+  const rows = replaceNullWithNotFound(results.map(row => ({ ...sourceCells(row, withPages), ...stripMetadata(row) })));
+  if (!hasWarnings(results)) return XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows));
 
-    // Add worksheet to workbook
-    XLSX.utils.book_append_sheet(workbook, worksheet, provider);
+  // Warnings after every provider's columns
+  const header = [...new Set(rows.flatMap(row => Object.keys(row))), 'Warnings'];
+  rows.forEach((row, i) => {
+    row['Warnings'] = warningText(results[i]);
   });
-
-  // Write file
-  XLSX.writeFile(workbook, fileName);
+  const worksheet = XLSX.utils.json_to_sheet(rows, { header });
+  return XLSX.utils.sheet_to_csv(worksheet);
 };
@@ -0,0 +1,87 @@
+// OCR for scanned bills (browser only, on the main thread or in an extraction worker)
+// Renders a pdfjs page to a canvas and reads it with Tesseract. The engine, its WASM core and the
+// English language data are served from public/tesseract (see scripts/copy-ocr-assets.js), so no
+// bill ever leaves the machine.
+
+import { createWorker } from 'tesseract.js';
+
+// 3x the PDF's 72 dpi gives Tesseract roughly 216 dpi, enough for bill print
+const OCR_SCALE = 3;
+
+/**
+ * Convert Tesseract words into pdfjs-style text items in PDF coordinates
+ * @param {Array} words - Tesseract words ({ text, confidence, bbox: { x0, y0, x1, y1 } } in canvas pixels)
+ * @param {Object} viewport - pdfjs viewport the page was rendered with
+ * @returns {Array} - Items with str, transform, width and height, like page.getTextContent() items
+ */
+export const wordsToItems = (words, viewport) => words
+  .filter(word => word.text.trim())
+  .map(word => {
+    const [left, bottom] = viewport.convertToPdfPoint(word.bbox.x0, word.bbox.y1);
+    const [right, top] = viewport.convertToPdfPoint(word.bbox.x1, word.bbox.y0);
+    const height = Math.abs(top - bottom);
+    return {
+      str: word.text.trim(),
+      transform: [height, 0, 0, height, Math.min(left, right), Math.min(top, bottom)],
+      width: Math.abs(right - left),
+      height,
+      confidence: word.confidence
+    };
+  });
+
+// A canvas on the main thread, an OffscreenCanvas inside a worker
+const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Words of a recognize() result in reading order
+const resultWords = (data) => (data.blocks || [])
+  .flatMap(block => block.paragraphs)
+  .flatMap(paragraph => paragraph.lines)
+  .flatMap(line => line.words);
+
+/**
+ * Create an OCR function for extractTextFromPDF. The Tesseract worker starts on first use.
+ * @param {Function} addLog - Debug log callback
+ * @returns {Function} - async (page) => { items, confidence }, with terminate() to stop the worker
+ */
+export const createOcr = (addLog = () => {}) => {
+  let workerPromise = null;
+
+  const getWorker = () => {
+    if (!workerPromise) {
+      const assets = new URL(`${import.meta.env.BASE_URL}tesseract/`, globalThis.location.href).href;
+      addLog('  Starting OCR engine...');
+      workerPromise = createWorker('eng', 1, {
+        workerPath: `${assets}worker.min.js`,
+        corePath: assets,
+        langPath: assets,
+        workerBlobURL: false
+      });
+    }
+    return workerPromise;
+  };
+
+  const ocr = async (page) => {
+    const viewport = page.getViewport({ scale: OCR_SCALE });
+    const canvas = createCanvas(viewport.width, viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    const worker = await getWorker();
+    const { data } = await worker.recognize(canvas, {}, { blocks: true });
+    return { items: wordsToItems(resultWords(data), viewport), confidence: data.confidence };
+  };
+
+  ocr.terminate = async () => {
+    if (!workerPromise) return;
+    const worker = await workerPromise;
+    workerPromise = null;
+    await worker.terminate();
+  };
+
+  return ocr;
+};
@@ -0,0 +1,178 @@
+// Pattern matching utilities
+// Runs a provider's ordered regex ladder and records where each value came from
+
+import { buildLayout, valueRightOf, valueBelow } from './textLayout.js';
+
+export const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Locate a character offset in fullText
+ * (fullText is every page's text joined with a trailing newline)
+ * @param {Array} pages - Array of page objects with .text
+ * @param {number} index - Character offset into fullText
+ * @returns {Object|null} - { page, offset } with a 1-based page and the offset within that page's text
+ */
+export const locateIndex = (pages, index) => {
+  let pageStart = 0;
+  for (let i = 0; i < pages.length; i++) {
+    const pageEnd = pageStart + pages[i].text.length + 1;
+    if (index < pageEnd) return { page: i + 1, offset: index - pageStart };
+    pageStart = pageEnd;
+  }
+  return null;
+};
+
+/**
+ * Find the 1-based page number for a character offset in fullText
+ * @param {Array} pages - Array of page objects with .text
+ * @param {number} index - Character offset into fullText
+ * @returns {number|null} - Page number
+ */
+export const pageOfIndex = (pages, index) => locateIndex(pages, index)?.page ?? null;
+
+/**
+ * Map a character range of a page's text to the pdfjs text items it covers
+ * (page text is the item strings joined with single spaces)
+ * @param {Array} items - pdfjs text items for the page
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset (exclusive)
+ * @returns {Array<number>} - Indices into items
+ */
+export const itemsInRange = (items, start, end) => {
+  const indices = [];
+  let offset = 0;
+  items.forEach((item, i) => {
+    const itemEnd = offset + item.str.length;
+    if (item.str.length > 0 && itemEnd > start && offset < end) indices.push(i);
+    offset = itemEnd + 1;
+  });
+  return indices;
+};
+
+// Pages a text covers and, for slices of fullText, which of their items fall inside it
+const textPages = (text, context) => {
+  const { pages = [], page, baseIndex = 0 } = context;
+  if (page) return pages[page - 1] ? [{ page, include: null }] : [];
+
+  const covered = [];
+  let pageStart = 0;
+  pages.forEach((current, i) => {
+    const start = Math.max(baseIndex - pageStart, 0);
+    const end = Math.min(baseIndex + text.length - pageStart, current.text.length);
+    if (start < end) {
+      const whole = start === 0 && end === current.text.length;
+      covered.push({ page: i + 1, include: whole ? null : itemsInRange(current.items || [], start, end) });
+    }
+    pageStart += current.text.length + 1;
+  });
+  return covered;
+};
+
+// Full-page layouts are reused across fields; pages are only laid out when a layout pattern asks
+const pageLayouts = new WeakMap();
+const layoutOf = (page, include) => {
+  if (include) return buildLayout(page.items, include);
+  if (!pageLayouts.has(page)) pageLayouts.set(page, buildLayout(page.items));
+  return pageLayouts.get(page);
+};
+
+// Run a layout entry ({ layout: { rightOf | below, match, row } }) over the pages a text covers
+const matchLayout = ({ layout }, text, context) => {
+  for (const { page, include } of textPages(text, context)) {
+    const pageData = context.pages[page - 1];
+    if (!pageData.items?.length) continue;
+    const grid = layoutOf(pageData, include);
+    const found = layout.rightOf
+      ? valueRightOf(grid, layout.rightOf, layout.match)
+      : valueBelow(grid, layout.below, layout.match, layout.row);
+    if (found) return { ...found, page };
+  }
+  return null;
+};
+
+// Readable description of a layout entry for provenance
+const describeLayout = ({ layout }) => (layout.rightOf
+  ? `right of /${layout.rightOf.source}/: /${layout.match.source}/`
+  : `below /${layout.below.source}/: /${layout.match.source}/${layout.row > 1 ? ` (row ${layout.row})` : ''}`);
+
+const clipSnippet = (snippet) => (snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH)}…` : snippet);
+
+/**
+ * Try patterns in order and return the first match with its provenance
+ * @param {string} text - Text to search (fullText or a single page's text)
+ * @param {Array} patterns - RegExp or { pattern, confidence, label }, strongest first.
+ *   Without an explicit confidence, the first pattern is high and the rest are medium.
+ *   { layout: { rightOf, match } } or { layout: { below, match, row } } entries read by position
+ *   instead (see textLayout.js); the match is the "match" pattern run on the value cell.
+ * @param {Object} context - { pages } when text is fullText, or { pages, page } when text is that page's text.
+ *   Add baseIndex when text is a slice of fullText starting at that offset.
+ * @returns {Object|null} - { match, provenance } or null if nothing matched
+ */
+export const matchFirst = (text, patterns, context = {}) => {
+  for (let i = 0; i < patterns.length; i++) {
+    const entry = patterns[i] instanceof RegExp ? { pattern: patterns[i] } : patterns[i];
+
+    if (entry.layout) {
+      const found = context.pages ? matchLayout(entry, text, context) : null;
+      if (!found) continue;
+      const { anchor, cell, match, page } = found;
+      return {
+        match,
+        provenance: {
+          pattern: entry.label || `Pattern ${i + 1}`,
+          regex: describeLayout(entry),
+          rank: i + 1,
+          patternCount: patterns.length,
+          page,
+          snippet: clipSnippet(anchor === cell ? cell.text : `${anchor.text} … ${cell.text}`),
+          confidence: entry.confidence || (i === 0 ? CONFIDENCE.HIGH : CONFIDENCE.MEDIUM),
+          itemIndices: [...new Set([...anchor.itemIndices, ...cell.itemIndices])],
+          valueItemIndices: cell.itemIndices
+        }
+      };
+    }
+
+    // The "d" flag adds capture group offsets so the value can be traced back to its text items
+    const { flags, source } = entry.pattern;
+    const match = text.match(new RegExp(source, flags.includes('d') ? flags : `${flags}d`));
+    if (!match) continue;
+
+    const location = context.page
+      ? { page: context.page, offset: match.index }
+      : (context.pages ? locateIndex(context.pages, (context.baseIndex || 0) + match.index) : null);
+    const snippet = match[0].replace(/\s+/g, ' ').trim();
+
+    // Items covering the whole match and the value itself (last capture group that matched)
+    let itemIndices = [];
+    let valueItemIndices = [];
+    const items = location && context.pages?.[location.page - 1]?.items;
+    if (items) {
+      const pageShift = location.offset - match.index;  // Converts offsets in text to offsets in the page's text
+      const valueRange = [...match.indices].reverse().find(range => range) || match.indices[0];
+      itemIndices = itemsInRange(items, location.offset, location.offset + match[0].length);
+      valueItemIndices = itemsInRange(items, valueRange[0] + pageShift, valueRange[1] + pageShift);
+    }
+
+    return {
+      match,
+      provenance: {
+        pattern: entry.label || `Pattern ${i + 1}`,
+        regex: source,
+        rank: i + 1,
+        patternCount: patterns.length,
+        page: location ? location.page : null,
+        snippet: clipSnippet(snippet),
+        confidence: entry.confidence || (i === 0 ? CONFIDENCE.HIGH : CONFIDENCE.MEDIUM),
+        itemIndices,
+        valueItemIndices
+      }
+    };
+  }
+  return null;
+};
@@ -0,0 +1,207 @@
+// Portfolio
+// Groups result rows into sites (buildings) and lays each site's bills out on a month grid, so a year
+// of bills for many buildings shows which months are missing. Rows are the same site when their
+// normalized service addresses match, or when they share an account number or PoD ID of the same
+// provider (a bill that printed the address differently, or not at all, still lands on its site).
+
+import { getProviderColumns } from '../providers/index.js';
+import { normalizeAddress } from './addressUtils.js';
+import { billMetrics, previousMonth, UNKNOWN_ADDRESS } from './analytics.js';
+
+// Months in the grid
+export const PORTFOLIO_MONTHS = 12;
+
+// Street words printed both spelled out and abbreviated
+const STREET_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  boulevard: 'blvd',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w'
+};
+
+// Identifier columns that don't identify the site (one supplier account can cover many buildings)
+const NON_SITE_IDENTIFIERS = ['supplierAccountNumber'];
+
+/**
+ * Key for matching service addresses: normalizeAddress() output, lowercased, without punctuation or a
+ * ZIP+4 suffix, with street words abbreviated ("123 Main Street, Newark N J 07102-1234" and
+ * "123 MAIN ST NEWARK NJ 07102" match)
+ * @param {string|null} address - Service address
+ * @returns {string|null}
+ */
+export const siteAddressKey = (address) => {
+  const normalized = normalizeAddress(address);
+  if (!normalized) return null;
+  const key = normalized.toLowerCase()
+    .replace(/(\d{5})-\d{4}\b/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => STREET_ABBREVIATIONS[word] || word)
+    .join(' ');
+  return key || null;
+};
+
+/**
+ * Keys a row can be matched to its site by: its address key and its provider's identifiers
+ * @param {Object} row - Result row
+ * @returns {Object} - { address, identifiers: [{ label, value }], keys }
+ */
+const siteKeys = (row) => {
+  const columns = getProviderColumns(row._providerId);
+  const addressColumn = columns.find(column => column.field === 'serviceAddress');
+  const address = addressColumn ? row[addressColumn.label] || null : null;
+  const identifiers = columns
+    .filter(column => column.identifier && !NON_SITE_IDENTIFIERS.includes(column.field) && row[column.label])
+    .map(column => ({ label: column.label, value: String(row[column.label]) }));
+  const addressKey = siteAddressKey(address);
+  return {
+    address,
+    identifiers,
+    keys: [
+      ...(addressKey ? [`address:${addressKey}`] : []),
+      ...identifiers.map(({ value }) => `id:${row._providerId}:${value.replace(/[^A-Za-z0-9]/g, '')}`)
+    ]
+  };
+};
+
+/**
+ * Group rows into sites, in first-seen order
+ * Rows with neither an address nor an identifier each stay a site of their own
+ * @param {Array} results - Result rows (rows no provider could read are left out)
+ * @returns {Array} - [{ id, address, identifiers: [{ label, value }], providers, rows }]; the address
+ *   is the one printed on most of the site's bills
+ */
+export const groupSites = (results) => {
+  const rows = results.filter(row => row['Provider']);
+  const entries = rows.map(row => ({ row, ...siteKeys(row) }));
+
+  // Union-find over the rows: two rows sharing any key are one site
+  const parent = entries.map((entry, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const owner = new Map();
+  entries.forEach((entry, i) => {
+    entry.keys.forEach(key => {
+      if (!owner.has(key)) {
+        owner.set(key, i);
+        return;
+      }
+      const [a, b] = [find(owner.get(key)), find(i)];
+      if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+    });
+  });
+
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+
+  return [...groups.values()].map((group, index) => {
+    const counts = new Map();
+    group.forEach(({ address }) => {
+      const normalized = normalizeAddress(address);
+      if (normalized) counts.set(normalized, (counts.get(normalized) || 0) + 1);
+    });
+    const address = [...counts].reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] || UNKNOWN_ADDRESS;
+    const identifiers = [];
+    group.forEach(entry => entry.identifiers.forEach(identifier => {
+      if (!identifiers.some(({ label, value }) => label === identifier.label && value === identifier.value)) identifiers.push(identifier);
+    }));
+    return {
+      id: `site-${index + 1}`,
+      address,
+      identifiers,
+      providers: [...new Set(group.map(({ row }) => row['Provider']))],
+      rows: group.map(({ row }) => row)
+    };
+  });
+};
+
+/**
+ * The months of a grid: `count` months ending with `endMonth`, oldest first
+ * @param {string} endMonth - YYYY-MM
+ * @param {number} count - Number of months
+ * @returns {Array<string>}
+ */
+export const monthsEnding = (endMonth, count = PORTFOLIO_MONTHS) => {
+  const months = [endMonth];
+  while (months.length < count) months.unshift(previousMonth(months[0]));
+  return months;
+};
+
+/**
+ * Sites with their bills on a month grid
+ * A bill's month is the month its service period ends (see analytics.js); months without a bill for a
+ * site are missing. kWh is electric usage, supply is electric plus gas supply charges
+ * @param {Array} results - Result rows
+ * @param {Object} options - { endMonth: last month of the grid (default: the latest bill month), months }
+ * @returns {Object} - { months, sites: [{ ...site from groupSites, cells: { [month]: { bills, kwh, supply } | null },
+ *   missing: months without a bill, undated: bills without a month }] }
+ */
+export const buildPortfolio = (results, options = {}) => {
+  const sites = groupSites(results).map(site => ({ ...site, bills: site.rows.map(billMetrics) }));
+  const latest = sites.flatMap(site => site.bills.map(bill => bill.month)).filter(Boolean).sort().pop();
+  const endMonth = options.endMonth || latest;
+  const months = endMonth ? monthsEnding(endMonth, options.months || PORTFOLIO_MONTHS) : [];
+  const sum = (values) => {
+    const present = values.filter(value => value !== null);
+    return present.length > 0 ? Number(present.reduce((total, value) => total + value, 0).toFixed(2)) : null;
+  };
+
+  return {
+    months,
+    sites: sites.map(({ bills, ...site }) => {
+      const cells = Object.fromEntries(months.map(month => {
+        const monthBills = bills.filter(bill => bill.month === month);
+        if (monthBills.length === 0) return [month, null];
+        return [month, {
+          bills: monthBills.length,
+          kwh: sum(monthBills.map(bill => bill.electric.usage)),
+          supply: sum(monthBills.flatMap(bill => [bill.electric.cost, bill.gas.cost]))
+        }];
+      }));
+      return {
+        ...site,
+        cells,
+        missing: months.filter(month => !cells[month]),
+        undated: bills.filter(bill => !bill.month).length
+      };
+    })
+  };
+};
+
+/**
+ * Rows of the pivot-style "Site x Month" sheet: two rows per site (kWh and supply dollars), one column
+ * per month of the grid plus a total; missing months are left blank and counted
+ * @param {Object} portfolio - From buildPortfolio
+ * @returns {Array} - Rows keyed by column label
+ */
+export const siteMonthRows = ({ months, sites }) => sites.flatMap(site => [
+  ['kWh', cell => cell.kwh],
+  ['Supply ($)', cell => cell.supply]
+].map(([measure, valueOf]) => {
+  const values = months.map(month => (site.cells[month] ? valueOf(site.cells[month]) : null));
+  const present = values.filter(value => value !== null);
+  return {
+    'Site': site.address,
+    'Account / PoD': site.identifiers.map(({ label, value }) => `${label} ${value}`).join(', '),
+    'Provider': site.providers.join(', '),
+    'Measure': measure,
+    ...Object.fromEntries(months.map((month, i) => [month, values[i]])),
+    'Total': present.length > 0 ? Number(present.reduce((total, value) => total + value, 0).toFixed(2)) : null,
+    'Missing Months': site.missing.length
+  };
+}));
@@ -0,0 +1,140 @@
+// Redaction
+// Replaces customer data in extracted bill text with fake values, so a bill's text can be shared as a
+// test fixture or bug report. Every replacement keeps the text's length and character classes (letters
+// stay letters in the same case, digits stay digits, spaces and punctuation stay put), so page text,
+// text items and item positions still line up and provider patterns read the same places.
+
+// Escape a string for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const randomChar = (chars) => chars[Math.floor(Math.random() * chars.length)];
+
+// Printed forms of an address differ from the normalized value ("N J" / "NJ", case, zip spacing):
+// match its letters and digits in order with any spacing or punctuation between them
+const addressPattern = (address) => {
+  const chars = address.replace(/[^A-Za-z0-9]/g, '').split('').map(escapeRegExp);
+  return new RegExp(`(?<![A-Za-z0-9])${chars.join('[\\s,.#-]*')}(?![A-Za-z0-9])`, 'gi');
+};
+
+// A run of capitalized words ("JANE Q CUSTOMER", "O'Brien & Sons"), as names print on a bill; a PO box
+// or unit number belongs to the address
+const NAME_WORD = "(?![Pp]\\.?\\s*[Oo]\\.?\\s+Box|(?:Box|Unit|Suite|Ste|Apt)\\b)(?:[A-Z][A-Za-z.'-]*|&)";
+const nameWords = (min, max) => `${NAME_WORD}(?:\\s+${NAME_WORD}){${min - 1},${max - 1}}`;
+
+// Labels a customer name follows ("Customer Name:", "Bill to", "Summary bill for")
+const NAME_LABEL = /\b(?:customer\s+name|account\s+name|name|bill(?:ed)?\s+(?:to|for)|prepared\s+for|mail(?:ing)?\s+to)\s*:?\s+/gi;
+// A name printed right above a mailing address: a street number or PO box, then a state and ZIP code
+// within the next line or two ("JANE Q CUSTOMER 12 ELM ST NEWARK N J 07102"). The address is part of
+// the match, so its street name isn't taken for the name of a next address
+const MAILING_BLOCK = new RegExp(`(?<![A-Za-z0-9'.-])(${nameWords(2, 6)})\\s+(?:\\d+[A-Z]?|P\\.?\\s*O\\.?\\s*Box\\s+\\d+)\\s+[A-Za-z0-9][^$]{0,60}?\\b[A-Z]\\s?[A-Z]\\s+\\d{5}(?:-\\d{4})?\\b`, 'g');
+// Bill wording that ends up next to a name: a name stops before (label) or starts after (mailing block) these
+const NOT_NAME_WORDS = new Set(['account', 'service', 'bill', 'billing', 'date', 'amount', 'total', 'address', 'meter', 'rate', 'due', 'statement', 'page', 'your', 'invoice', 'number', 'period', 'remit', 'pay', 'to', 'for',
+  'thank', 'you', 'payment', 'payments', 'received', 'balance', 'previous', 'current', 'charges']);
+
+// Keep the words of a candidate that can be a name; null unless two or more are left
+const nameFrom = (words) => (words.length >= 2 && words.some(word => /[A-Za-z]{2}/.test(word)) ? words.join(' ') : null);
+
+/**
+ * Customer names printed on a bill page (the first page holds the mailing block): names after a label
+ * such as "Customer Name:" or "Bill to", and the line above a mailing address. The utility's own name
+ * above its remittance address is found too; callers leave out the names they know (see bugReport.js)
+ * @param {string} text - Page text
+ * @returns {Array<string>} - Names as printed
+ */
+export const findNames = (text) => {
+  const names = [];
+  for (const label of text.matchAll(NAME_LABEL)) {
+    const run = text.slice(label.index + label[0].length).match(new RegExp(`^${nameWords(1, 6)}`));
+    if (!run) continue;
+    const words = run[0].split(/\s+/);
+    const end = words.findIndex(word => NOT_NAME_WORDS.has(word.toLowerCase()));
+    names.push(nameFrom(end === -1 ? words : words.slice(0, end)));
+  }
+  for (const block of text.matchAll(MAILING_BLOCK)) {
+    const words = block[1].split(/\s+/);
+    const start = words.map(word => NOT_NAME_WORDS.has(word.toLowerCase())).lastIndexOf(true);
+    names.push(nameFrom(words.slice(start + 1)));
+  }
+  return [...new Set(names.filter(Boolean))];
+};
+
+/**
+ * Create a redaction function
+ * Fake values are consistent within one redactor: the same number or word always gets the same fake,
+ * wherever it appears (page text, item strings, log lines)
+ *   - identifiers (account numbers, PoD IDs, meter numbers) become random digits, also where the number
+ *     is printed in groups ("5500 1234 5678")
+ *   - addresses, names and terms (other names, streets) become random words of the same shape
+ *   - any other run of 10 or more digits becomes random digits
+ * @param {Object} values - { identifiers: digit strings, addresses: service addresses, names: customer
+ *   names (see findNames), terms: other text }
+ * @returns {Function} - (text) => redacted text
+ */
+export const createRedactor = ({ identifiers = [], addresses = [], names = [], terms = [] } = {}) => {
+  const fakeNumbers = new Map();
+  const fakeWords = new Map();
+  // Fake numbers already written, so the long digit run rule leaves them alone
+  const written = new Set();
+
+  const fakeDigits = (digits) => {
+    if (written.has(digits)) return digits;
+    if (!fakeNumbers.has(digits)) {
+      const fake = digits.replace(/\d/g, () => randomChar('0123456789'));
+      fakeNumbers.set(digits, fake);
+      written.add(fake);
+    }
+    return fakeNumbers.get(digits);
+  };
+  // Replace the digits of a match with the fake for its digit string, keeping separators
+  const replaceDigits = (match) => {
+    const fake = fakeDigits(match.replace(/\D/g, ''));
+    let i = 0;
+    return match.replace(/\d/g, () => fake[i++]);
+  };
+  // Replace each word of a match with its fake, keeping the word's capitalization
+  const replaceWords = (match) => match.replace(/[A-Za-z0-9]+/g, (word) => {
+    const key = word.toLowerCase();
+    if (!fakeWords.has(key)) {
+      fakeWords.set(key, key.replace(/[a-z]/g, () => randomChar('abcdefghijklmnopqrstuvwxyz')).replace(/\d/g, () => randomChar('0123456789')));
+    }
+    const fake = fakeWords.get(key);
+    return [...word].map((char, i) => (char === char.toLowerCase() ? fake[i] : fake[i].toUpperCase())).join('');
+  });
+
+  const unique = (list) => [...new Set(list.filter(Boolean).map(String))].sort((a, b) => b.length - a.length);
+  const rules = [
+    ...unique(identifiers).filter(id => /^\d{6,}$/.test(id))
+      .map(id => [new RegExp(id.split('').join('[\\s-]?'), 'g'), replaceDigits]),
+    ...unique(addresses).filter(address => address.replace(/[^A-Za-z0-9]/g, '').length >= 6)
+      .map(address => [addressPattern(address), replaceWords]),
+    ...unique([...names, ...terms].map(term => term.trim())).map(term => [
+      new RegExp(`(?<![A-Za-z0-9])${term.split(/\s+/).map(escapeRegExp).join('\\s+')}(?![A-Za-z0-9])`, 'gi'),
+      replaceWords
+    ]),
+    [/\d{10,}/g, replaceDigits]
+  ];
+  return (text) => rules.reduce((result, [pattern, replace]) => result.replace(pattern, replace), text);
+};
+
+/**
+ * Redact extracted pages
+ * @param {Array} pages - Pages from extractTextFromPDF ({ text, items, ocr, ocrConfidence })
+ * @param {Function} redact - From createRedactor
+ * @returns {Array} - Redacted pages ({ text, items } with items reduced to str, transform, width, height)
+ */
+export const redactPages = (pages, redact) => pages.map(page => {
+  const text = redact(page.text);
+  const items = page.items || [];
+  const aligned = items.map(item => item.str).join(' ') === page.text;
+  let offset = 0;
+  return {
+    text,
+    items: items.map(item => {
+      // Page text is the items joined by spaces: cut the redacted text back into items
+      const str = aligned ? text.slice(offset, offset + item.str.length) : redact(item.str);
+      offset += item.str.length + 1;
+      return { str, transform: item.transform, width: item.width, height: item.height };
+    }),
+    ...(page.ocr && { ocr: true, ocrConfidence: page.ocrConfidence })
+  };
+});
@@ -0,0 +1,192 @@
+// Result row utilities
+// Rows are keyed by column name; keys starting with "_" carry metadata
+// (provenance, source info) and are never shown as columns or exported as-is
+
+/**
+ * Check whether a row key is metadata rather than a column
+ * @param {string} key - Row key
+ * @returns {boolean}
+ */
+export const isMetaKey = (key) => key.startsWith('_');
+
+/**
+ * Copy a row without its metadata keys
+ * @param {Object} row - Result row
+ * @returns {Object} - Row with column keys only
+ */
+export const stripMetadata = (row) => {
+  const cleanedRow = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (!isMetaKey(key)) cleanedRow[key] = value;
+  }
+  return cleanedRow;
+};
+
+/**
+ * Group rows by provider name, keeping first-seen order
+ * @param {Array} results - Array of extracted bill data objects
+ * @returns {Object} - { [providerName]: rows }
+ */
+export const groupByProvider = (results) => {
+  const resultsByProvider = {};
+  results.forEach(row => {
+    const provider = row['Provider'] || 'Unknown';
+    if (!resultsByProvider[provider]) {
+      resultsByProvider[provider] = [];
+    }
+    resultsByProvider[provider].push(row);
+  });
+  return resultsByProvider;
+};
+
+// Sheet / group name for bills without a third-party supplier
+export const UTILITY_SUPPLY = 'Utility Supply';
+
+/**
+ * Group rows by third-party supplier, keeping first-seen order; bills supplied by the utility
+ * (BGS / BGSS) are grouped under UTILITY_SUPPLY
+ * @param {Array} results - Array of extracted bill data objects
+ * @returns {Object} - { [supplierName]: rows }
+ */
+export const groupBySupplier = (results) => {
+  const resultsBySupplier = {};
+  results.forEach(row => {
+    const supplier = row['Supplier'] || UTILITY_SUPPLY;
+    if (!resultsBySupplier[supplier]) {
+      resultsBySupplier[supplier] = [];
+    }
+    resultsBySupplier[supplier].push(row);
+  });
+  return resultsBySupplier;
+};
+
+/**
+ * Page range a row was read from, e.g. "3-5" (rows of a summary bill each cover part of the file)
+ * @param {Object} row - Result row
+ * @returns {string|null} - Page or page range, or null if the row has no source info
+ */
+export const sourcePages = (row) => {
+  const pages = row._source?.pages;
+  if (!pages) return null;
+  return pages[0] === pages[1] ? String(pages[0]) : `${pages[0]}-${pages[1]}`;
+};
+
+/**
+ * Whether any row comes from a file that produced several rows
+ * @param {Array} results - Result rows
+ * @returns {boolean}
+ */
+export const hasMultiRecordFiles = (results) => results.some(row => row._source?.recordCount > 1);
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+// Numeric values compare as numbers; everything else (including ISO dates) as strings
+const compareValues = (a, b) => {
+  const aNumber = Number(a);
+  const bNumber = Number(b);
+  if (!isNaN(aNumber) && !isNaN(bNumber)) return aNumber - bNumber;
+  return String(a).localeCompare(String(b));
+};
+
+/**
+ * Sort rows by a column, keeping empty values last
+ * @param {Array} results - Result rows
+ * @param {string|null} column - Column label to sort by, or null to keep the current order
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} - Sorted copy of the rows
+ */
+export const sortResults = (results, column, direction = 'asc') => {
+  if (!column) return results;
+  return [...results].sort((a, b) => {
+    const aEmpty = isEmptyValue(a[column]);
+    const bEmpty = isEmptyValue(b[column]);
+    if (aEmpty || bEmpty) return aEmpty - bEmpty;
+    const order = compareValues(a[column], b[column]);
+    return direction === 'desc' ? -order : order;
+  });
+};
+
+let nextRowId = 1;
+
+/**
+ * Create an id that identifies a result row for the lifetime of the page
+ * @returns {string}
+ */
+export const createRowId = () => `row-${Date.now().toString(36)}-${nextRowId++}`;
+
+/**
+ * Apply a manual correction to a row
+ * The row keeps the originally extracted value in _edits so the marker and audit trail survive repeated edits
+ * @param {Object} row - Result row
+ * @param {string} column - Column being corrected
+ * @param {string|null} newValue - Corrected value (null to clear it)
+ * @returns {Object} - { row, edit } with the updated row and the audit record, or null if nothing changed
+ */
+export const applyEdit = (row, column, newValue) => {
+  const previousValue = row[column] ?? null;
+  if (previousValue === newValue) return null;
+
+  const timestamp = new Date().toISOString();
+  const originalValue = row._edits?.[column] ? row._edits[column].originalValue : previousValue;
+  const edits = { ...row._edits };
+  if (newValue === originalValue) {
+    // Back to what was extracted - no longer an override
+    delete edits[column];
+  } else {
+    edits[column] = { originalValue, timestamp };
+  }
+
+  return {
+    row: { ...row, [column]: newValue, _edits: edits },
+    edit: {
+      rowId: row._id,
+      fileName: row['File Name'],
+      provider: row['Provider'],
+      column,
+      originalValue,
+      previousValue,
+      newValue,
+      timestamp
+    }
+  };
+};
+
+// Identifies a row across two runs of the same batch: its file, and which record of the file it is
+const rowKey = (row) => `${row['File Name']}#${row._source?.record ?? 1}`;
+
+/**
+ * Compare two sets of result rows (e.g. two saved sessions of the same bills)
+ * Rows are matched by file name and record number; values are compared as displayed text
+ * @param {Array} before - Rows of the first session
+ * @param {Array} after - Rows of the second session
+ * @returns {Object} - { removed: rows only in before, added: rows only in after,
+ *   changed: [{ fileName, record, changes: [{ column, before, after }] }], unchanged: count }
+ */
+export const compareResults = (before, after) => {
+  const beforeByKey = new Map(before.map(row => [rowKey(row), row]));
+  const afterKeys = new Set(after.map(rowKey));
+  const changed = [];
+  const added = [];
+  let unchanged = 0;
+
+  after.forEach(row => {
+    const previous = beforeByKey.get(rowKey(row));
+    if (!previous) {
+      added.push(row);
+      return;
+    }
+    const columns = new Set([...Object.keys(stripMetadata(previous)), ...Object.keys(stripMetadata(row))]);
+    const changes = [...columns]
+      .filter(column => String(previous[column] ?? '') !== String(row[column] ?? ''))
+      .map(column => ({ column, before: previous[column] ?? null, after: row[column] ?? null }));
+    if (changes.length > 0) changed.push({ fileName: row['File Name'], record: row._source?.record ?? 1, changes });
+    else unchanged++;
+  });
+
+  return {
+    removed: before.filter(row => !afterKeys.has(rowKey(row))),
+    added,
+    changed,
+    unchanged
+  };
+};
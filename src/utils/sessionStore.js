@@ -0,0 +1,199 @@
+// Session storage
+// Keeps batches in IndexedDB as named sessions (the PDFs, extracted rows, manual edits, errors and
+// debug log), so a half-reviewed batch survives a reload, a browser crash or a next-day return.
+//
+// Two object stores: "sessions" holds one record per batch with everything but the PDFs, "files"
+// holds the PDFs themselves, one record per file. Rows and errors point at their PDF by index, since
+// File objects are saved once rather than with every autosave of the results.
+
+const DB_NAME = 'utility-bill-parser';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const FILES = 'files';
+
+let databasePromise = null;
+
+// Wrap an IDBRequest in a promise
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve once a transaction has committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(SESSIONS, { keyPath: 'id' });
+      db.createObjectStore(FILES, { keyPath: 'key' }).createIndex('sessionId', 'sessionId');
+    };
+    databasePromise = requestResult(request);
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Keys of every file record belonging to a session
+const fileKeys = (store, sessionId) => requestResult(store.index('sessionId').getAllKeys(sessionId));
+
+/**
+ * Create a session id
+ * @returns {string}
+ */
+export const createSessionId = () => `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Default name for a new session, e.g. "Batch Mar 4, 2:15 PM"
+ * @param {Date} date - When the batch was started
+ * @returns {string}
+ */
+export const defaultSessionName = (date = new Date()) =>
+  `Batch ${date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`;
+
+/**
+ * List saved sessions, most recently updated first
+ * @returns {Promise<Array>} - [{ id, name, createdAt, updatedAt, fileCount, rowCount, errorCount, editCount }]
+ */
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await requestResult(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions
+    .map(({ id, name, createdAt, updatedAt, fileCount, results, errors, edits }) => ({
+      id,
+      name,
+      createdAt,
+      updatedAt,
+      fileCount,
+      rowCount: results.length,
+      errorCount: errors.length,
+      editCount: edits.length
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Rows of every saved session, without their PDFs (for finding bills already processed in another batch)
+ * @returns {Promise<Array>} - [{ id, name, results }]
+ */
+export const loadSessionRows = async () => {
+  const db = await openDatabase();
+  const sessions = await requestResult(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.map(({ id, name, results }) => ({ id, name, results }));
+};
+
+/**
+ * Save a session's results, edits, errors and log (creating the session if it is new)
+ * The name and creation time of an existing session are kept
+ * @param {string} id - Session id
+ * @param {Object} state - { name, files, results, edits, errors, logs, utilityMode }; files are only
+ *   used to turn each row's and error's File into an index (save the PDFs with saveSessionFiles)
+ * @returns {Promise<void>}
+ */
+export const saveSession = async (id, { name, files, results, edits, errors, logs, utilityMode }) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  const store = transaction.objectStore(SESSIONS);
+  const existing = await requestResult(store.get(id));
+  const now = new Date().toISOString();
+
+  store.put({
+    id,
+    name: existing?.name || name || defaultSessionName(),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    utilityMode,
+    fileCount: files.length,
+    results: results.map(({ _file, ...row }) => ({ ...row, _fileIndex: files.indexOf(_file) })),
+    edits,
+    errors: errors.map(({ file, ...error }) => ({ ...error, fileIndex: files.indexOf(file) })),
+    logs
+  });
+  await transactionDone(transaction);
+};
+
+/**
+ * Replace the PDFs saved for a session
+ * @param {string} id - Session id
+ * @param {Array<File>} files - The batch's files, in order
+ * @returns {Promise<void>}
+ */
+export const saveSessionFiles = async (id, files) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(FILES, 'readwrite');
+  const store = transaction.objectStore(FILES);
+  (await fileKeys(store, id)).forEach(key => store.delete(key));
+  files.forEach((file, index) => store.put({
+    key: `${id}/${index}`,
+    sessionId: id,
+    index,
+    name: file.name,
+    type: file.type,
+    lastModified: file.lastModified,
+    blob: file
+  }));
+  await transactionDone(transaction);
+};
+
+/**
+ * Load a session with its PDFs, relinking rows and errors to their File objects
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} - { id, name, createdAt, updatedAt, utilityMode, files, results, edits,
+ *   errors, logs }, or null if there is no such session
+ */
+export const loadSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, FILES]);
+  const session = await requestResult(transaction.objectStore(SESSIONS).get(id));
+  if (!session) return null;
+  const records = await requestResult(transaction.objectStore(FILES).index('sessionId').getAll(id));
+
+  const files = records
+    .sort((a, b) => a.index - b.index)
+    .map(record => new File([record.blob], record.name, { type: record.type, lastModified: record.lastModified }));
+
+  return {
+    ...session,
+    files,
+    results: session.results.map(({ _fileIndex, ...row }) => (files[_fileIndex] ? { ...row, _file: files[_fileIndex] } : row)),
+    errors: session.errors.map(({ fileIndex, ...error }) => (files[fileIndex] ? { ...error, file: files[fileIndex] } : error))
+  };
+};
+
+/**
+ * Rename a session
+ * @param {string} id - Session id
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+export const renameSession = async (id, name) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  const store = transaction.objectStore(SESSIONS);
+  const session = await requestResult(store.get(id));
+  if (session) store.put({ ...session, name });
+  await transactionDone(transaction);
+};
+
+/**
+ * Delete a session and its PDFs
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, FILES], 'readwrite');
+  transaction.objectStore(SESSIONS).delete(id);
+  const files = transaction.objectStore(FILES);
+  (await fileKeys(files, id)).forEach(key => files.delete(key));
+  await transactionDone(transaction);
+};
@@ -0,0 +1,135 @@
+// Text layout utilities
+// Rebuilds lines and table cells from pdfjs text item positions, so values can be read by where
+// they sit on the page ("right of label X", "under header Y") instead of by their order in the
+// space-joined page text
+
+// Items whose baselines differ by less than this fraction of the font height are on the same line
+const LINE_TOLERANCE = 0.5;
+// A horizontal gap wider than this fraction of the font height starts a new cell
+const CELL_GAP = 1.0;
+// A gap narrower than this is a word split across items, joined without a space
+const WORD_GAP = 0.15;
+
+// Font height of a text item (pdfjs items carry height; fall back to the transform's scale)
+const itemHeight = (item) => item.height || Math.hypot(item.transform[2], item.transform[3]) || 1;
+
+/**
+ * Group text items into lines (top to bottom) of cells (left to right)
+ * @param {Array} items - pdfjs text items (or OCR items of the same shape)
+ * @param {Array<number>|null} include - Only lay out these item indices (default: every item)
+ * @returns {Object} - { lines: [{ y, height, cells: [{ text, x, right, itemIndices }] }] }
+ */
+export const buildLayout = (items, include = null) => {
+  const indices = include || items.map((_, i) => i);
+  const positioned = indices
+    .filter(i => items[i]?.str?.trim() && items[i].transform)
+    .map(i => ({ index: i, item: items[i], x: items[i].transform[4], y: items[i].transform[5], height: itemHeight(items[i]) }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  // Lines: consecutive items (by baseline) within the tolerance of the line's first baseline
+  const lines = [];
+  for (const entry of positioned) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - entry.y) <= LINE_TOLERANCE * Math.max(line.height, entry.height)) {
+      line.entries.push(entry);
+      line.height = Math.max(line.height, entry.height);
+    } else {
+      lines.push({ y: entry.y, height: entry.height, entries: [entry] });
+    }
+  }
+
+  return {
+    lines: lines.map(({ y, height, entries }) => {
+      const cells = [];
+      entries.sort((a, b) => a.x - b.x).forEach(({ index, item, x, height: itemH }) => {
+        const cell = cells[cells.length - 1];
+        const right = x + (item.width || 0);
+        const gap = cell ? x - cell.right : Infinity;
+        if (cell && gap <= CELL_GAP * itemH) {
+          cell.text += (gap > WORD_GAP * itemH ? ' ' : '') + item.str.trim();
+          cell.right = Math.max(cell.right, right);
+          cell.itemIndices.push(index);
+        } else {
+          cells.push({ text: item.str.trim(), x, right, itemIndices: [index] });
+        }
+      });
+      return { y, height, cells };
+    })
+  };
+};
+
+/**
+ * Find the first cell containing a label
+ * The label's horizontal extent is estimated from its position in the cell's text,
+ * so a header sharing a cell with its neighbours still lines up with its own column
+ * @param {Object} layout - From buildLayout()
+ * @param {RegExp} label - Label pattern
+ * @returns {Object|null} - { line, cell, match, x, right } with line and cell indices
+ */
+export const findLabel = (layout, label) => {
+  for (let line = 0; line < layout.lines.length; line++) {
+    const { cells } = layout.lines[line];
+    for (let cell = 0; cell < cells.length; cell++) {
+      const { text, x, right } = cells[cell];
+      const match = text.match(label);
+      if (!match) continue;
+      const charWidth = (right - x) / Math.max(text.length, 1);
+      return {
+        line,
+        cell,
+        match,
+        x: x + match.index * charWidth,
+        right: x + (match.index + match[0].length) * charWidth
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Value to the right of a label on the same line: the rest of the label's cell, else the next cell that matches
+ * @param {Object} layout - From buildLayout()
+ * @param {RegExp} label - Label pattern
+ * @param {RegExp} value - Pattern the value must match (its groups are the result)
+ * @returns {Object|null} - { anchor, cell, match } with the label and value cells and the value match
+ */
+export const valueRightOf = (layout, label, value) => {
+  const found = findLabel(layout, label);
+  if (!found) return null;
+  const { cells } = layout.lines[found.line];
+  const anchor = cells[found.cell];
+
+  const rest = anchor.text.slice(found.match.index + found.match[0].length).trim();
+  const inCell = rest && rest.match(value);
+  if (inCell) return { anchor, cell: anchor, match: inCell };
+
+  for (const cell of cells.slice(found.cell + 1)) {
+    const match = cell.text.match(value);
+    if (match) return { anchor, cell, match };
+  }
+  return null;
+};
+
+/**
+ * Value in the column under a header: the nth cell below it that overlaps the header horizontally and matches
+ * @param {Object} layout - From buildLayout()
+ * @param {RegExp} header - Header pattern
+ * @param {RegExp} value - Pattern the value must match (its groups are the result)
+ * @param {number} row - 1 for the first matching cell under the header, 2 for the second, ...
+ * @returns {Object|null} - { anchor, cell, match } with the header and value cells and the value match
+ */
+export const valueBelow = (layout, header, value, row = 1) => {
+  const found = findLabel(layout, header);
+  if (!found) return null;
+  const anchor = layout.lines[found.line].cells[found.cell];
+
+  let seen = 0;
+  for (const line of layout.lines.slice(found.line + 1)) {
+    for (const cell of line.cells) {
+      if (cell.right <= found.x || cell.x >= found.right) continue;
+      const match = cell.text.match(value);
+      if (match && ++seen === row) return { anchor, cell, match };
+    }
+  }
+  return null;
+};
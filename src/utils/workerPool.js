@@ -0,0 +1,111 @@
+// Worker pool
+// Runs jobs on up to N Web Workers, queueing the rest. Workers are started on demand and reused.
+//
+// Protocol: the pool posts { id, ...job } to a worker; the worker answers with messages carrying
+// the same id and a type: 'done' ({ result }) or 'error' ({ error }) end the job, anything else
+// (progress, log lines) is passed to the job's onMessage callback.
+
+/**
+ * Create a worker pool
+ * @param {Function} createWorker - () => Worker
+ * @param {number} size - Maximum number of workers running at once
+ * @param {Object|null} init - Message posted to every worker once, before its first job
+ * @returns {Object} - { run(job, onMessage) => Promise<result>, pause(), resume(), terminate() }
+ */
+export const createWorkerPool = (createWorker, size, init = null) => {
+  const idle = [];
+  const queue = [];
+  const running = new Map(); // worker -> job
+  let workerCount = 0;
+  let nextId = 1;
+  let terminated = false;
+  let paused = false;
+
+  const startWorker = () => {
+    const worker = createWorker();
+    workerCount++;
+
+    worker.onmessage = ({ data: message }) => {
+      const job = running.get(worker);
+      if (!job || message.id !== job.id) return;
+      if (message.type === 'done' || message.type === 'error') {
+        running.delete(worker);
+        idle.push(worker);
+        if (message.type === 'done') job.resolve(message.result);
+        else job.reject(new Error(message.error));
+        dispatch();
+      } else {
+        job.onMessage(message);
+      }
+    };
+
+    // A worker that crashes (or fails to load) fails its job and is replaced on the next dispatch
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      const job = running.get(worker);
+      running.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      worker.terminate();
+      workerCount--;
+      if (job) {
+        const error = new Error(event.message || 'Worker failed');
+        error.workerFailed = true; // Not the job's fault: the caller can retry it another way
+        job.reject(error);
+      }
+      dispatch();
+    };
+
+    if (init) worker.postMessage(init);
+    return worker;
+  };
+
+  const dispatch = () => {
+    while (!terminated && !paused && queue.length > 0 && (idle.length > 0 || workerCount < size)) {
+      const worker = idle.pop() || startWorker();
+      const job = queue.shift();
+      running.set(worker, job);
+      worker.postMessage({ id: job.id, ...job.message });
+    }
+  };
+
+  return {
+    /**
+     * Queue a job
+     * @param {Object} message - Job payload (must be structured-cloneable)
+     * @param {Function} onMessage - Receives the job's progress and log messages
+     * @returns {Promise} - Resolves with the worker's result
+     */
+    run: (message, onMessage = () => {}) => new Promise((resolve, reject) => {
+      if (terminated) {
+        reject(new Error('Worker pool was terminated'));
+        return;
+      }
+      queue.push({ id: nextId++, message, onMessage, resolve, reject });
+      dispatch();
+    }),
+
+    // Hold queued jobs; jobs already running finish
+    pause: () => {
+      paused = true;
+    },
+
+    resume: () => {
+      paused = false;
+      dispatch();
+    },
+
+    // Stop every worker; queued and running jobs are rejected
+    terminate: () => {
+      terminated = true;
+      for (const [worker, job] of running) {
+        worker.terminate();
+        job.reject(new Error('Worker pool was terminated'));
+      }
+      idle.forEach(worker => worker.terminate());
+      queue.splice(0).forEach(job => job.reject(new Error('Worker pool was terminated')));
+      running.clear();
+      idle.length = 0;
+      workerCount = 0;
+    }
+  };
+};
@@ -0,0 +1,70 @@
+// Extraction worker
+// Runs the extraction pipeline off the main thread, one file at a time (see utils/workerPool.js).
+//
+// Messages in:  { type: 'init', rules } once, then { id, file, utilityMode } per file
+// Messages out: { id, type: 'log', message }, { id, type: 'progress', fraction },
+//               { id, type: 'done', result: rows } or { id, type: 'error', error }
+
+import * as pdfjsLib from 'pdfjs-dist';
+import { extractFromPDF } from '../core/extractor.js';
+import { registerRules } from '../providers/index.js';
+import { createOcr } from '../utils/ocr.js';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = '/PDF-utility-parser/pdf.worker.min.mjs';
+
+// pdfjs draws on DOM canvases by default; workers have no document, only OffscreenCanvas
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// Font faces need a document too; rendering for OCR draws glyphs as paths instead
+const PDF_OPTIONS = { CanvasFactory: OffscreenCanvasFactory, disableFontFace: true };
+
+// One OCR engine per worker, kept across files; log lines go to whichever file is being read
+let log = () => {};
+const ocr = createOcr(message => log(message));
+
+self.onmessage = async ({ data: message }) => {
+  if (message.type === 'init') {
+    // Imported rule files, so the worker knows the same providers as the page
+    (message.rules || []).forEach(definition => {
+      try {
+        registerRules(definition);
+      } catch (error) {
+        console.warn(`Skipping rules "${definition.id}": ${error.message}`);
+      }
+    });
+    return;
+  }
+
+  const { id, file, utilityMode } = message;
+  log = (text) => self.postMessage({ id, type: 'log', message: text });
+  try {
+    const rows = await extractFromPDF(pdfjsLib, await file.arrayBuffer(), {
+      fileName: file.name,
+      utilityMode,
+      addLog: log,
+      ocr,
+      onProgress: fraction => self.postMessage({ id, type: 'progress', fraction }),
+      pdfOptions: PDF_OPTIONS
+    });
+    self.postMessage({ id, type: 'done', result: rows });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error.message });
+  }
+};
@@ -0,0 +1,105 @@
+// Analytics: unit costs, totals, month-over-month change, outliers and the analytics sheets
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFromText } from '../src/core/extractor.js';
+import { analyzeResults, ANALYTICS_SECTIONS, previousMonth } from '../src/utils/analytics.js';
+import { buildWorkbook, buildGasOnlyWorkbook } from '../src/utils/excelExport.js';
+
+const bill = (text) => ({ fullText: `${text}\n`, pages: [{ text, items: [] }] });
+
+const electricBill = (address, period, kwh, supply) => extractFromText(bill(
+  `Jersey Central Power & Light Account Number: 1000 1234 5678 Service address: ${address} Billing Period: ${period} Total Generation Charges $${supply} Total kWh Used ${kwh}`
+), { fileName: `jcpl ${period}.pdf` })[0];
+
+const gasBill = (address, period, therms, supply) => extractFromText(bill(
+  `New Jersey Natural Gas Account Number: 22-0012-3456-78 Service address: ${address} Billing Period: ${period} Total Gas Supply Charges $${supply} Total Therms Used ${therms}`
+), { fileName: `njng ${period}.pdf` })[0];
+
+const OFFICE = '1 Elm St Freehold NJ 07728';
+const STORE = '9 Main St Toms River NJ 08753';
+
+const results = [
+  electricBill(OFFICE, 'Jan 3, 2024 to Feb 1, 2024', '1,000', '120.00'),
+  electricBill(OFFICE, 'Feb 1, 2024 to Mar 2, 2024', '1,100', '132.00'),
+  electricBill(OFFICE, 'Mar 2, 2024 to Apr 1, 2024', '3,000', '700.00'),
+  electricBill(STORE, 'Jan 3, 2024 to Feb 1, 2024', '2,000', '250.00'),
+  gasBill(OFFICE, 'Jan 3, 2024 to Feb 1, 2024', '100', '85.00')
+];
+
+test('months come from the billing period', () => {
+  assert.equal(previousMonth('2024-01'), '2023-12');
+  assert.deepEqual(analyzeResults(results).bills.map(entry => entry.month), ['2024-02', '2024-03', '2024-04', '2024-02', '2024-02']);
+});
+
+test('effective rates and totals per address and provider', () => {
+  const analysis = analyzeResults(results);
+  assert.equal(analysis.bills[0].electric.rate, 0.12);
+  assert.equal(analysis.bills[4].gas.rate, 0.85);
+
+  const [office, store] = analysis.addresses;
+  assert.equal(office.key, OFFICE);
+  assert.equal(office.bills, 4);
+  assert.equal(office.electric.usage, 5100);
+  assert.equal(office.electric.cost, 952);
+  assert.equal(Number(office.electric.rate.toFixed(4)), 0.1867);
+  assert.equal(office.gas.usage, 100);
+  assert.equal(store.electric.usage, 2000);
+  assert.deepEqual(analysis.providers.map(({ key, bills }) => [key, bills]), [['JCP&L', 4], ['NJNG', 1]]);
+});
+
+test('a supplier\'s charges count as supply cost of the commodity it supplies', () => {
+  const [withSupplier] = extractFromText(bill(
+    `New Jersey Natural Gas Account Number: 22-0012-3456-78 Service address: ${OFFICE} Billing Period: Jan 3, 2024 to Feb 1, 2024 Total Therms Used 100 Total Charges from Direct Energy $51.90`
+  ), { fileName: 'njng supplier.pdf' });
+  const metrics = analyzeResults([withSupplier]).bills[0];
+  assert.equal(metrics.gas.cost, 51.9);
+  assert.equal(metrics.gas.rate, 0.519);
+  assert.equal(metrics.electric.cost, null);
+});
+
+test('month-over-month change needs the month before', () => {
+  const { monthly } = analyzeResults(results);
+  const office = monthly.filter(entry => entry.address === OFFICE);
+  assert.deepEqual(office.map(entry => entry.month), ['2024-02', '2024-03', '2024-04']);
+  assert.equal(office[0].electric.usageChange, null);
+  assert.equal(office[1].electric.usageChange, 10);
+  assert.equal(office[1].electric.costChange, 10);
+  assert.equal(office[1].electric.rateChange, 0);
+  assert.equal(office[1].gas.usage, null);
+});
+
+test('outliers: rate, site usage and cost jumps', () => {
+  const checks = analyzeResults(results).outliers.map(({ fileName, address, check }) => `${fileName || address}: ${check}`);
+  assert.deepEqual(checks, [
+    'jcpl Mar 2, 2024 to Apr 1, 2024.pdf: Electric $/kWh',
+    'jcpl Mar 2, 2024 to Apr 1, 2024.pdf: Electric usage',
+    `${OFFICE}: Electric cost change`
+  ]);
+});
+
+test('a cost that drops to zero compares against the month before', () => {
+  const { outliers } = analyzeResults([
+    electricBill(STORE, 'Jan 3, 2024 to Feb 1, 2024', '2,000', '250.00'),
+    electricBill(STORE, 'Feb 1, 2024 to Mar 2, 2024', '2,100', '0.00')
+  ]);
+  const drop = outliers.find(({ check }) => check === 'Electric cost change');
+  assert.deepEqual([drop.value, drop.typical], [0, 250]);
+  assert.match(drop.message, /fell 100%/);
+});
+
+test('analytics sections export as sheets', () => {
+  const all = ANALYTICS_SECTIONS.map(section => section.id);
+  const workbook = buildWorkbook(results, { analytics: all });
+  assert.deepEqual(workbook.SheetNames.slice(-8), [
+    'Electric Usage', 'Gas Usage', 'Supply Cost', 'Unit Costs', 'By Address', 'By Provider', 'Monthly Change', 'Outliers'
+  ]);
+  const chart = workbook.Sheets['Electric Usage'];
+  assert.equal(chart.A1.v, 'Month');
+  assert.equal(chart.B1.v, OFFICE);
+  assert.equal(chart.B2.v, 1000);
+
+  // The gas export leaves the electric chart out
+  assert.ok(!buildGasOnlyWorkbook(results, { analytics: all }).SheetNames.includes('Electric Usage'));
+  assert.ok(!buildWorkbook(results).SheetNames.includes('Outliers'));
+});
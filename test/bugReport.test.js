@@ -0,0 +1,96 @@
+// Redaction and parsing problem reports
+// A report must not contain the customer's identifiers, address or name, and loading it must
+// reproduce the output it was saved with.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { extractFromText } from '../src/core/extractor.js';
+import { createReport, readReport, reportText, redactionChanges, sensitiveValues } from '../src/core/bugReport.js';
+import { createRedactor, redactPages, findNames } from '../src/utils/redact.js';
+import { compareResults } from '../src/utils/resultUtils.js';
+import { FIXTURES_DIR, snapshot, readTextFixture } from './helpers.js';
+
+describe('redaction', () => {
+  const pages = [{
+    text: 'Account number: 5500 1234 5678 JANE Q CUSTOMER 12 ELM ST NEWARK N J 07102 Total $12.50 PoD PE000012054105751628 Acct 550012345678',
+    items: ['Account number:', '5500 1234 5678', 'JANE Q CUSTOMER', '12 ELM ST NEWARK N J 07102', 'Total $12.50', 'PoD', 'PE000012054105751628', 'Acct', '550012345678']
+      .map((str, i) => ({ str, transform: [10, 0, 0, 10, 40 * i, 700], width: str.length * 5, height: 10 }))
+  }];
+  const redact = createRedactor({
+    identifiers: ['550012345678'],
+    addresses: ['12 Elm St Newark NJ 07102'],
+    terms: ['Jane Q Customer']
+  });
+  const [redacted] = redactPages(pages, redact);
+
+  test('replaces identifiers, addresses, names and long digit runs', () => {
+    assert.doesNotMatch(redacted.text, /5500 1234 5678|550012345678|JANE|CUSTOMER|ELM|NEWARK|07102|000012054105751628/);
+    assert.match(redacted.text, /^Account number: \d{4} \d{4} \d{4} [A-Z]{4} [A-Z] [A-Z]{8} \d{2} [A-Z]{3} [A-Z]{2} [A-Z]{6} [A-Z] [A-Z] \d{5} Total \$12\.50 PoD PE\d{18} Acct \d{12}$/);
+  });
+
+  test('uses the same fake value for every copy of a number', () => {
+    const [grouped, plain] = redacted.text.match(/\d{4} \d{4} \d{4}|\d{12}$/g);
+    assert.equal(grouped.replace(/ /g, ''), plain);
+    assert.equal(redact('Account 550012345678'), `Account ${plain}`);
+  });
+
+  test('finds the customer name on the bill', () => {
+    assert.deepEqual(findNames(pages[0].text), ['JANE Q CUSTOMER']);
+    assert.deepEqual(findNames('Customer Name: John O\'Brien Service Address: 12 Elm St'), ['John O\'Brien']);
+    assert.deepEqual(findNames('Thank You ACME WIDGETS LLC 400 Industrial Pkwy Unit 5 Edison NJ 08817'), ['ACME WIDGETS LLC']);
+
+    // The utility's letterhead above its remittance address is not the customer
+    const letterhead = [{ text: 'New Jersey Natural Gas PO Box 11743 Newark NJ 07101 JANE Q CUSTOMER 12 ELM ST NEWARK N J 07102', items: [] }];
+    assert.deepEqual(sensitiveValues([], letterhead).names, ['JANE Q CUSTOMER']);
+    const [unlabeled] = redactPages(letterhead, createRedactor(sensitiveValues([], letterhead)));
+    assert.match(unlabeled.text, /^New Jersey Natural Gas PO Box/);
+    assert.doesNotMatch(unlabeled.text, /JANE|CUSTOMER/);
+  });
+
+  test('keeps page text and items aligned', () => {
+    assert.equal(redacted.text.length, pages[0].text.length);
+    assert.equal(redacted.items.map(item => item.str).join(' '), redacted.text);
+    assert.deepEqual(redacted.items.map(item => item.transform), pages[0].items.map(item => item.transform));
+  });
+});
+
+describe('parsing problem reports', () => {
+  const { fixture, extracted } = readTextFixture(path.join(FIXTURES_DIR, 'ace', 'ace-basic.json'));
+  const rows = extractFromText(extracted, { fileName: fixture.source });
+  const report = createReport({
+    fileName: fixture.source,
+    extracted,
+    rows,
+    log: ['Processing: ace-basic.pdf', '  Loaded 1 pages'],
+    appVersion: 'v0.0.0'
+  });
+  const saved = JSON.stringify(report);
+
+  test('leave out the customer identifiers and address', () => {
+    const { identifiers, addresses } = sensitiveValues(rows);
+    assert.ok(identifiers.length > 0 && addresses.length > 0);
+    assert.ok(!saved.includes('7702 3846 7579') && !saved.includes(identifiers[0]));
+    assert.ok(!/123 MAIN ST/i.test(saved));
+  });
+
+  test('keep what the providers read', () => {
+    assert.deepEqual(redactionChanges(rows, report.output), []);
+    assert.equal(report.output[0]._providerId, 'ace');
+    assert.equal(report.output[0]['Total Electric Supply Charges'], rows[0]['Total Electric Supply Charges']);
+  });
+
+  test('reproduce their output when loaded', () => {
+    const loaded = readReport(saved);
+    const reproduced = extractFromText(reportText(loaded), { fileName: loaded.source, utilityMode: loaded.utilityMode });
+    assert.deepEqual(snapshot(reproduced), snapshot(loaded.output));
+    const { changed, added, removed } = compareResults(loaded.output, reproduced);
+    assert.equal(changed.length + added.length + removed.length, 0);
+  });
+
+  test('reject other files', () => {
+    assert.throws(() => readReport('%PDF-1.7'), /not JSON/);
+    assert.throws(() => readReport(JSON.stringify(fixture)), /Not a parsing report/);
+    assert.throws(() => readReport(JSON.stringify({ ...report, version: 99 })), /newer version/);
+  });
+});
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Fixture capture
+// Saves the text of a real bill (or of a parsing report saved in the app) as a redacted text fixture
+// plus the rows it produces today, or regenerates every expected output after an intentional
+// extraction change.
+//
+// Usage: node test/capture.js <bill.pdf | report.json> [--name <name>] [--provider <id>] [--redact <text>]...
+//        node test/capture.js --update
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { extractTextFromPDF, extractFromText, extractFromPDF } from '../src/core/extractor.js';
+import { createReport, readReport } from '../src/core/bugReport.js';
+import {
+  FIXTURES_DIR,
+  PDFS_DIR,
+  snapshot,
+  expectedPath,
+  listFixtures,
+  readTextFixture,
+  writeJSON
+} from './helpers.js';
+
+const USAGE = `Usage: node test/capture.js <bill.pdf | report.json> [options]
+       node test/capture.js --update
+
+Saves the bill's extracted text to test/fixtures/<provider>/<name>.json, with account numbers,
+PoD IDs, meter numbers, service addresses and long digit runs replaced by fake values, and the rows
+it produces now to <name>.expected.json. A parsing report downloaded from the app is already
+redacted and is saved as it is. Check both files before committing them.
+
+Options:
+  -n, --name <name>      Fixture name (default: the input's file name)
+  -p, --provider <id>    Force a provider and file the fixture under it (default: auto-detect)
+  -r, --redact <text>    Also replace this text, e.g. a customer name (repeatable)
+  -u, --update           Rewrite every .expected.json from the current code (after an intended change)
+  -h, --help             Show this help`;
+
+const PDF_OPTIONS = { verbosity: pdfjsLib.VerbosityLevel.ERRORS };
+
+// Redacted pages of a bill: from the PDF, or from a parsing report saved in the app (already redacted)
+const readBill = async (file, values) => {
+  if (path.extname(file).toLowerCase() === '.json') {
+    const report = readReport(fs.readFileSync(file, 'utf8'));
+    return { pages: report.pages, utilityMode: values.provider || report.utilityMode, rows: report.output };
+  }
+  const extracted = await extractTextFromPDF(pdfjsLib, new Uint8Array(fs.readFileSync(file)), () => {}, PDF_OPTIONS);
+  const utilityMode = values.provider || 'auto';
+  // Extract once from the original text to learn which values identify the customer
+  const rows = extractFromText(extracted, { fileName: path.basename(file), utilityMode });
+  const report = createReport({ fileName: path.basename(file), utilityMode, extracted, rows, terms: values.redact });
+  return { pages: report.pages, utilityMode, rows };
+};
+
+const capture = async (file, values) => {
+  const { pages, utilityMode, rows: original } = await readBill(file, values);
+  const providerId = values.provider || original[0]?._providerId;
+  if (!providerId) {
+    console.error('No provider matched this bill; pass --provider to capture it anyway');
+    return 1;
+  }
+
+  const name = values.name || path.basename(file, path.extname(file));
+  const fixture = { source: `${name}.pdf`, utilityMode, pages };
+  const target = path.join(FIXTURES_DIR, providerId, `${name}.json`);
+  writeJSON(target, fixture);
+
+  const { extracted: redacted } = readTextFixture(target);
+  const rows = extractFromText(redacted, { fileName: fixture.source, utilityMode });
+  writeJSON(expectedPath(target), snapshot(rows));
+
+  console.log(`Wrote ${path.relative(process.cwd(), target)} (${fixture.pages.length} page(s), ${rows.length} row(s))`);
+  console.log('Review the redacted text and the expected rows before committing them.');
+  return 0;
+};
+
+// Regenerate expected outputs, listing the ones that changed
+const update = async () => {
+  let changed = 0;
+  const rewrite = (file, rows) => {
+    const target = expectedPath(file);
+    const next = JSON.stringify(snapshot(rows), null, 2) + '\n';
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === next) return;
+    fs.writeFileSync(target, next);
+    changed++;
+    console.log(`Updated ${path.relative(process.cwd(), target)}`);
+  };
+
+  for (const { file } of listFixtures(FIXTURES_DIR, /\.json$/)) {
+    const { fixture, extracted } = readTextFixture(file);
+    rewrite(file, extractFromText(extracted, { fileName: fixture.source, utilityMode: fixture.utilityMode }));
+  }
+  for (const { name, file } of listFixtures(PDFS_DIR, /\.pdf$/i)) {
+    const rows = await extractFromPDF(pdfjsLib, new Uint8Array(fs.readFileSync(file)), { fileName: name, pdfOptions: PDF_OPTIONS });
+    rewrite(file, rows);
+  }
+  console.log(changed > 0 ? `${changed} expected output(s) changed; review the diff` : 'All expected outputs are current');
+  return 0;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string', short: 'n' },
+      provider: { type: 'string', short: 'p' },
+      redact: { type: 'string', short: 'r', multiple: true, default: [] },
+      update: { type: 'boolean', short: 'u', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (values.update) return update();
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    return 2;
+  }
+  return capture(positionals[0], values);
+};
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,50 @@
+// Provider detection: scoring every provider, and choosing between the top candidates by what they read
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankProviders } from '../src/providers/index.js';
+import { createRuleProvider } from '../src/providers/ruleEngine.js';
+import { extractFromText } from '../src/core/extractor.js';
+
+const bill = (...pages) => ({ fullText: pages.map(text => `${text}\n`).join(''), pages: pages.map(text => ({ text, items: [] })) });
+
+test('the letterhead outweighs another utility named in the fine print', () => {
+  const { fullText, pages } = bill(
+    'Atlantic City Electric Account number: 7702 3846 7579 Your service address: 1 Elm St Ventnor NJ 08406',
+    'Payments can be made at any PSE&G or Public Service Electric and Gas customer service center'
+  );
+  const ranked = rankProviders(fullText, pages);
+  // JCP&L and SJG print 12-digit account numbers in groups of four too, which only adds a little
+  assert.deepEqual(ranked.map(({ providerId }) => providerId), ['ace', 'pseg', 'jcpl', 'sjg']);
+  assert.ok(ranked[0].score > ranked[1].score);
+  assert.ok(ranked[2].score < ranked[0].score / 4);
+});
+
+test('account number formats point to the providers that print them', () => {
+  const top = (text) => rankProviders(`${text}\n`, [{ text }]).map(({ providerId, matched }) => `${providerId}: ${matched.join(', ')}`);
+  assert.deepEqual(top('Account Number: 22-0012-3456-78 Service address: 1 Elm St Wall NJ 07719'), ['njng: account number format']);
+  assert.deepEqual(top('Account Number: 12345-67890 Service address: 1 Elm St Mahwah NJ 07430'), ['reco: account number format', 'etg: account number format']);
+});
+
+test('a bill mentioning another utility is read by its own', () => {
+  const log = [];
+  const rows = extractFromText(
+    bill('PSEG Service address: 45 Oak Ave Newark NJ 07102 Total electric supply charges $412.10 Your PoD ID is: PE000012054105751628 Pay in person at Atlantic City Electric offices'),
+    { addLog: (message) => log.push(message) }
+  );
+  assert.equal(rows[0]._providerId, 'pseg');
+  assert.match(log[0], /Detection: PSE&G [\d.]+ \(.*PoD ID format\); ACE/);
+});
+
+test('a close call names the runner-up', () => {
+  const rows = extractFromText(bill('Rockland Electric Company Account Number: 1234567890 Service address: 1 Elm St Mahwah NJ 07430 Billing Period: Jan 3, 2024 to Feb 1, 2024 (29 days) Total Generation Charges $80.00 Total kWh Used 600 Delivery in partnership with Jersey Central Power & Light'));
+  assert.equal(rows[0]._providerId, 'reco');
+  assert.equal(rows[0]._detection.runnerUp.providerId, 'jcpl');
+  assert.equal(rows[0]._detection.close, true);
+});
+
+test('detect entries need a positive weight and a regex', () => {
+  assert.throws(() => createRuleProvider({ id: 'weighted', name: 'Weighted', detect: [{ regex: 'Weighted', weight: 0 }], fields: {} }), /weight/);
+  // Detection has no page layout to read a position from
+  assert.throws(() => createRuleProvider({ id: 'placed', name: 'Placed', detect: [{ rightOf: 'Utility', match: 'Placed' }], fields: {} }), /detect\[0\] must be a regex/);
+});
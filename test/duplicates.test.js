@@ -0,0 +1,29 @@
+// Duplicate bills: the semantic key and the duplicate index
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { semanticKey, findDuplicates } from '../src/utils/duplicates.js';
+
+const aceRow = (id, values) => ({
+  _id: id,
+  _providerId: 'ace',
+  'File Name': `${id}.pdf`,
+  'ID Number': '770238467579',
+  'Total Gas Supply Charges': "ACE Doesn't Supply Gas",
+  ...values
+});
+
+test('placeholders are not facts that tell bills apart', () => {
+  // Period and amounts failed to parse: only the account and ACE's gas placeholder are left
+  assert.equal(semanticKey(aceRow('a', {})), null);
+  assert.equal(semanticKey(aceRow('a', { 'Bill Date': 'see page 2', 'Total Electric Supply Charges': 'N/A' })), null);
+  assert.equal(semanticKey({ ...aceRow('a', { 'Bill Date': '2024-01-15' }), 'ID Number': null }), null);
+  assert.deepEqual([...findDuplicates([aceRow('a', {}), aceRow('b', {})]).keys()], []);
+});
+
+test('bills with the same account, dates and amounts share a key', () => {
+  const january = { 'Bill Date': '2024-01-15', 'Total Electric Supply Charges': '1234.56' };
+  assert.equal(semanticKey(aceRow('a', january)), semanticKey(aceRow('b', january)));
+  assert.notEqual(semanticKey(aceRow('a', january)), semanticKey(aceRow('b', { ...january, 'Bill Date': '2024-02-15' })));
+  assert.deepEqual([...findDuplicates([aceRow('a', january), aceRow('b', january)]).keys()], ['b']);
+});
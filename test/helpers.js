@@ -0,0 +1,67 @@
+// Test helpers
+// Shared by the regression suite (providers.test.js) and the fixture capture script (capture.js)
+//
+// Text fixtures (fixtures/<provider>/<name>.json) hold the text pdfjs extracted from a bill:
+//   { source, utilityMode, pages: [{ text, items: [{ str, transform, width, height }] }] }
+// so they run through the same provider code as a PDF without pdfjs (a parsing report saved from the app
+// works as a fixture too). Sample PDFs (pdfs/<provider>/*.pdf) go through pdfjs as well. Each has a
+// <name>.expected.json next to it: the rows it must produce.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { reportText } from '../src/core/bugReport.js';
+
+export const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(TEST_DIR, 'fixtures');
+export const PDFS_DIR = path.join(TEST_DIR, 'pdfs');
+
+// Row keys that change from run to run or only point into the source (ids, files, hashes, text items and
+// indices into them). Provenance stays: the pattern, rank, page and confidence behind each value are part
+// of what a fixture pins down
+const VOLATILE_KEYS = ['_id', '_file', 'hash', 'items', 'itemIndices', 'valueItemIndices'];
+
+/**
+ * Comparable form of result rows: volatile keys dropped, undefined values removed
+ * @param {Array} rows - Result rows from extractFromText / extractFromPDF
+ * @returns {Array}
+ */
+export const snapshot = (rows) => JSON.parse(JSON.stringify(rows, (key, value) => (VOLATILE_KEYS.includes(key) ? undefined : value)));
+
+/**
+ * Expected-output path for a fixture or sample PDF
+ * @param {string} file - Fixture JSON or PDF path
+ * @returns {string}
+ */
+export const expectedPath = (file) => file.replace(/\.(json|pdf)$/i, '.expected.json');
+
+/**
+ * List fixture files under a directory, one level of provider folders deep
+ * @param {string} dir - FIXTURES_DIR or PDFS_DIR
+ * @param {RegExp} pattern - File name pattern
+ * @returns {Array} - [{ provider, name, file }] sorted by path
+ */
+export const listFixtures = (dir, pattern) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => fs.readdirSync(path.join(dir, entry.name))
+      .filter(name => pattern.test(name) && !name.endsWith('.expected.json'))
+      .map(name => ({ provider: entry.name, name, file: path.join(dir, entry.name, name) })))
+    .sort((a, b) => a.file.localeCompare(b.file));
+};
+
+/**
+ * Read a text fixture into the { fullText, pages } shape extractTextFromPDF returns
+ * @param {string} file - Fixture JSON path
+ * @returns {Object} - { fixture, extracted }
+ */
+export const readTextFixture = (file) => {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { fixture, extracted: reportText(fixture) };
+};
+
+export const writeJSON = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+};
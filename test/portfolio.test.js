@@ -0,0 +1,64 @@
+// Portfolio: sites from addresses and identifiers, the month grid and the "Site x Month" sheet
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFromText } from '../src/core/extractor.js';
+import { siteAddressKey, groupSites, buildPortfolio, monthsEnding, siteMonthRows } from '../src/utils/portfolio.js';
+import { buildWorkbook } from '../src/utils/excelExport.js';
+
+const bill = (text) => ({ fullText: `${text}\n`, pages: [{ text, items: [] }] });
+
+const electricBill = (account, address, period, kwh, supply) => extractFromText(bill(
+  `Jersey Central Power & Light Account Number: ${account} Service address: ${address} Billing Period: ${period} Total Generation Charges $${supply} Total kWh Used ${kwh}`
+), { fileName: `${account} ${period}.pdf` })[0];
+
+const results = [
+  electricBill('1000 1234 5678', '12 Main Street, Freehold N J 07728-1234', 'Jan 3, 2024 to Feb 1, 2024', '1,000', '120.00'),
+  electricBill('1000 1234 5678', '12 MAIN ST FREEHOLD NJ 07728', 'Feb 1, 2024 to Mar 2, 2024', '1,100', '132.00'),
+  // Same account, address printed as a PO box: still the same site
+  electricBill('1000 1234 5678', 'PO Box 40 Freehold NJ 07728', 'Apr 1, 2024 to May 1, 2024', '900', '99.00'),
+  electricBill('1000 9999 0000', '7 Shore Dr Toms River NJ 08753', 'Apr 1, 2024 to May 1, 2024', '2,000', '250.00')
+];
+
+test('address variants share a key', () => {
+  assert.equal(siteAddressKey('12 Main Street, Freehold N J 07728-1234'), siteAddressKey('12 MAIN ST FREEHOLD NJ 07728'));
+  assert.notEqual(siteAddressKey('12 Main St Freehold NJ 07728'), siteAddressKey('14 Main St Freehold NJ 07728'));
+  assert.equal(siteAddressKey(null), null);
+});
+
+test('rows group into sites by address and account', () => {
+  const sites = groupSites(results);
+  assert.equal(sites.length, 2);
+  assert.equal(sites[0].rows.length, 3);
+  assert.equal(sites[0].address, '12 Main Street, Freehold NJ 07728-1234');
+  assert.deepEqual(sites[0].identifiers, [{ label: 'Account Number', value: '100012345678' }]);
+  assert.deepEqual(sites[1].providers, ['JCP&L']);
+});
+
+test('the grid covers 12 months up to the latest bill and marks missing months', () => {
+  assert.deepEqual(monthsEnding('2024-02', 3), ['2023-12', '2024-01', '2024-02']);
+
+  const portfolio = buildPortfolio(results);
+  assert.equal(portfolio.months.length, 12);
+  assert.equal(portfolio.months[11], '2024-05');
+  const [office, store] = portfolio.sites;
+  assert.deepEqual(office.cells['2024-02'], { bills: 1, kwh: 1000, supply: 120 });
+  assert.equal(office.cells['2024-04'], null);
+  assert.deepEqual(office.missing.slice(-3), ['2023-12', '2024-01', '2024-04']);
+  assert.equal(office.missing.length, 9);
+  assert.equal(store.missing.length, 11);
+});
+
+test('Site x Month sheet has kWh and supply rows per site', () => {
+  const rows = siteMonthRows(buildPortfolio(results, { endMonth: '2024-03', months: 3 }));
+  assert.deepEqual(rows.map(row => [row['Measure'], row['2024-02'], row['Total'], row['Missing Months']]), [
+    ['kWh', 1000, 2100, 1],
+    ['Supply ($)', 120, 252, 1],
+    ['kWh', null, null, 3],
+    ['Supply ($)', null, null, 3]
+  ]);
+
+  const sheet = buildWorkbook(results, { portfolio: true }).Sheets['Site x Month'];
+  assert.equal(sheet.A1.v, 'Site');
+  assert.equal(sheet.D2.v, 'kWh');
+});
@@ -0,0 +1,86 @@
+// Provider regression tests
+// Every text fixture and sample PDF must still produce its expected rows. After an intended
+// extraction change, regenerate the expected outputs with `npm run test:capture -- --update`
+// and review the diff.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { extractFromText, extractFromPDF } from '../src/core/extractor.js';
+import { isBuiltinProvider, PROVIDERS } from '../src/providers/index.js';
+import { createRuleProvider, validateRules } from '../src/providers/ruleEngine.js';
+import { FIXTURES_DIR, PDFS_DIR, snapshot, expectedPath, listFixtures, readTextFixture } from './helpers.js';
+
+const readExpected = (file) => JSON.parse(fs.readFileSync(expectedPath(file), 'utf8'));
+
+const textFixtures = listFixtures(FIXTURES_DIR, /\.json$/);
+const samplePDFs = listFixtures(PDFS_DIR, /\.pdf$/i);
+
+describe('text fixtures', () => {
+  for (const { provider, name, file } of textFixtures) {
+    test(`${provider}/${name}`, () => {
+      const { fixture, extracted } = readTextFixture(file);
+      const rows = extractFromText(extracted, { fileName: fixture.source, utilityMode: fixture.utilityMode });
+      assert.deepEqual(snapshot(rows), readExpected(file));
+      assert.ok(rows.every(row => row._providerId === provider), `expected every row to be read by ${provider}`);
+    });
+  }
+});
+
+describe('sample PDFs', () => {
+  for (const { provider, name, file } of samplePDFs) {
+    test(`${provider}/${name}`, async () => {
+      const rows = await extractFromPDF(pdfjsLib, new Uint8Array(fs.readFileSync(file)), {
+        fileName: name,
+        pdfOptions: { verbosity: pdfjsLib.VerbosityLevel.ERRORS }
+      });
+      assert.deepEqual(snapshot(rows), readExpected(file));
+    });
+  }
+});
+
+test('every built-in provider has a text fixture', () => {
+  const covered = new Set(textFixtures.map(({ provider }) => provider));
+  const missing = Object.keys(PROVIDERS).filter(id => isBuiltinProvider(id) && !covered.has(id));
+  assert.deepEqual(missing, [], `no fixture in test/fixtures for: ${missing.join(', ')}`);
+});
+
+test('malformed field specs are rule errors that name the field', () => {
+  const rules = (fields) => ({ id: 'broken', name: 'Broken', detect: ['Broken'], fields });
+  assert.throws(() => validateRules(rules({ accountNumber: 'Account (\\d+)' })), /fields\.accountNumber must be an object/);
+  assert.throws(() => validateRules(rules({ accountNumber: null })), /fields\.accountNumber must be an object/);
+  assert.throws(() => validateRules(rules({ accountNumber: { patterns: [{ group: 1 }] } })), /fields\.accountNumber\.patterns\[0\] needs a "regex"/);
+  assert.throws(() => validateRules(rules({ accountNumber: { patterns: [null] } })), /fields\.accountNumber\.patterns\[0\] is empty/);
+});
+
+test('malformed log lines and charge groups are rule errors', () => {
+  const rules = (extra) => ({ id: 'broken', name: 'Broken', detect: ['Broken'], fields: {}, ...extra });
+  assert.throws(() => validateRules(rules({ log: 'Account {accountNumber}' })), /"log" must be a list/);
+  assert.throws(() => validateRules(rules({ log: ['Account {accountNumber}', null] })), /"log" must be a list/);
+  assert.throws(() => validateRules(rules({ charges: { electric: null } })), /charges\.electric must be an object/);
+  assert.throws(() => validateRules(rules({ charges: { electric: { items: [null] } } })), /charges\.electric\.items\[0\] needs a "label"/);
+  assert.doesNotThrow(() => validateRules(rules({ log: ['Account {accountNumber}'], charges: { electric: { items: [{ label: 'A', patterns: ['A (\\d+)'] }] } } })));
+});
+
+test('charge checks need a component on the bill and never read -0.00', () => {
+  const provider = createRuleProvider({
+    id: 'charged',
+    name: 'Charged',
+    detect: ['Charged'],
+    fields: { accountNumber: { patterns: ['Account\\s*(\\d+)'] } },
+    charges: {
+      electric: {
+        total: { label: 'Total', patterns: ['Total\\s*\\$([\\d.]+)'] },
+        items: [
+          { label: 'A', partOfTotal: true, patterns: ['A\\s*\\$([\\d.]+)'] },
+          { label: 'B', partOfTotal: true, patterns: ['B\\s*\\$([\\d.]+)'] }
+        ]
+      }
+    }
+  });
+  const checks = (text) => provider.extractData(text, [{ text, items: [] }], () => {}, (address) => address).chargeChecks;
+  // 0.1 + 0.2 - 0.3 is a tiny negative number in floating point
+  assert.deepEqual(checks('Account 1 A $0.1 B $0.2 Total $0.3').map(({ difference, status }) => [difference, status]), [['0.00', 'ok']]);
+  assert.deepEqual(checks('Account 1 Total $0.3'), []);
+});
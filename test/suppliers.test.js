@@ -0,0 +1,98 @@
+// Third-party supplier (ESCO) registry and the supplier export grouping
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuleProvider } from '../src/providers/ruleEngine.js';
+import { checkRow } from '../src/providers/validation.js';
+import { buildWorkbook, buildGasOnlyWorkbook } from '../src/utils/excelExport.js';
+import { extractFromText } from '../src/core/extractor.js';
+import { normalizeAddress } from '../src/utils/addressUtils.js';
+
+const bill = (text) => ({ fullText: `${text}\n`, pages: [{ text, items: [] }] });
+
+const provider = createRuleProvider({
+  id: 'testutility',
+  name: 'Test Utility',
+  detect: ['Test\\s+Utility'],
+  fields: { accountNumber: { patterns: ['Account\\s*:\\s*(\\d+)'] } },
+  suppliers: [{ name: 'Acme Power', aliases: ['Acme Power LLC'] }]
+});
+const read = (text) => provider.extractData(text, bill(text).pages, () => {}, normalizeAddress);
+
+test('a rules file names a new supplier without patterns', () => {
+  const data = read('Test Utility Account: 1234 Total Acme Power LLC Charges $52.10 Acme Power LLC account number AP-5512 Price $0.1175 per kWh');
+  assert.equal(data.supplierName, 'Acme Power');
+  assert.equal(data.supplierCharges, '52.10');
+  assert.equal(data.supplierAccountNumber, 'AP-5512');
+  assert.equal(data.supplierRateKwh, '0.1175');
+  assert.ok(provider.columns.some(column => column.label === 'Supplier'));
+});
+
+test('a supplier only mentioned in passing is not the bill\'s supplier', () => {
+  const data = read('Test Utility Account: 1234 Shop for energy: offers from Direct Energy and Spark Energy at nj.gov Basic Generation Service $40.00');
+  assert.equal(data.supplierName, null);
+  assert.equal(data.supplierCharges, null);
+});
+
+test('a supplier account number alone doesn\'t satisfy the required identifier', () => {
+  // The test provider has no "validate" section, so the default required group applies
+  const warnings = checkRow({ 'Supplier': 'Acme Power', 'Supplier Account Number': 'AP-5512' }, provider.columns);
+  assert.deepEqual(warnings.filter(({ check }) => check === 'required').map(({ message }) => message), ['Missing Account Number']);
+  assert.deepEqual(checkRow({ 'Account Number': '1234' }, provider.columns).filter(({ check }) => check === 'required'), []);
+});
+
+test('exports can group sheets by supplier', () => {
+  const rows = [
+    'ACE Account number: 770238467579 Your service address: 1 Elm St Ventnor NJ 08406 Bill New XOOM Energy NJ supply charges $100.54',
+    'PSEG Service address: 45 Oak Ave Newark NJ 07102 Total electric supply charges $412.10'
+  ].flatMap((text, i) => extractFromText(bill(text), { fileName: `bill${i}.pdf` }));
+  assert.deepEqual(rows.map(row => row['Supplier']), ['XOOM Energy', null]);
+
+  assert.deepEqual(buildWorkbook(rows).SheetNames.slice(0, 2), ['ACE', 'PSE&G']);
+  const workbook = buildWorkbook(rows, { groupBy: 'supplier' });
+  assert.deepEqual(workbook.SheetNames.slice(0, 2), ['XOOM Energy', 'Utility Supply']);
+  assert.equal(workbook.Sheets['XOOM Energy'].B1.v, 'Provider');
+});
+
+test('a supplier\'s charges are not the utility\'s supply charges too', () => {
+  const [ace] = extractFromText(bill(
+    'Atlantic City Electric Account number: 770238467579 Your service address: 1 Elm St Ventnor NJ 08406 Bill Your electric supplier is XOOM Energy NJ Total Electric Delivery Charges $71.88 New XOOM Energy NJ supply charges $100.54 Total Electric Charges $172.42'
+  ), { fileName: 'ace.pdf' });
+  assert.equal(ace['Supplier Electric Charges'], '100.54');
+  assert.equal(ace['Total Electric Supply Charges'], null);
+  // Supplied by XOOM, so no "Missing Total Electric Supply Charges" warning
+  assert.ok(!ace._warnings.some(warning => warning.check === 'required' && warning.columns.includes('Total Electric Supply Charges')));
+
+  const [pseg] = extractFromText(bill(
+    'PSEG Service address: 45 Oak Ave Newark NJ 07102 Electric supply charges - AEP Energy, Inc. $2,058.43 Total gas supply charges $188.20'
+  ), { fileName: 'pseg.pdf' });
+  assert.equal(pseg['Supplier Electric Charges'], '2058.43');
+  assert.equal(pseg['Supplier Gas Charges'], null);
+  assert.equal(pseg['Total Electric Supply Charges'], null);
+  assert.equal(pseg['Total Gas Supply Charges'], '188.20');
+});
+
+test('supplier charges go in the column of their commodity', () => {
+  const [njng] = extractFromText(bill(
+    'New Jersey Natural Gas Account Number: 22-0012-3456-78 Service address: 1 Elm St Wall NJ 07719 Your gas supplier is Spark Energy Total Charges from Spark Energy $61.37'
+  ), { fileName: 'njng.pdf' });
+  assert.deepEqual([njng['Supplier Gas Charges'], njng['Supplier Electric Charges']], ['61.37', null]);
+  // A gas-only export leaves the electric supplier column out
+  const gasSheet = buildGasOnlyWorkbook([njng]).Sheets['NJNG'];
+  const headers = Object.keys(gasSheet).filter(cell => /^[A-Z]+1$/.test(cell)).map(cell => gasSheet[cell].v);
+  assert.ok(headers.includes('Supplier Gas Charges') && !headers.includes('Supplier Electric Charges'));
+
+  // PSE&G delivers both: the printed rate tells, and without one nothing does
+  const pseg = (text) => extractFromText(bill(`PSEG Service address: 45 Oak Ave Newark NJ 07102 ${text}`), { fileName: 'pseg.pdf' })[0];
+  const perTherm = pseg('Your gas supplier is Spark Energy Total Charges from Spark Energy $61.37 Spark Energy price $0.6500 per therm');
+  assert.deepEqual([perTherm['Supplier Gas Charges'], perTherm['Supplier Electric Charges']], ['61.37', null]);
+  const untold = pseg('Your supplier is Spark Energy Total Charges from Spark Energy $61.37');
+  assert.deepEqual([untold['Supplier Gas Charges'], untold['Supplier Electric Charges']], [null, null]);
+});
+
+test('the supplier the bill names first wins over a later mention', () => {
+  // XOOM comes first in the registry, but only in the switch notice printed after the charges
+  const data = read('Test Utility Account: 1234 Your electric supplier is Verde Energy Total Charges from Verde Energy $40.00 Switch notice: starting March your service is supplied by XOOM Energy');
+  assert.equal(data.supplierName, 'Verde Energy');
+  assert.equal(data.supplierCharges, '40.00');
+});
@@ -0,0 +1,61 @@
+// Text layout: lines and cells from item positions, and the rightOf / below lookups
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLayout, findLabel, valueRightOf, valueBelow } from '../src/utils/textLayout.js';
+
+// pdfjs-style text item at (x, y) in a 10pt font, 5pt per character
+const item = (str, x, y) => ({ str, transform: [10, 0, 0, 10, x, y], width: str.length * 5, height: 10 });
+
+// A meter table as pdfjs returns it: items out of reading order, one header split into two items
+const items = [
+  item('059363', 212, 680),
+  item('Meter Number', 50, 700),
+  item('Current', 130, 700),
+  item('Reading', 168, 700),
+  item('Previous Reading', 212, 701),
+  item('9876543', 50, 680),
+  item('065432', 130, 680),
+  item('1234567', 50, 660),
+  item('070001', 130, 660),
+  item('Account number:', 50, 740),
+  item('7702 3846 7579', 140, 740)
+];
+const layout = buildLayout(items);
+
+test('items on one baseline form a line, top to bottom', () => {
+  assert.deepEqual(layout.lines.map(line => line.cells.map(cell => cell.text)), [
+    ['Account number:', '7702 3846 7579'],
+    ['Meter Number', 'Current Reading Previous Reading'],
+    ['9876543', '065432', '059363'],
+    ['1234567', '070001']
+  ]);
+  // Cells keep the items they came from, left to right
+  assert.deepEqual(layout.lines[1].cells[1].itemIndices, [2, 3, 4]);
+  assert.deepEqual(buildLayout(items, [5, 0]).lines.map(line => line.cells.map(cell => cell.text)), [['9876543', '059363']]);
+});
+
+test('a label is found inside a cell it shares with other headers', () => {
+  const found = findLabel(layout, /Previous\s+Reading/);
+  assert.deepEqual([found.line, found.cell], [1, 1]);
+  // Where "Previous Reading" starts in the cell, not where the cell starts
+  assert.ok(Math.abs(found.x - 212) < 5 && Math.abs(found.right - 292) < 5);
+  assert.equal(findLabel(layout, /Due\s+date/), null);
+});
+
+test('valueRightOf reads the next cell on the label\'s line', () => {
+  assert.equal(valueRightOf(layout, /Account\s+number/, /^([\d ]+)$/).match[1], '7702 3846 7579');
+  assert.equal(valueRightOf(layout, /Meter\s+Number/, /^(\d+)$/), null);
+  // The rest of the label's own cell comes first
+  const inline = buildLayout([item('Rate: RS', 50, 700), item('Other', 200, 700)]);
+  assert.equal(valueRightOf(inline, /Rate:/, /^(\w+)$/).match[1], 'RS');
+});
+
+test('valueBelow reads the header\'s column, row by row', () => {
+  assert.equal(valueBelow(layout, /Meter\s+Number/, /^(\d{7})$/).match[1], '9876543');
+  assert.equal(valueBelow(layout, /Meter\s+Number/, /^(\d{7})$/, 2).match[1], '1234567');
+  // "Current" and "Previous" share a cell; each header only lines up with its own column
+  assert.equal(valueBelow(layout, /Current/, /^(\d{6})$/).match[1], '065432');
+  assert.equal(valueBelow(layout, /Previous\s+Reading/, /^(\d{6})$/).match[1], '059363');
+  assert.equal(valueBelow(layout, /Previous\s+Reading/, /^(\d{6})$/, 2), null);
+});
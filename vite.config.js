@@ -13,7 +13,8 @@ export default defineConfig({
     rollupOptions: {
       output: {
         manualChunks: {
-          'pdfjs': ['pdfjs-dist']
+          'pdfjs': ['pdfjs-dist'],
+          'xlsx': ['xlsx']
         }
       }
     }